@@ -1,5 +1,10 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
 import YAML from "yaml";
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+import katex from "katex";
+import "katex/dist/katex.min.css";
+import katexCss from "katex/dist/katex.min.css?inline";
 
 /**
  * Pre‑Calc Placement Coach — Single‑File React App
@@ -8,111 +13,246 @@ import YAML from "yaml";
  * tutoring flow using a single controller prompt as the System message.
  *
  * How to use:
- * 1) Open Settings (⚙️), paste an API key and pick a base URL + model.
+ * 1) Open Settings (⚙️), pick a provider, paste an API key and set a base URL + model.
  *    - OpenAI:    https://api.openai.com/v1  (Authorization: Bearer <key>)
  *    - OpenRouter: https://openrouter.ai/api/v1 (Bearer <key>)
  *    - Local (Ollama-compatible): http://localhost:11434/v1 (no key needed if configured)
+ *    - Anthropic: https://api.anthropic.com/v1 (x-api-key)
+ *    - Google Gemini: https://generativelanguage.googleapis.com/v1beta (x-goog-api-key)
+ *    - Azure OpenAI: https://<resource>.openai.azure.com + deployment name + api-version (api-key)
  * 2) Click “Start Session” to send the controller prompt and begin at Stage 0.
- * 3) Use buttons to send NEXT or STATE, or type free‑text questions.
+ * 3) Use buttons to send NEXT or STATE (or BACK, GOTO n, HINT, REPEAT, SKIP; HELP lists them),
+ *    or type free‑text questions.
  * 4) Toggle the YAML STATE by sending the literal word STATE (assistant controls visibility).
  *
  * Notes:
- * - The authoritative STATE is produced by the LLM. This UI only displays it.
+ * - STATE blocks produced by the LLM are parsed, validated against the controller
+ *   schema and deep-merged into a client-side STATE model, which drives progress
+ *   and exports.
+ * - The controller prompt is generated from a curriculum pack (built-in or a custom
+ *   YAML pack edited in-app); the pack also sets the stage count and STATE schema.
  * - Transcript + settings are persisted in localStorage for convenience.
  */
 
 // ------------------------------ Controller Prompt ------------------------------
-const CONTROLLER_PROMPT = `
-SYSTEM / CONTROLLER INSTRUCTIONS — “Pre-Calc Placement Coach”
+// The controller prompt is generated from a curriculum pack (taxonomy, thresholds, stages,
+// STATE template). DEFAULT_PACK reproduces the original pre-calc placement coach.
+const DEFAULT_PACK = {
+  kind: "pcpc.pack.v1",
+  id: "precalc-placement",
+  name: "Pre-Calc Placement Coach",
+  version: 1,
+  builtin: true,
+  goal: "Coach a student for a pre-calculus placement test by revealing EXACTLY ONE stage per turn, carrying a compact YAML STATE forward, and finishing with: (1) a one-page cram plan, (2) a prioritized drill list, and (3) day-before/test-day checklists. reasoning_effort = medium.",
+  taxonomy: [
+    "functions & transformations",
+    "equations & inequalities",
+    "systems",
+    "polynomials & factoring",
+    "rational expressions",
+    "exponentials & logs",
+    "trig basics (radians, unit circle, identities)",
+    "sequences/series",
+    "graphing & asymptotes",
+  ],
+  thresholds: {
+    needs_work_below: 70,
+    strong_above: 85,
+    notes: "After Diagnostic, select 2–3 NeedsWork topics as today’s targets. Drills: for a topic, two consecutive sets ≥80% → promote (OK/Strong). After Mini-Exam: if overall <80% OR any target <75%, add a gap with one concrete remedy and schedule a small booster.",
+  },
+  // Stages where the app can serve and grade items from its own bank
+  quiz: { diagnostic_stage: 1, mini_exam_stage: 5 },
+  state_template: {
+    meta: { student_name: "", test_date: "", session_date: "", time_available_min: 60, calculator_policy: "standard", anxiety_points: [] },
+    progress: { current_stage: 0, stages_total: 8, state_visible: false },
+    diagnostic: { topic_scores: {}, priorities: [] },
+    goals: { targets: [], success_criteria: [] },
+    plan: { blocks: [] },
+    drills: { sets: [], mastery_flags: {} },
+    mini_exam: { score_pct: null, time_used_min: null, time_limit_min: null, per_topic: {}, flagged_items: [], item_times_sec: {} },
+    gaps: { items: [] },
+    actions: { today: [], day_before: [], test_day: [] },
+  },
+  stages: [
+    {
+      title: "Onboarding & Constraints",
+      steps: [
+        "Ask for: name (optional), test_date, time_available_min today, calculator_policy (if any), 1–2 anxiety_points.",
+        "Summarize captured details in 3–5 bullets.",
+        "Update STATE.meta, progress.current_stage=0.",
+      ],
+    },
+    {
+      title: "Micro-Diagnostic (6–8 quick items)",
+      steps: [
+        "Present brief, varied items across taxonomy (short stems), unless the app already served and graded them (see APP-GRADED ITEMS). After student answers, give tight feedback and compute per-topic hit/miss.",
+        "Update STATE.diagnostic.topic_scores and select 2–3 weakest priorities → STATE.diagnostic.priorities.",
+      ],
+    },
+    {
+      title: "Goals & Success Criteria",
+      steps: [
+        "Propose 2–3 focus topics (from priorities) and 2–3 measurable success_criteria (e.g., “≥80% on drills for rational expressions”).",
+        "Ask for confirm/edit; update STATE.goals.",
+      ],
+    },
+    {
+      title: "Plan Builder (today)",
+      steps: ["Produce 2–3 timed blocks (e.g., 3×20 min): {topic, duration, resource type, success_check}.", "Update STATE.plan.blocks."],
+    },
+    {
+      title: "Targeted Drills",
+      steps: [
+        "For each target topic, run one short set (3–5 items), then immediate feedback and a mastery flag (NeedsWork/OK/Strong).",
+        "If time remains per plan, propose the next micro-set; otherwise proceed.",
+        "Update STATE.drills.sets and mastery_flags.",
+      ],
+    },
+    {
+      title: "Mini-Exam (12–15 items)",
+      steps: [
+        "Timed pacing cues; then score overall and per-topic. When the app ran the timed exam, use its measured times instead of estimating.",
+        "Update STATE.mini_exam (score_pct, time_used_min, time_limit_min, per_topic, flagged_items, item_times_sec).",
+      ],
+    },
+    {
+      title: "Gap Analysis → Fix-List",
+      steps: [
+        "List each misconception plainly; attach EXACTLY ONE remedy (rule/tip or micro-drill).",
+        "If Mini-Exam <80% or any target <75%, schedule a small booster in Actions.today.",
+        "Update STATE.gaps and actions.today.",
+      ],
+    },
+    {
+      title: "Final Deliverables",
+      steps: [
+        "Deliver: (1) one-page cram plan; (2) prioritized drill list; (3) day-before routine; (4) test-day pacing + quick formulas; (5) mindset cues.",
+        "Update STATE.actions.day_before and STATE.actions.test_day.",
+      ],
+    },
+  ],
+  final_line: "You’re done. Type STATE to view/save your final plan.",
+};
+
+function toFlow(v) {
+  // Compact flow-style YAML matching the prompt's STATE layout ({key:"", list:[]})
+  if (Array.isArray(v)) return `[${v.map(toFlow).join(", ")}]`;
+  if (isPlainObject(v)) return `{${Object.entries(v).map(([k, x]) => `${k}:${toFlow(x)}`).join(", ")}}`;
+  return v === undefined ? "null" : JSON.stringify(v);
+}
+
+function packTemplate(pack) {
+  // stages_total always follows the pack's stage list
+  const t = structuredClone(pack.state_template || {});
+  t.progress = { current_stage: 0, stages_total: 0, state_visible: false, ...(t.progress || {}) };
+  t.progress.stages_total = pack.stages.length;
+  return t;
+}
+
+function buildControllerPrompt(pack) {
+  const th = pack.thresholds || {};
+  const lo = th.needs_work_below ?? 70;
+  const hi = th.strong_above ?? 85;
+  const stateLines = Object.entries(packTemplate(pack)).map(([k, v]) => `  ${k}: ${toFlow(v)}`);
+  const last = pack.stages.length - 1;
+  const stageBlocks = pack.stages.map((st, i) =>
+    [`Stage ${i} — ${st.title}`, ...(st.steps || []).map((x) => `- ${x}`), i === last ? `- End with: “${pack.final_line || "You’re done. Type STATE to view/save your final plan."}”` : "- Footer."].join("\n")
+  );
+  // No bank topics in the taxonomy means the app has nothing to serve
+  const q = packQuizTopics(pack).length ? pack.quiz : null;
+  const appGraded = q
+    ? `
+APP-GRADED ITEMS
+The app can serve Diagnostic (Stage ${q.diagnostic_stage}) and Mini-Exam (Stage ${q.mini_exam_stage}) items from its own bank and grade them locally. When the student's message starts with "LOCAL DIAGNOSTIC RESULTS" or "LOCAL MINI-EXAM RESULTS":
+- Do NOT present new items and do NOT re-grade; the reported scores are authoritative.
+- Copy the reported scores into STATE verbatim (diagnostic.topic_scores/priorities, or mini_exam.score_pct/per_topic/flagged_items).
+- Explain each missed item in 1–2 lines, then finish the stage as usual.
+- The app times the Mini-Exam itself. Copy the reported time_used_min, time_limit_min and item_times_sec verbatim and base pacing feedback on them (e.g., the slowest items).
+`
+    : "";
+  const structuredItems = `
+STRUCTURED ITEMS
+Whenever you pose Diagnostic, Drill or Mini-Exam items, do not number them in prose: call the ${ITEMS_TOOL.name} tool if it is available; otherwise put them all in ONE fenced block tagged items, e.g.
+\`\`\`items
+{"items":[{"id":"d1","kind":"choice","prompt":"Solve $2x+1=7$","choices":["$x=2$","$x=3$","$x=4$"],"answer":"1"},{"id":"d2","kind":"numeric","prompt":"Perimeter of a 3 by 4 rectangle?","unit":"cm","answer":"14"},{"id":"d3","kind":"expression","prompt":"Factor $x^2-x-6$","answer":"(x-3)(x+2)","form":"factored"}]}
+\`\`\`
+- kind: choice (2–5 choices), numeric (optional unit, or units to pick from plus unit for the right one), expression (short typed answer).
+- Keep ids unique within the stage. Put the answer key in answer (choice: the 0-based index; otherwise the value, e.g. "(x-3)(x+2)", "-2 < x < 3", "pi/6"); the app hides it from the student. Add form: factored, simplified or exact when the form itself is being tested (e.g. "Simplify …" items).
+- The student replies with "ANSWERS" and a fenced answers block: {"answers":[{"id":"d1","choice":1,"text":"$x=3$","verified":"correct"},{"id":"d2","value":"14","unit":"cm","verified":"correct"},{"id":"d3","value":"x^2-x-6","verified":"incorrect","note":"equivalent, but not factored"}]}. Grade each answer against the item with the same id; an empty value is a skipped item.
+- verified comes from the app checking the answer against your key (equivalent forms, degrees vs radians, rounded decimals): correct, approx (a correctly rounded decimal), incorrect, or unknown. Do not contradict correct/approx/incorrect; judge unknown and unverified answers yourself.
+`;
+  const graphs = `
+GRAPHS
+When a graph helps (graphing, asymptotes, transformations, trig), draw it with a fenced block tagged plot (YAML), e.g.
+\`\`\`plot
+title: "y = x^2 shifted right 3, up 1"
+functions: ["x^2", {expr: "(x-3)^2 + 1", label: "f(x-3) + 1"}]
+domain: [-4, 8]
+range: [-2, 12]
+asymptotes: {vertical: [], horizontal: []}
+points: [{x: 3, y: 1, label: "vertex"}]
+\`\`\`
+- Expressions use x, + - * / ^, sqrt, abs, ln, log, exp, sin, cos, tan, pi; overlay several functions to show a transformation step by step.
+- For rational functions list the asymptotes; for trig angles add unit_circle: {angles: ["pi/6", "pi/4", "pi/3"]} (it can stand alone).
+- The student may send a plot block back with a question; its domain and range are the window they were looking at.
+`;
+  return `
+SYSTEM / CONTROLLER INSTRUCTIONS — “${pack.name}”
 
 GOAL
-Coach a student for a pre-calculus placement test by revealing EXACTLY ONE stage per turn, carrying a compact YAML STATE forward, and finishing with: (1) a one-page cram plan, (2) a prioritized drill list, and (3) day-before/test-day checklists. reasoning_effort = medium.
+${pack.goal}
 
 COMMANDS (student)
 - NEXT  → advance to the next stage
+- BACK  → return to the previous stage: show its output again (e.g. the plan) from STATE; don't redo its questions unless asked, and keep all scores
+- GOTO n → jump to Stage n (0–${pack.stages.length - 1}); going back works like BACK, going forward runs Stage n normally and names the stages it skipped
+- HINT  → one short hint for the current item or step; never reveal the answer, and don't advance
+- REPEAT → re-run the current stage's drill or question set with fresh items on the same topics and difficulty; record the new attempt next to the earlier one
+- SKIP  → skip the current item (count it as unanswered) and continue; on a stage without items, move on as with NEXT
 - STATE → toggle showing/hiding the YAML STATE
+Keep progress.current_stage equal to the stage you are showing. The app answers HELP itself and rejects impossible moves (BACK at Stage 0, GOTO outside the stages) before they reach you.
 Any other input = question; answer briefly and stay on the current stage.
 
 VISIBILITY
 Default: do NOT show STATE. If the student typed STATE on the prior turn, show the compact STATE at the end of the stage and remind them they can type STATE again to hide it.
 
 TOPIC TAXONOMY
-functions & transformations; equations & inequalities; systems; polynomials & factoring; rational expressions; exponentials & logs; trig basics (radians, unit circle, identities); sequences/series; graphing & asymptotes.
+${pack.taxonomy.join("; ")}.
 
 BRANCH THRESHOLDS
-NeedsWork <70%; OK 70–85%; Strong >85%. After Diagnostic, select 2–3 NeedsWork topics as today’s targets. Drills: for a topic, two consecutive sets ≥80% → promote (OK/Strong). After Mini-Exam: if overall <80% OR any target <75%, add a gap with one concrete remedy and schedule a small booster.
+NeedsWork <${lo}%; OK ${lo}–${hi}%; Strong >${hi}%. ${th.notes || ""}`.trimEnd() + `
 
 STATE (carry forward verbatim; only render when visible)
 STATE:
-  meta: {student_name:"", test_date:"", session_date:"", time_available_min:60, calculator_policy:"standard", anxiety_points:[]}
-  progress: {current_stage:0, stages_total:8, state_visible:false}
-  diagnostic: {topic_scores:{}, priorities:[]}
-  goals: {targets:[], success_criteria:[]}
-  plan: {blocks:[]}
-  drills: {sets:[], mastery_flags:{}}
-  mini_exam: {score_pct:null, time_used_min:null, per_topic:{}, flagged_items:[]}
-  gaps: {items:[]}
-  actions: {today:[], day_before:[], test_day:[]}
-
+${stateLines.join("\n")}
+${appGraded}${structuredItems}${graphs}
 OUTPUT STYLE
 • Show ONLY the current stage. Be concise and actionable.
+• Open each stage with a heading line “Stage n — Title”.
 • End every stage with: “Type NEXT to continue, or STATE to toggle the YAML state view.”
 
 STAGES (fixed order and behavior)
 
-Stage 0 — Onboarding & Constraints
-- Ask for: name (optional), test_date, time_available_min today, calculator_policy (if any), 1–2 anxiety_points.
-- Summarize captured details in 3–5 bullets.
-- Update STATE.meta, progress.current_stage=0.
-- Footer.
-
-Stage 1 — Micro-Diagnostic (6–8 quick items)
-- Present brief, varied items across taxonomy (short stems). After student answers, give tight feedback and compute per-topic hit/miss.
-- Update STATE.diagnostic.topic_scores and select 2–3 weakest priorities → STATE.diagnostic.priorities.
-- Footer.
-
-Stage 2 — Goals & Success Criteria
-- Propose 2–3 focus topics (from priorities) and 2–3 measurable success_criteria (e.g., “≥80% on drills for rational expressions”).
-- Ask for confirm/edit; update STATE.goals.
-- Footer.
-
-Stage 3 — Plan Builder (today)
-- Produce 2–3 timed blocks (e.g., 3×20 min): {topic, duration, resource type, success_check}.
-- Update STATE.plan.blocks.
-- Footer.
-
-Stage 4 — Targeted Drills
-- For each target topic, run one short set (3–5 items), then immediate feedback and a mastery flag (NeedsWork/OK/Strong).
-- If time remains per plan, propose the next micro-set; otherwise proceed.
-- Update STATE.drills.sets and mastery_flags.
-- Footer.
-
-Stage 5 — Mini-Exam (12–15 items)
-- Timed pacing cues; then score overall and per-topic.
-- Update STATE.mini_exam (score_pct, time_used_min, per_topic, flagged_items).
-- Footer.
-
-Stage 6 — Gap Analysis → Fix-List
-- List each misconception plainly; attach EXACTLY ONE remedy (rule/tip or micro-drill).
-- If Mini-Exam <80% or any target <75%, schedule a small booster in Actions.today.
-- Update STATE.gaps and actions.today.
-- Footer.
-
-Stage 7 — Final Deliverables
-- Deliver: (1) one-page cram plan; (2) prioritized drill list; (3) day-before routine; (4) test-day pacing + quick formulas; (5) mindset cues.
-- Update STATE.actions.day_before and STATE.actions.test_day.
-- End with: “You’re done. Type STATE to view/save your final plan.”
+${stageBlocks.join("\n\n")}
 
 END-OF-STAGE FOOTER (always)
 Type NEXT to continue, or STATE to toggle the YAML state view.
 `;
+}
 
 // ------------------------------ Helpers: Local Storage ------------------------------
 const LS_KEYS = {
   settings: "pcpc_settings_v1",
+  library: "pcpc_library_v1",
+  sessionPrefix: "pcpc_session_v1_",
+  // Pre-library single-session keys; read once for migration
   transcript: "pcpc_transcript_v1",
   lastYaml: "pcpc_state_yaml_v1",
+  state: "pcpc_state_v1",
   metrics: "pcpc_metrics_v1",
+  packs: "pcpc_packs_v1",
+  reviews: "pcpc_reviews_v1",
+  lifetime: "pcpc_lifetime_v1",
 };
 
 function loadSettings() {
@@ -131,9 +271,9 @@ function saveSettings(s) {
   } catch {}
 }
 
-function loadTranscript() {
+function loadJsonKey(key) {
   try {
-    const raw = localStorage.getItem(LS_KEYS.transcript);
+    const raw = localStorage.getItem(key);
     if (!raw) return null;
     return JSON.parse(raw);
   } catch (e) {
@@ -141,32 +281,278 @@ function loadTranscript() {
   }
 }
 
-function saveTranscript(t) {
+// ------------------------------ Helpers: Config encryption ------------------------------
+// Optional passphrase protection for Magic Links and config files: PBKDF2-SHA256 derives an
+// AES-GCM key; the expiry (if any) is bound to the ciphertext as additional data.
+const CONFIG_ENC_KIND = "pcpc.config.enc.v1";
+const CONFIG_KDF_ITERATIONS = 250000;
+const CONFIG_EXPIRY_OPTIONS = [
+  ["", "Never"],
+  ["3600000", "1 hour"],
+  ["86400000", "1 day"],
+  ["604800000", "7 days"],
+  ["2592000000", "30 days"],
+];
+
+function bytesToB64url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+function b64urlToBytes(s) {
+  let b64 = String(s).replace(/-/g, "+").replace(/_/g, "/");
+  if (b64.length % 4) b64 += "=".repeat(4 - (b64.length % 4));
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+function expiryAad(exp) {
+  return new TextEncoder().encode(`pcpc-exp:${exp ?? ""}`);
+}
+
+async function deriveConfigKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+async function encryptConfig(cfg, passphrase, exp = null) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveConfigKey(passphrase, salt, CONFIG_KDF_ITERATIONS);
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: expiryAad(exp) }, key, new TextEncoder().encode(JSON.stringify(cfg)));
+  return {
+    kind: CONFIG_ENC_KIND,
+    iter: CONFIG_KDF_ITERATIONS,
+    salt: bytesToB64url(salt),
+    iv: bytesToB64url(iv),
+    ct: bytesToB64url(new Uint8Array(ct)),
+    ...(exp ? { exp } : {}),
+  };
+}
+
+async function decryptConfig(env, passphrase) {
+  try {
+    const key = await deriveConfigKey(passphrase, b64urlToBytes(env.salt), Number(env.iter) || CONFIG_KDF_ITERATIONS);
+    const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: b64urlToBytes(env.iv), additionalData: expiryAad(env.exp) }, key, b64urlToBytes(env.ct));
+    return JSON.parse(new TextDecoder().decode(pt));
+  } catch {
+    throw new Error("Wrong passphrase or damaged data");
+  }
+}
+
+function isEncryptedConfig(obj) {
+  return isPlainObject(obj) && obj.kind === CONFIG_ENC_KIND && typeof obj.ct === "string";
+}
+
+function configExpired(obj, now = Date.now()) {
+  // `exp` is epoch ms; plain links carry it in the JSON, encrypted ones next to the ciphertext
+  return isPlainObject(obj) && Number(obj.exp) > 0 && now > Number(obj.exp);
+}
+
+// ------------------------------ Helpers: Session library ------------------------------
+// The library index ({activeId, sessions:[{id, name, createdAt, updatedAt, ...}]}) lives
+// under one key; each session's transcript/STATE/metrics lives under its own key.
+function emptyMetrics() {
+  return { requests: 0, prompt: 0, completion: 0, total: 0, cost: 0, last: { prompt: 0, completion: 0, total: 0 } };
+}
+
+function emptySessionData() {
+  return { messages: [], lastYaml: "", state: null, metrics: emptyMetrics(), contextSummary: null, packId: DEFAULT_PACK.id, outbox: null };
+}
+
+function newId() {
   try {
-    localStorage.setItem(LS_KEYS.transcript, JSON.stringify(t));
+    if (crypto?.randomUUID) return crypto.randomUUID();
   } catch {}
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function newSessionEntry(name) {
+  const now = new Date().toISOString();
+  return { id: newId(), name, createdAt: now, updatedAt: now, messageCount: 0, stage: null };
+}
+
+function loadSessionData(id) {
+  const d = loadJsonKey(LS_KEYS.sessionPrefix + id);
+  if (!d) return emptySessionData();
+  return {
+    messages: Array.isArray(d.messages) ? d.messages : [],
+    lastYaml: typeof d.lastYaml === "string" ? d.lastYaml : "",
+    state: isPlainObject(d.state) ? d.state : null,
+    metrics: isPlainObject(d.metrics) ? d.metrics : emptyMetrics(),
+    contextSummary: isPlainObject(d.contextSummary) ? d.contextSummary : null,
+    packId: typeof d.packId === "string" ? d.packId : DEFAULT_PACK.id,
+    outbox: isPlainObject(d.outbox) && typeof d.outbox.text === "string" ? d.outbox : null,
+  };
 }
 
-function saveLastYaml(y) {
+function saveSessionData(id, d) {
   try {
-    localStorage.setItem(LS_KEYS.lastYaml, y || "");
+    localStorage.setItem(LS_KEYS.sessionPrefix + id, JSON.stringify(d));
   } catch {}
 }
 
-function loadMetrics() {
+function removeSessionData(id) {
   try {
-    const raw = localStorage.getItem(LS_KEYS.metrics);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) {
-    return null;
+    localStorage.removeItem(LS_KEYS.sessionPrefix + id);
+  } catch {}
+}
+
+function saveLibrary(lib) {
+  try {
+    localStorage.setItem(LS_KEYS.library, JSON.stringify(lib));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function loadLibrary() {
+  const lib = loadJsonKey(LS_KEYS.library);
+  if (lib && Array.isArray(lib.sessions) && lib.sessions.length) {
+    const activeId = lib.sessions.some((x) => x.id === lib.activeId) ? lib.activeId : lib.sessions[0].id;
+    return { ...lib, activeId };
   }
+  return migrateLegacySession();
 }
 
-function saveMetrics(m) {
+function migrateLegacySession() {
+  // First run with the library: move the old single-session keys into "Session 1"
+  const entry = newSessionEntry("Session 1");
+  const messages = loadJsonKey(LS_KEYS.transcript);
+  let lastYaml = "";
   try {
-    localStorage.setItem(LS_KEYS.metrics, JSON.stringify(m));
+    lastYaml = localStorage.getItem(LS_KEYS.lastYaml) || "";
   } catch {}
+  // Older builds kept only the raw YAML (no structured state), so STATE is rebuilt from that
+  // or the transcript the same way an import is
+  const data = sessionDataFromFile(
+    { messages: Array.isArray(messages) ? messages : [], lastYaml, state: loadJsonKey(LS_KEYS.state), metrics: loadJsonKey(LS_KEYS.metrics) },
+    DEFAULT_PACK
+  );
+  entry.messageCount = data.messages.length;
+  entry.stage = data.state?.progress?.current_stage ?? null;
+  saveSessionData(entry.id, data);
+  const lib = { activeId: entry.id, sessions: [entry] };
+  if (saveLibrary(lib)) {
+    try {
+      [LS_KEYS.transcript, LS_KEYS.lastYaml, LS_KEYS.state, LS_KEYS.metrics].forEach((k) => localStorage.removeItem(k));
+    } catch {}
+  }
+  return lib;
+}
+
+function nextSessionName(lib) {
+  const taken = new Set(lib.sessions.map((x) => x.name));
+  let n = lib.sessions.length + 1;
+  while (taken.has(`Session ${n}`)) n += 1;
+  return `Session ${n}`;
+}
+
+// ------------------------------ Helpers: Session files ------------------------------
+// Exported sessions are tagged "pcpc.session.v<N>". Older files are lifted one version at a
+// time through SESSION_MIGRATIONS, then validated; untagged JSON with a transcript counts as v0.
+const SESSION_VERSION = 2;
+const SESSION_ROLES = ["system", "user", "assistant"];
+
+const SESSION_MIGRATIONS = {
+  // Hand-made or pre-tag exports: a transcript and maybe the raw YAML
+  0: (d) => ({ ...d, kind: "pcpc.session.v1" }),
+  // v2 adds the session's name/timestamps and the rolling context summary
+  1: (d) => ({ ...d, kind: "pcpc.session.v2", session: { name: null, createdAt: null, updatedAt: null }, contextSummary: null }),
+};
+
+function sessionFileVersion(d) {
+  if (!isPlainObject(d)) return { error: "The file is not a JSON object." };
+  if (d.kind === undefined) return Array.isArray(d.messages) ? { version: 0 } : { error: "Not a session file: no \"kind\" tag and no \"messages\" list." };
+  const m = /^pcpc\.session\.v(\d+)$/.exec(String(d.kind));
+  if (!m) return { error: `Not a session file: kind is ${JSON.stringify(d.kind)}, expected "pcpc.session.v${SESSION_VERSION}".` };
+  const version = Number(m[1]);
+  if (version > SESSION_VERSION) return { error: `This file is a v${version} session; this version of the app reads up to v${SESSION_VERSION}. Update the app to import it.` };
+  return { version };
+}
+
+function isCount(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+// Problems in a current-version session, each naming the offending field
+function validateSessionFile(d) {
+  const problems = [];
+  if (!Array.isArray(d.messages)) problems.push("messages must be a list");
+  else {
+    d.messages.forEach((m, i) => {
+      if (!isPlainObject(m)) {
+        problems.push(`messages[${i}] must be an object with role and content`);
+        return;
+      }
+      if (!SESSION_ROLES.includes(m.role)) problems.push(`messages[${i}].role must be one of ${SESSION_ROLES.join(", ")} (got ${JSON.stringify(m.role)})`);
+      if (typeof m.content !== "string") problems.push(`messages[${i}].content must be text (got ${m.content === null ? "null" : typeof m.content})`);
+      if (m.branches !== undefined && !Array.isArray(m.branches)) problems.push(`messages[${i}].branches must be a list`);
+    });
+  }
+  if (d.lastYaml !== undefined && typeof d.lastYaml !== "string") problems.push("lastYaml must be text");
+  if (d.state != null && !isPlainObject(d.state)) problems.push("state must be a mapping or null");
+  if (d.packId !== undefined && typeof d.packId !== "string") problems.push("packId must be text");
+  if (d.metrics !== undefined) {
+    if (!isPlainObject(d.metrics)) problems.push("metrics must be an object");
+    else {
+      for (const k of ["requests", "prompt", "completion", "total", "cost"]) {
+        if (d.metrics[k] !== undefined && !isCount(d.metrics[k])) problems.push(`metrics.${k} must be a non-negative number (got ${JSON.stringify(d.metrics[k])})`);
+      }
+    }
+  }
+  if (d.contextSummary != null && !(isPlainObject(d.contextSummary) && typeof d.contextSummary.text === "string")) {
+    problems.push("contextSummary must be null or an object with text");
+  }
+  if (!isPlainObject(d.session)) problems.push("session must be an object");
+  else if (d.session.name != null && typeof d.session.name !== "string") problems.push("session.name must be text");
+  return problems;
+}
+
+// → {data, fromVersion} in the current format; throws an Error listing what's wrong
+function readSessionFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`The file is not valid JSON (${e?.message || e}).`);
+  }
+  const { version, error } = sessionFileVersion(raw);
+  if (error) throw new Error(error);
+  let data = raw;
+  for (let v = version; v < SESSION_VERSION; v++) data = SESSION_MIGRATIONS[v](data);
+  const problems = validateSessionFile(data);
+  if (problems.length) {
+    const shown = problems.slice(0, 8).map((p) => `• ${p}`);
+    if (problems.length > shown.length) shown.push(`• …and ${problems.length - shown.length} more`);
+    throw new Error(`The session file has ${problems.length} problem${problems.length === 1 ? "" : "s"}:\n${shown.join("\n")}`);
+  }
+  return { data, fromVersion: version };
+}
+
+function sessionMetrics(m) {
+  const out = emptyMetrics();
+  if (!isPlainObject(m)) return out;
+  for (const k of ["requests", "prompt", "completion", "total", "cost"]) if (isCount(m[k])) out[k] = m[k];
+  if (isPlainObject(m.last)) for (const k of ["prompt", "completion", "total"]) if (isCount(m.last[k])) out.last[k] = m.last[k];
+  return out;
+}
+
+// Session-library data (see emptySessionData) from a validated file; STATE falls back to the
+// raw YAML, then to the transcript, for exports that carried less
+function sessionDataFromFile(d, pack) {
+  const lastYaml = d.lastYaml || "";
+  const st = isPlainObject(d.state) ? d.state : lastYaml ? parseStateYaml(lastYaml).data : stateFromMessages(d.messages, pack).state;
+  return {
+    ...emptySessionData(),
+    messages: d.messages,
+    lastYaml,
+    state: st ? mergeState(emptyState(pack), st) : null,
+    metrics: sessionMetrics(d.metrics),
+    contextSummary: d.contextSummary || null,
+    packId: pack.id,
+  };
 }
 
 // ------------------------------ Helpers: YAML extraction ------------------------------
@@ -184,764 +570,6129 @@ function extractStateYaml(text) {
   return lastYaml; // may be null
 }
 
-function parseStageProgress(yamlText) {
-  if (!yamlText) return { current: null, total: 8 };
-  const m1 = /progress:\s*{[^}]*current_stage:\s*(\d+)/.exec(yamlText);
-  const m2 = /progress:\s*{[^}]*stages_total:\s*(\d+)/.exec(yamlText);
-  return {
-    current: m1 ? Number(m1[1]) : null,
-    total: m2 ? Number(m2[1]) : 8,
+// ------------------------------ Helpers: STATE model ------------------------------
+// Field kinds drive validation and are inferred from a pack's STATE template: template nulls
+// are numbers not yet known ("?" = may be null), *_scores/per_topic maps hold percentages.
+function schemaFromTemplate(template) {
+  const kindOf = (key, v) => {
+    if (v === null) return "number?";
+    if (Array.isArray(v)) return "array";
+    if (isPlainObject(v)) return /scores$|^per_topic$/.test(key) ? "scores" : "object";
+    return typeof v;
   };
+  return Object.fromEntries(
+    Object.entries(template || {}).map(([section, fields]) => [
+      section,
+      Object.fromEntries(Object.entries(fields || {}).map(([k, v]) => [k, kindOf(k, v)])),
+    ])
+  );
 }
 
-// ------------------------------ LLM client (OpenAI-compatible) ------------------------------
-async function callChatCompletions({ baseUrl, apiKey, model, messages }) {
-  const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
-  const headers = {
-    "Content-Type": "application/json",
-  };
-  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+const STATE_SCHEMA = schemaFromTemplate(DEFAULT_PACK.state_template);
 
-  const body = {
-    model,
-    messages,
-    temperature: 0.2,
-    stream: false,
-  };
+function emptyState(pack = DEFAULT_PACK) {
+  return packTemplate(pack);
+}
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`LLM error ${res.status}: ${errText}`);
-  }
-  const data = await res.json();
-  const text = data?.choices?.[0]?.message?.content ?? "";
-  const usage = data?.usage || null;
-  return { text, usage };
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
 }
 
-// ------------------------------ Small UI primitives ------------------------------
-function IconButton({ children, onClick, title, className = "", disabled = false }) {
-  return (
-    <button
-      onClick={onClick}
-      title={title}
-      disabled={disabled}
-      className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm border border-slate-300 ${disabled ? "opacity-50 cursor-not-allowed" : "hover:bg-slate-50 active:scale-[0.99]"} transition ${className}`}
-    >
-      {children}
-    </button>
-  );
+function normalizeStateYaml(text) {
+  // Models often echo the prompt's compact flow maps ({current_stage:0}); YAML needs
+  // a space after the key's colon, otherwise "current_stage:0" parses as one scalar.
+  return text.replace(/([{,]\s*)([A-Za-z_][\w-]*):(?=[^\s,}])/g, "$1$2: ");
 }
 
-function Modal({ open, onClose, children }) {
-  if (!open) return null;
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center">
-      <div
-        className="absolute inset-0 bg-black/40"
-        onClick={onClose}
-        aria-hidden
-      />
-      <div className="relative z-10 w-[min(680px,92vw)] rounded-2xl bg-white p-6 shadow-xl border border-slate-200">
-        {children}
-      </div>
-    </div>
-  );
+function parseStateYaml(yamlText) {
+  if (!yamlText || !yamlText.trim()) return { data: null, error: "Empty STATE block" };
+  try {
+    const doc = YAML.parse(normalizeStateYaml(yamlText));
+    const data = isPlainObject(doc?.STATE) ? doc.STATE : doc;
+    if (!isPlainObject(data)) return { data: null, error: "STATE is not a mapping" };
+    return { data, error: null };
+  } catch (e) {
+    return { data: null, error: `YAML parse error: ${e?.message || String(e)}` };
+  }
 }
 
-// ------------------------------ Main App ------------------------------
-export default function App() {
-  // Settings
-  const [apiKey, setApiKey] = useState("");
-  const [baseUrl, setBaseUrl] = useState("https://api.openai.com/v1");
-  const [model, setModel] = useState("gpt-4o-mini");
-  const [settingsOpen, setSettingsOpen] = useState(false);
-  const fileInputRef = useRef(null);
-  const sessionFileInputRef = useRef(null);
-  const [magicCopied, setMagicCopied] = useState(false);
+function mergeState(base, patch) {
+  // Deep-merge mappings; arrays and scalars from the patch replace the base value
+  if (!isPlainObject(base)) return structuredClone(patch);
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? mergeState(base[k], v) : structuredClone(v);
+  }
+  return out;
+}
 
-  // Conversation
-  const [messages, setMessages] = useState(() => loadTranscript() ?? []);
-  const [input, setInput] = useState("");
-  const [busy, setBusy] = useState(false);
-  const [error, setError] = useState("");
-  const [retrying, setRetrying] = useState(false);
-  const [retryNote, setRetryNote] = useState("");
-  const [toast, setToast] = useState("");
-  const toastTimerRef = useRef(null);
-  const lastActionRef = useRef(0);
+// True when a field's numeric scores are all on a 0–1 scale. The scale is decided for the whole field,
+// not value by value, so a perfect 1 next to 0.5 reads as 100% rather than 1%.
+function isFractionScale(values) {
+  const nums = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  return nums.some((v) => v > 0) && nums.every((v) => v >= 0 && v <= 1);
+}
 
-  // State drawer
-  const [drawerOpen, setDrawerOpen] = useState(false);
-  const [lastYaml, setLastYaml] = useState(() => localStorage.getItem(LS_KEYS.lastYaml) || "");
-  const [metrics, setMetrics] = useState(() =>
-    loadMetrics() || { requests: 0, prompt: 0, completion: 0, total: 0, last: { prompt: 0, completion: 0, total: 0 } }
-  );
+export function scoreValue(v, fraction = isFractionScale([v])) {
+  // Accepts 85, "85", "85%", "3/4" and 0.85 → percent; null when not a score
+  if (typeof v === "number" && Number.isFinite(v)) return fraction ? v * 100 : v;
+  if (typeof v !== "string") return null;
+  const t = v.trim();
+  const frac = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(t);
+  if (frac) return Number(frac[2]) ? (Number(frac[1]) / Number(frac[2])) * 100 : null;
+  const pct = /^(\d+(?:\.\d+)?)\s*%?$/.exec(t);
+  return pct ? Number(pct[1]) : null;
+}
 
-  const transcriptEndRef = useRef(null);
+function kindMatches(kind, v) {
+  const optional = kind.endsWith("?");
+  const k = optional ? kind.slice(0, -1) : kind;
+  if (v == null) return optional;
+  if (k === "array") return Array.isArray(v);
+  if (k === "object" || k === "scores") return isPlainObject(v);
+  if (k === "number") return typeof v === "number" || (typeof v === "string" && scoreValue(v) != null);
+  return typeof v === k;
+}
 
-  // Load saved settings once
-  useEffect(() => {
-    const s = loadSettings();
-    if (s) {
-      setApiKey(s.apiKey || "");
-      setBaseUrl(s.baseUrl || "https://api.openai.com/v1");
-      setModel(s.model || "gpt-4o-mini");
+function validateState(st, schema = STATE_SCHEMA) {
+  // Returns human-readable problems; an empty list means the STATE is well-formed
+  const problems = [];
+  if (!isPlainObject(st)) return ["STATE is not a mapping"];
+  for (const [section, fields] of Object.entries(schema)) {
+    const sec = st[section];
+    if (sec === undefined) {
+      problems.push(`Missing section: ${section}`);
+      continue;
     }
-    // Consume MagicLink config from URL fragment, if present
-    try {
-      const cfg = parseMagicLinkFromHash();
-      if (cfg) {
-        setBaseUrl(cfg.baseUrl || "");
-        setModel(cfg.model || "");
-        setApiKey(cfg.apiKey || "");
-        saveSettings({ apiKey: cfg.apiKey || "", baseUrl: cfg.baseUrl || "", model: cfg.model || "" });
-        // Remove the fragment to avoid lingering secrets in the address bar
-        if (typeof history?.replaceState === "function") {
-          history.replaceState(null, "", window.location.pathname + window.location.search);
+    if (!isPlainObject(sec)) {
+      problems.push(`${section} should be a mapping`);
+      continue;
+    }
+    for (const [field, kind] of Object.entries(fields)) {
+      if (!(field in sec)) {
+        problems.push(`Missing key: ${section}.${field}`);
+      } else if (!kindMatches(kind, sec[field])) {
+        problems.push(`${section}.${field} should be ${kind.replace("?", " or null")}`);
+      } else if (kind === "scores") {
+        const fraction = isFractionScale(Object.values(sec[field]));
+        for (const [topic, score] of Object.entries(sec[field])) {
+          const pct = scoreValue(score, fraction);
+          if (pct == null) problems.push(`${section}.${field}["${topic}"] is not numeric (${JSON.stringify(score)})`);
+          else if (pct < 0 || pct > 100) problems.push(`${section}.${field}["${topic}"] is out of range (${score})`);
         }
       }
-    } catch {}
-  }, []);
-
-  // Auto-scroll transcript
-  useEffect(() => {
-    transcriptEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, drawerOpen]);
+    }
+  }
+  const pr = st.progress;
+  if (isPlainObject(pr) && typeof pr.current_stage === "number") {
+    const total = typeof pr.stages_total === "number" ? pr.stages_total : 8;
+    if (!Number.isInteger(pr.current_stage) || pr.current_stage < 0 || pr.current_stage >= total) {
+      problems.push(`progress.current_stage ${pr.current_stage} is outside 0–${total - 1}`);
+    }
+  }
+  const sp = st.mini_exam?.score_pct;
+  if (sp != null && scoreValue(sp) != null && (scoreValue(sp) < 0 || scoreValue(sp) > 100)) {
+    problems.push(`mini_exam.score_pct is out of range (${sp})`);
+  }
+  return problems;
+}
 
-  // Persist transcript
-  useEffect(() => {
-    saveTranscript(messages);
-  }, [messages]);
+function stageInfoFromState(st, fallbackTotal = 8) {
+  const cur = st?.progress?.current_stage;
+  const total = st?.progress?.stages_total;
+  return {
+    current: Number.isFinite(Number(cur)) && cur !== "" && cur != null ? Number(cur) : null,
+    total: Number.isFinite(Number(total)) && total ? Number(total) : fallbackTotal,
+  };
+}
 
-  // Persist last YAML
-  useEffect(() => {
-    saveLastYaml(lastYaml || "");
-  }, [lastYaml]);
+// ------------------------------ Helpers: Commands ------------------------------
+// Whole-message commands from the composer ("NEXT", "/goto 3", "hint"). HELP stays on the
+// device; the rest reach the coach in canonical form unless commandProblem rejects them first.
+const COMMANDS = [
+  { name: "NEXT", help: "Advance to the next stage", code: "KeyN" },
+  { name: "BACK", help: "Go back to the previous stage (its output, e.g. the plan, is shown again)", code: "KeyB" },
+  { name: "GOTO", arg: "n", help: "Jump to stage n", code: "KeyG" },
+  { name: "HINT", help: "A hint for the current item or step, without the answer", code: "KeyI" },
+  { name: "REPEAT", help: "Re-run the current stage's drill or question set with fresh items", code: "KeyR" },
+  { name: "SKIP", help: "Skip the current item (or the stage, if it has no items)", code: "KeyK" },
+  { name: "STATE", help: "Show or hide the YAML STATE", code: "KeyY" },
+  { name: "HELP", help: "List the commands and shortcuts", code: "Slash" },
+];
 
-  // Persist metrics
-  useEffect(() => {
-    saveMetrics(metrics);
-  }, [metrics]);
+// On a Mac, Option+key types characters (π, ≤, ∫), so shortcuts there only work outside text fields
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || "");
+const commandShortcut = (c) => `${IS_MAC ? "Option" : "Alt"}+${c.code === "Slash" ? "/" : c.code.slice(3)}`;
+const commandUsage = (c) => (c.arg ? `${c.name} <${c.arg}>` : c.name);
 
-  // Derived: stage progress (best-effort parse)
-  const stageInfo = useMemo(() => parseStageProgress(lastYaml), [lastYaml]);
+// → null for ordinary text, else {name, n?, text} or {error}. A command word followed by more
+// words ("skip the intro?") is a question; only "/…" reports unknown commands.
+function parseCommand(input) {
+  const raw = String(input || "").trim();
+  const m = /^(\/)?\s*([a-z]+)(?:\s+(.*))?$/i.exec(raw);
+  if (!m) return null;
+  const cmd = COMMANDS.find((c) => c.name === m[2].toUpperCase());
+  const rest = (m[3] || "").trim();
+  if (!cmd) return m[1] ? { error: `Unknown command /${m[2]} — type HELP for the list` } : null;
+  if (!cmd.arg) return rest ? null : { name: cmd.name, text: cmd.name };
+  const n = /^(?:stage\s*)?(-?\d+)$/i.exec(rest);
+  if (n) return { name: cmd.name, n: Number(n[1]), text: `${cmd.name} ${Number(n[1])}` };
+  return m[1] || !rest ? { error: `Usage: ${commandUsage(cmd)} — e.g. ${cmd.name} 3` } : null;
+}
 
-  const hasSession = messages.length > 0;
+// Local guards, so impossible moves never cost an API call; null when the command may go out
+function commandProblem(cmd, { current, total, hasSession }) {
+  if (cmd.name === "HELP") return null;
+  if (!hasSession) return "Start a session first";
+  // The stage count always comes from the pack; only the moves relative to the current stage need it
+  const last = total - 1;
+  if (cmd.name === "GOTO" && (!Number.isInteger(cmd.n) || cmd.n < 0 || cmd.n > last)) return `There is no Stage ${cmd.n}: this session has stages 0–${last}`;
+  if (current == null) return null;
+  if (cmd.name === "NEXT" && current >= last) return `Stage ${current} is the last stage`;
+  if (cmd.name === "BACK" && current <= 0) return "Already at Stage 0";
+  if (cmd.name === "GOTO" && cmd.n === current) return `Already on Stage ${current}`;
+  return null;
+}
 
-  // ---- Token metrics helpers (inside App scope) ----
-  function showToast(msg) {
-    try { if (toastTimerRef.current) clearTimeout(toastTimerRef.current); } catch {}
-    setToast(msg);
-    toastTimerRef.current = setTimeout(() => setToast("") , 2000);
+// Stage from the latest coach heading ("### Stage 2 — …"), for when STATE hasn't been shown
+function transcriptStage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role !== "assistant") continue;
+    const m = /^[#*\s]*Stage (\d+)\b/m.exec(String(messages[i].content || ""));
+    if (m) return Number(m[1]);
   }
+  return null;
+}
 
-  function approxTokensFromText(t) {
-    if (!t) return 0;
-    const chars = t.length;
-    return Math.ceil(chars / 4); // rough heuristic
-  }
+// Slash-autocomplete matches for the composer text ("/re" → REPEAT)
+function commandSuggestions(input) {
+  const m = /^\/([a-z]*)$/i.exec(String(input || ""));
+  return m ? COMMANDS.filter((c) => c.name.startsWith(m[1].toUpperCase())) : [];
+}
 
-  function approxPromptTokensFromMessages(msgs) {
-    try {
-      const joined = (msgs || []).map(m => (m?.content || "")).join("\n");
-      return approxTokensFromText(joined);
-    } catch {
-      return 0;
+// ------------------------------ Helpers: Curriculum packs ------------------------------
+function loadCustomPacks() {
+  const list = loadJsonKey(LS_KEYS.packs);
+  return Array.isArray(list) ? list.filter((p) => isPlainObject(p) && p.id) : [];
+}
+
+function saveCustomPacks(list) {
+  try {
+    localStorage.setItem(LS_KEYS.packs, JSON.stringify(list));
+  } catch {}
+}
+
+function schemaForPack(pack) {
+  return pack?.state_template ? schemaFromTemplate(packTemplate(pack)) : STATE_SCHEMA;
+}
+
+function validatePack(p) {
+  // Returns problems that would make the generated controller prompt unusable
+  const errs = [];
+  if (!isPlainObject(p)) return ["Pack must be a mapping"];
+  if (typeof p.name !== "string" || !p.name.trim()) errs.push("name is required");
+  if (typeof p.goal !== "string" || !p.goal.trim()) errs.push("goal is required");
+  if (!Array.isArray(p.taxonomy) || !p.taxonomy.length || p.taxonomy.some((t) => typeof t !== "string")) {
+    errs.push("taxonomy must be a non-empty list of topic names");
+  }
+  if (!Array.isArray(p.stages) || !p.stages.length) {
+    errs.push("stages must be a non-empty list");
+  } else {
+    p.stages.forEach((st, i) => {
+      if (!isPlainObject(st) || typeof st.title !== "string" || !st.title.trim()) errs.push(`stages[${i}].title is required`);
+      else if (st.steps != null && (!Array.isArray(st.steps) || st.steps.some((x) => typeof x !== "string"))) {
+        errs.push(`stages[${i}].steps must be a list of strings`);
+      }
+    });
+  }
+  const th = p.thresholds;
+  if (th != null) {
+    if (!isPlainObject(th)) errs.push("thresholds must be a mapping");
+    else {
+      const lo = th.needs_work_below ?? 70;
+      const hi = th.strong_above ?? 85;
+      if (typeof lo !== "number" || typeof hi !== "number" || lo < 0 || hi > 100 || lo >= hi) {
+        errs.push("thresholds need 0 ≤ needs_work_below < strong_above ≤ 100");
+      }
     }
   }
-
-  function recordUsage({ usage, msgs, completionText }) {
-    const promptTokens = usage?.prompt_tokens ?? approxPromptTokensFromMessages(msgs || []);
-    const completionTokens = usage?.completion_tokens ?? approxTokensFromText(completionText || "");
-    const totalTokens = usage?.total_tokens ?? (promptTokens + completionTokens);
-    setMetrics((m) => ({
-      requests: (m.requests || 0) + 1,
-      prompt: (m.prompt || 0) + promptTokens,
-      completion: (m.completion || 0) + completionTokens,
-      total: (m.total || 0) + totalTokens,
-      last: { prompt: promptTokens, completion: completionTokens, total: totalTokens },
-    }));
+  if (!isPlainObject(p.state_template)) errs.push("state_template must be a mapping of STATE sections");
+  else if (Object.values(p.state_template).some((v) => !isPlainObject(v))) errs.push("each state_template section must be a mapping");
+  if (p.quiz != null && Array.isArray(p.stages)) {
+    const n = p.stages.length;
+    const ok = (x) => Number.isInteger(x) && x >= 0 && x < n;
+    if (!isPlainObject(p.quiz) || !ok(p.quiz.diagnostic_stage) || !ok(p.quiz.mini_exam_stage)) {
+      errs.push("quiz needs diagnostic_stage and mini_exam_stage within the stage list");
+    }
   }
+  return errs;
+}
 
-  function canAct() {
-    const now = Date.now();
-    if (now - lastActionRef.current < 300) return false;
-    lastActionRef.current = now;
-    return true;
+function parsePackText(text) {
+  // Packs are YAML or JSON; returns {pack, errors}
+  let obj;
+  try {
+    obj = YAML.parse(text);
+  } catch (e) {
+    return { pack: null, errors: [`Parse error: ${e?.message || String(e)}`] };
   }
+  const errors = validatePack(obj);
+  if (errors.length) return { pack: null, errors };
+  const { builtin, ...rest } = obj;
+  return { pack: { kind: "pcpc.pack.v1", version: 1, ...rest, id: typeof obj.id === "string" && obj.id ? obj.id : newId() }, errors: [] };
+}
 
-  async function ensureSettings() {
-    if (!baseUrl) throw new Error("Base URL is required");
-    // Some providers (local) may not require an API key
-    if (/openai\.com/.test(baseUrl) && !apiKey) {
-      throw new Error("API key required for OpenAI base URL");
+function findPack(id, customPacks) {
+  return [DEFAULT_PACK, ...customPacks].find((p) => p.id === id) || DEFAULT_PACK;
+}
+
+function packToYaml(pack) {
+  const { builtin, ...rest } = pack;
+  return YAML.stringify(rest, { lineWidth: 0 });
+}
+
+// Replays the STATE fragments a transcript recorded (app patches on user messages, coach
+// STATE blocks) so the model can be rolled back to any earlier turn.
+function stateFromMessages(messages, pack = DEFAULT_PACK) {
+  const schema = schemaForPack(pack);
+  let state = null;
+  let lastYaml = "";
+  let problems = [];
+  for (const m of messages) {
+    if (m.role === "user" && isPlainObject(m.statePatch)) {
+      state = mergeState(state || emptyState(pack), m.statePatch);
+      problems = validateState(state, schema);
+    } else if (m.role === "assistant") {
+      const yaml = extractStateYaml(m.content || "");
+      if (!yaml) continue;
+      lastYaml = yaml;
+      const { data, error } = parseStateYaml(yaml);
+      if (!data) {
+        problems = [error];
+        continue;
+      }
+      problems = validateState(data, schema);
+      state = mergeState(state || emptyState(pack), data);
     }
   }
+  return { state, lastYaml, problems };
+}
 
-  function handleSaveSettings() {
-    saveSettings({ apiKey, baseUrl, model });
-    setSettingsOpen(false);
-    showToast("Settings saved");
-  }
+function stateToYaml(st) {
+  return st ? YAML.stringify({ STATE: st }) : "";
+}
 
-  function downloadConfig() {
-    const cfg = { baseUrl, model, apiKey };
-    const blob = new Blob([JSON.stringify(cfg, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "precalc-config.json";
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast("Config exported");
-  }
+// ------------------------------ Helpers: Transcript branches ------------------------------
+// `messages` is always the active path. The first message of a fork carries `branches` (every
+// alternative tail from that index; the active slot is null) and `branch` (the active slot).
+function stripBranchInfo(msg) {
+  const { branches, branch, ...rest } = msg;
+  return rest;
+}
 
-  // ------------------------------ Session Import/Export ------------------------------
-  function exportSession() {
+// Fields for a new message that replaces messages[idx..] while keeping the old tail as a branch
+function forkMeta(messages, idx) {
+  const first = messages[idx];
+  if (!first) return {};
+  const branches = first.branches ? [...first.branches] : [null];
+  branches[first.branch ?? 0] = [stripBranchInfo(first), ...messages.slice(idx + 1)];
+  branches.push(null);
+  return { branches, branch: branches.length - 1 };
+}
+
+function switchBranch(messages, idx, to) {
+  const first = messages[idx];
+  if (!first?.branches || to === first.branch || !first.branches[to]) return messages;
+  const branches = [...first.branches];
+  branches[first.branch] = [stripBranchInfo(first), ...messages.slice(idx + 1)];
+  const [lead, ...rest] = branches[to];
+  branches[to] = null;
+  return [...messages.slice(0, idx), { ...lead, branches, branch: to }, ...rest];
+}
+
+// ------------------------------ Helpers: Structured items ------------------------------
+// The coach hands quiz items over as data: a present_items tool call where the provider
+// supports tools, else a fenced ```items block. Tool calls are folded back into that same
+// block, so transcripts and exports only ever carry text. Answers go back as ```answers.
+const ITEM_KINDS = ["choice", "numeric", "expression"];
+const ITEM_FORMS = ["factored", "simplified", "exact"];
+
+const ITEMS_TOOL = {
+  name: "present_items",
+  description: "Show Diagnostic, Drill or Mini-Exam items to the student as interactive answer cards. Put each answer key in `answer`; the app hides it and checks the student's answers on the device.",
+  parameters: {
+    type: "object",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string", description: "Short unique id, e.g. d1" },
+            kind: { type: "string", enum: ITEM_KINDS },
+            prompt: { type: "string", description: "Markdown; math in $...$" },
+            choices: { type: "array", items: { type: "string" }, description: "choice items: 2–5 options" },
+            unit: { type: "string", description: "numeric items: the unit the answer is in (with units, the right pick)" },
+            units: { type: "array", items: { type: "string" }, description: "numeric items: units the student picks from" },
+            answer: { type: "string", description: "Answer key, hidden from the student: the 0-based choice index, or the value/expression, e.g. (x-3)(x+2)" },
+            form: { type: "string", enum: ITEM_FORMS, description: "Only when the form is being tested" },
+          },
+          required: ["id", "kind", "prompt"],
+        },
+      },
+    },
+    required: ["items"],
+  },
+};
+
+const strList = (v) => (Array.isArray(v) ? v.filter((x) => typeof x === "string" || typeof x === "number").map(String) : []);
+
+// → {items, error}; accepts {"items":[...]} or a bare list
+function parseItemsBlock(text) {
+  let raw;
+  try {
+    raw = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (e) {
+    return { items: [], error: `Items are not valid JSON (${e?.message || e})` };
+  }
+  const list = Array.isArray(raw) ? raw : raw?.items;
+  if (!Array.isArray(list) || !list.length) return { items: [], error: "No items in the block" };
+  const seen = new Set();
+  const items = [];
+  list.forEach((x, i) => {
+    if (!isPlainObject(x) || typeof x.prompt !== "string" || !x.prompt.trim()) return;
+    let id = String(x.id ?? i + 1).trim() || String(i + 1);
+    while (seen.has(id)) id += "'";
+    seen.add(id);
+    const choices = strList(x.choices);
+    const kind = ITEM_KINDS.includes(x.kind) ? x.kind : choices.length ? "choice" : "expression";
+    // The answer key never reaches the cards; it is only used by checkItemAnswer
+    const key = {
+      answer: typeof x.answer === "string" || typeof x.answer === "number" ? x.answer : null,
+      form: ITEM_FORMS.includes(x.form) ? x.form : null,
+    };
+    if (kind === "choice") {
+      if (choices.length >= 2) items.push({ id, kind, prompt: x.prompt, choices, ...key });
+      else items.push({ id, kind: "expression", prompt: x.prompt, ...key, answer: null });
+    } else if (kind === "numeric") {
+      const units = strList(x.units);
+      items.push({ id, kind, prompt: x.prompt, unit: typeof x.unit === "string" && x.unit.trim() ? x.unit.trim() : null, units, ...key });
+    } else {
+      items.push({ id, kind, prompt: x.prompt, ...key });
+    }
+  });
+  return items.length ? { items, error: null } : { items: [], error: "None of the items has a prompt" };
+}
+
+// Provider tool calls ({name, args}) → the fenced blocks the rest of the app reads
+function toolCallsToText(text, calls) {
+  const blocks = (calls || []).map((c) => {
+    let args = c?.args;
     try {
-      const payload = {
-        kind: "pcpc.session.v1",
-        exportedAt: new Date().toISOString(),
-        messages,
-        lastYaml: lastYaml || "",
-      };
-      const ts = new Date().toISOString().replace(/[:.]/g, "-");
-      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `precalc-session-${ts}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-      showToast("Session exported");
-    } catch (e) {
-      alert("Export failed: " + (e?.message || String(e)));
+      if (typeof args === "string") args = JSON.parse(args);
+    } catch {
+      // Leave malformed arguments visible; the card explains the parse error
+      return c?.name === ITEMS_TOOL.name ? "```items\n" + args + "\n```" : "";
+    }
+    if (c?.name === ITEMS_TOOL.name) return "```items\n" + JSON.stringify({ items: args?.items ?? args }) + "\n```";
+    if (c?.name === STATE_TOOL.name) return stateFieldBlock(args?.state ?? args);
+    return "";
+  });
+  return [text, ...blocks].filter((x) => x && x.trim()).join("\n\n");
+}
+
+// One answer per item, in item order; blanks are sent as empty so ids still line up
+function itemAnswersFor(items, responses) {
+  return items.map((it) => {
+    const r = responses[it.id];
+    if (it.kind === "choice") {
+      const i = r == null || r === "" ? null : Number(r);
+      return { id: it.id, choice: i, text: i == null ? "" : it.choices[i] };
     }
+    if (it.kind === "numeric") {
+      return { id: it.id, value: String(r?.value ?? "").trim(), unit: r?.unit || (it.units.length ? null : it.unit) };
+    }
+    return { id: it.id, value: String(r ?? "").trim() };
+  });
+}
+
+// Answers the app could check against the answer key carry `verified` (and a `note`)
+function itemAnswersMessage(items, responses) {
+  const answers = itemAnswersFor(items, responses).map((a, i) => {
+    const check = checkItemAnswer(items[i], a);
+    return check ? { ...a, verified: check.verdict, ...(check.note ? { note: check.note } : {}) } : a;
+  });
+  const header = answers.some((a) => a.verified) ? "ANSWERS (structured; match by id; verified = checked against your answer key on the device)" : "ANSWERS (structured; match by id)";
+  return `${header}\n\`\`\`answers\n${JSON.stringify({ answers })}\n\`\`\``;
+}
+
+// id → answer from a user message, or null when it carries no answers block
+function parseAnswersBlock(text) {
+  const m = /```answers\n([\s\S]*?)```/.exec(String(text || ""));
+  if (!m) return null;
+  try {
+    const list = JSON.parse(m[1])?.answers;
+    return Array.isArray(list) ? Object.fromEntries(list.filter((a) => isPlainObject(a) && a.id != null).map((a) => [String(a.id), a])) : null;
+  } catch {
+    return null;
   }
+}
 
-  async function onImportSessionFile(file) {
-    if (!file) return;
-    try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      const msgs = Array.isArray(data?.messages) ? data.messages : [];
-      const y = typeof data?.lastYaml === "string" ? data.lastYaml : "";
-      setMessages(msgs);
-      setLastYaml(y);
-      if (y) setDrawerOpen(true);
-      setMetrics({ requests: 0, prompt: 0, completion: 0, total: 0, last: { prompt: 0, completion: 0, total: 0 } });
-      setSettingsOpen(false);
-      showToast("Session imported");
-    } catch (e) {
-      alert("Import failed: " + (e?.message || String(e)));
-    } finally {
-      if (sessionFileInputRef.current) sessionFileInputRef.current.value = "";
+// Items JSON without answer keys (answer, form), for anything the student sees or exports
+function hideItemKeys(json) {
+  try {
+    const raw = JSON.parse(json);
+    const list = Array.isArray(raw) ? raw : raw?.items;
+    if (Array.isArray(list)) {
+      const items = list.map((x) => (isPlainObject(x) ? Object.fromEntries(Object.entries(x).filter(([k]) => k !== "answer" && k !== "form")) : x));
+      return JSON.stringify(Array.isArray(raw) ? items : { ...raw, items });
     }
+  } catch {
+    // Not JSON: cut the keys out of the text
   }
+  return String(json)
+    .replace(/,?\s*"(?:answer|form)"\s*:\s*(?:"(?:[^"\\]|\\.)*"|-?[\d.]+)/g, "")
+    .replace(/\{\s*,/g, "{");
+}
 
-  function tryParseConfig(text) {
-    // Try JSON first
-    try {
-      const j = JSON.parse(text);
-      if (j && (j.apiKey || j.baseUrl || j.model)) return j;
-    } catch {}
-    // Then YAML
-    try {
-      const y = YAML.parse(text);
-      if (y && (y.apiKey || y.baseUrl || y.model)) return y;
-    } catch {}
-    return null;
+// Message text with answer keys hidden; an unclosed ```items block (still streaming) is dropped
+function withoutAnswerKeys(text) {
+  return String(text || "").replace(/```items\n([\s\S]*?)(```|$)/g, (_, body, end) => (end ? `\`\`\`items\n${hideItemKeys(body.trim())}\n\`\`\`` : ""));
+}
+
+// A submitted answer back in the card's input shape
+function answerResponse(a, item) {
+  if (!a) return item.kind === "numeric" ? {} : "";
+  if (item.kind === "choice") return a.choice ?? "";
+  if (item.kind === "numeric") return { value: a.value ?? "", unit: a.unit ?? "" };
+  return a.value ?? "";
+}
+
+function answerText(a) {
+  if (!a) return "";
+  if ("choice" in a) return a.text || (a.choice == null ? "" : `option ${Number(a.choice) + 1}`);
+  return [a.value, a.value && a.unit].filter(Boolean).join(" ");
+}
+
+// ------------------------------ Helpers: STATE field mode ------------------------------
+// Optional mode where the coach reports STATE on every turn through a report_state tool call
+// (or, without tools, a trailing ```state block), whatever the student's visibility toggle.
+// The call is stored as that ```state block, which extractStateYaml already reads; bubbles hide
+// it and the drawer's show/hide stays on the client.
+const STATE_MODES = {
+  fenced: "In the reply, when the student toggles it (YAML block)",
+  field: "Separate field on every turn (tool call)",
+};
+
+const STATE_TOOL = {
+  name: "report_state",
+  description: "Report the complete, updated STATE at the end of every turn. The app stores it and shows it only when the student asks.",
+  parameters: {
+    type: "object",
+    properties: { state: { type: "string", description: "The full STATE as YAML, starting with the line STATE:" } },
+    required: ["state"],
+  },
+};
+
+const STATE_FIELD_PROMPT = `STATE REPORTING (overrides VISIBILITY and the STATE command)
+- Never print STATE or YAML in your reply; the app shows STATE itself when the student asks.
+- At the end of EVERY turn, call the ${STATE_TOOL.name} tool with the complete, updated STATE as YAML starting with "STATE:".
+- If no tools are available, end the reply with the STATE in one fenced block tagged state instead.`;
+
+function stateFieldBlock(v) {
+  // Models sometimes send the mapping itself instead of YAML text
+  let yaml = isPlainObject(v) ? stateToYaml(isPlainObject(v.STATE) ? v.STATE : v) : String(v ?? "").trim();
+  if (!yaml) return "";
+  if (!/^\s*STATE\s*:/m.test(yaml)) yaml = `STATE:\n${yaml.replace(/^/gm, "  ")}`;
+  return "```state\n" + yaml.trim() + "\n```";
+}
+
+// The reporting rules go right after the leading system messages of an outbound request
+function withStateReporting(msgs) {
+  const i = msgs.findIndex((m) => m.role !== "system");
+  const at = i < 0 ? msgs.length : i;
+  return [...msgs.slice(0, at), { role: "system", content: STATE_FIELD_PROMPT }, ...msgs.slice(at)];
+}
+
+// ------------------------------ Question bank (local items + grading) ------------------------------
+// Topics mirror DEFAULT_PACK.taxonomy and are used verbatim as STATE score keys.
+const BANK_TOPICS = [
+  "functions & transformations",
+  "equations & inequalities",
+  "systems",
+  "polynomials & factoring",
+  "rational expressions",
+  "exponentials & logs",
+  "trig basics",
+  "sequences/series",
+  "graphing & asymptotes",
+];
+
+const QUIZ_MODES = {
+  diagnostic: { label: "Diagnostic", count: 8, tag: "LOCAL DIAGNOSTIC RESULTS" },
+  mini_exam: { label: "Mini-Exam", count: 12, tag: "LOCAL MINI-EXAM RESULTS", timed: true },
+};
+
+const EXAM_MIN_PER_ITEM = 1.5;
+
+function examTimeLimitMin(st, itemCount) {
+  // Prefer an explicit exam block from the plan; else 1.5 min/item capped by today's time budget
+  // Only the topic/resource name it: "exam" as a word, so "minimize" or "administer" don't count
+  const block = (Array.isArray(st?.plan?.blocks) ? st.plan.blocks : []).find((b) => isPlainObject(b) && /\bexams?\b/i.test(`${b.topic || ""} ${b.resource || b.resource_type || ""}`));
+  const planned = Number(block?.duration_min ?? parseFloat(block?.duration));
+  if (Number.isFinite(planned) && planned > 0) return planned;
+  const budget = Number(st?.meta?.time_available_min);
+  const byItems = Math.ceil(itemCount * EXAM_MIN_PER_ITEM);
+  return Number.isFinite(budget) && budget > 0 ? Math.min(byItems, budget) : byItems;
+}
+
+function formatClock(sec) {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
   }
+  return h >>> 0;
+}
 
-  function sanitizeConfig(obj) {
-    if (!obj || typeof obj !== "object") return null;
-    const next = {
-      baseUrl: typeof obj.baseUrl === "string" && obj.baseUrl.trim() ? obj.baseUrl.trim() : baseUrl,
-      model: typeof obj.model === "string" && obj.model.trim() ? obj.model.trim() : model,
-      apiKey: typeof obj.apiKey === "string" ? obj.apiKey : apiKey,
-    };
-    return next;
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randInt(rng, lo, hi) {
+  return lo + Math.floor(rng() * (hi - lo + 1));
+}
+
+function randNonZero(rng, lo, hi) {
+  let n = 0;
+  while (n === 0) n = randInt(rng, lo, hi);
+  return n;
+}
+
+function pick(rng, arr) {
+  return arr[Math.floor(rng() * arr.length)];
+}
+
+function shuffleWith(rng, arr) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
   }
+  return out;
+}
 
-  function isNetworkError(err) {
-    try {
-      const msg = (err?.message || String(err) || "").toLowerCase();
-      if (msg.includes("llm error")) return false; // server returned HTTP error; not a network failure
-      return (
-        msg.includes("failed to fetch") ||
-        msg.includes("networkerror") ||
-        msg.includes("load failed") ||
-        (msg.includes("fetch") && !msg.includes("llm error"))
-      );
-    } catch {
-      return false;
-    }
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a || 1;
+}
+
+function fracText(num, den) {
+  const g = gcd(num, den);
+  const n = num / g;
+  const d = den / g;
+  return d === 1 ? String(n) : `${d < 0 ? -n : n}/${Math.abs(d)}`;
+}
+
+// [[coef, var], ...] → "2x - y + 3": skips zero terms and unit coefficients
+function linearTex(terms) {
+  let out = "";
+  for (const [c, v] of terms) {
+    if (!c) continue;
+    const mag = Math.abs(c) === 1 && v ? "" : String(Math.abs(c));
+    out += out ? ` ${c < 0 ? "-" : "+"} ${mag}${v}` : `${c < 0 ? "-" : ""}${mag}${v}`;
   }
+  return out || "0";
+}
 
-  async function chatWithRetry(args) {
-    try {
-      return await callChatCompletions(args);
-    } catch (e) {
-      if (isNetworkError(e)) {
-        setRetryNote("Network issue, retrying…");
-        setRetrying(true);
-        try {
-          await new Promise((r) => setTimeout(r, 700));
-          return await callChatCompletions(args);
-        } finally {
-          setRetrying(false);
-          setRetryNote("");
-        }
-      }
-      throw e;
-    }
+function choiceItem(rng, correct, distractors) {
+  const unique = [...new Set(distractors.filter((d) => d !== correct))].slice(0, 3);
+  const choices = shuffleWith(rng, [correct, ...unique]);
+  return { kind: "choice", choices, answer: choices.indexOf(correct), answerText: correct };
+}
+
+function numericItem(answer, answerText, tolerance) {
+  return { kind: "numeric", answer, answerText: answerText ?? String(answer), tolerance: tolerance || { abs: 1e-6 } };
+}
+
+const TRIG_ANGLES = [
+  { deg: 0, sin: "0", cos: "1", tan: "0" },
+  { deg: 30, sin: "\\frac{1}{2}", cos: "\\frac{\\sqrt{3}}{2}", tan: "\\frac{\\sqrt{3}}{3}" },
+  { deg: 45, sin: "\\frac{\\sqrt{2}}{2}", cos: "\\frac{\\sqrt{2}}{2}", tan: "1" },
+  { deg: 60, sin: "\\frac{\\sqrt{3}}{2}", cos: "\\frac{1}{2}", tan: "\\sqrt{3}" },
+  { deg: 90, sin: "1", cos: "0", tan: "\\text{undefined}" },
+  { deg: 120, sin: "\\frac{\\sqrt{3}}{2}", cos: "-\\frac{1}{2}", tan: "-\\sqrt{3}" },
+  { deg: 135, sin: "\\frac{\\sqrt{2}}{2}", cos: "-\\frac{\\sqrt{2}}{2}", tan: "-1" },
+  { deg: 150, sin: "\\frac{1}{2}", cos: "-\\frac{\\sqrt{3}}{2}", tan: "-\\frac{\\sqrt{3}}{3}" },
+  { deg: 180, sin: "0", cos: "-1", tan: "0" },
+];
+
+const TRIG_VALUES = [
+  "0", "1", "-1", "\\frac{1}{2}", "-\\frac{1}{2}", "\\frac{\\sqrt{2}}{2}", "-\\frac{\\sqrt{2}}{2}",
+  "\\frac{\\sqrt{3}}{2}", "-\\frac{\\sqrt{3}}{2}", "\\sqrt{3}", "\\frac{\\sqrt{3}}{3}",
+];
+
+function radiansTex(deg) {
+  if (deg === 0) return "0";
+  const g = gcd(deg, 180);
+  const n = deg / g;
+  const d = 180 / g;
+  const top = n === 1 ? "\\pi" : `${n}\\pi`;
+  return d === 1 ? top : `\\frac{${top}}{${d}}`;
+}
+
+// Each generator takes a seeded rng and returns {prompt, explain, ...answer fields}.
+const ITEM_GENERATORS = {
+  "functions & transformations": [
+    (rng) => {
+      const a = randNonZero(rng, -4, 4);
+      const b = randInt(rng, -5, 5);
+      const c = randInt(rng, -3, 3);
+      const k = randInt(rng, -3, 3);
+      const ans = a * (k * k + c) + b;
+      return {
+        prompt: `Let $f(x) = ${linearTex([[a, "x"], [b, ""]])}$ and $g(x) = ${linearTex([[1, "x^2"], [c, ""]])}$. Find $f(g(${k}))$.`,
+        explain: `g(${k}) = ${k * k + c}, then f(${k * k + c}) = ${ans}.`,
+        ...numericItem(ans),
+      };
+    },
+    (rng) => {
+      const h = randNonZero(rng, 1, 6);
+      const k = randNonZero(rng, 1, 6);
+      const correct = `$(${h}, ${k})$`;
+      return {
+        prompt: `The graph of $y = x^2$ is shifted ${h} units right and ${k} units up. What is the vertex of the new graph?`,
+        explain: `y = (x - ${h})^2 + ${k} has vertex (${h}, ${k}).`,
+        ...choiceItem(rng, correct, [`$(${-h}, ${k})$`, `$(${h}, ${-k})$`, `$(${k}, ${h})$`, `$(${-h}, ${-k})$`]),
+      };
+    },
+  ],
+  "equations & inequalities": [
+    (rng) => {
+      const x = randInt(rng, -6, 6);
+      const a = randNonZero(rng, 2, 5);
+      const b = randInt(rng, -5, 5);
+      const c = a * (x - b);
+      return {
+        prompt: `Solve for $x$: $${a}(${linearTex([[1, "x"], [-b, ""]])}) = ${c}$.`,
+        explain: `Divide by ${a}: ${linearTex([[1, "x"], [-b, ""]])} = ${c / a}, so x = ${x}.`,
+        ...numericItem(x),
+      };
+    },
+    (rng) => {
+      const a = randInt(rng, -4, 4);
+      const b = randInt(rng, 1, 5);
+      const lo = a - b;
+      const hi = a + b;
+      const correct = `$${lo} < x < ${hi}$`;
+      return {
+        prompt: `Solve $|${linearTex([[1, "x"], [-a, ""]])}| < ${b}$.`,
+        explain: `|x - a| < b means a - b < x < a + b.`,
+        ...choiceItem(rng, correct, [`$x < ${lo}$ or $x > ${hi}$`, `$${-b} < x < ${b}$`, `$${lo} \\le x \\le ${hi}$`]),
+      };
+    },
+  ],
+  systems: [
+    (rng) => {
+      const x = randInt(rng, -5, 5);
+      const y = randInt(rng, -5, 5);
+      let a1, b1, a2, b2;
+      do {
+        a1 = randNonZero(rng, -4, 4);
+        b1 = randNonZero(rng, -4, 4);
+        a2 = randNonZero(rng, -4, 4);
+        b2 = randNonZero(rng, -4, 4);
+      } while (a1 * b2 - a2 * b1 === 0);
+      const askX = rng() < 0.5;
+      const line = (a, b) => `${linearTex([[a, "x"], [b, "y"]])} = ${a * x + b * y}`;
+      return {
+        prompt: `Solve the system and give the value of $${askX ? "x" : "y"}$:\n\n$$\\begin{cases} ${line(a1, b1)} \\\\ ${line(a2, b2)} \\end{cases}$$`,
+        explain: `The solution is (x, y) = (${x}, ${y}).`,
+        ...numericItem(askX ? x : y),
+      };
+    },
+  ],
+  "polynomials & factoring": [
+    (rng) => {
+      const p = randInt(rng, 1, 7);
+      let q = randInt(rng, 1, 7);
+      if (q === p) q = p === 7 ? 1 : p + 1;
+      const correct = `$(x + ${p})(x + ${q})$`;
+      return {
+        prompt: `Factor $x^2 + ${p + q}x + ${p * q}$.`,
+        explain: `Find two numbers with product ${p * q} and sum ${p + q}: ${p} and ${q}.`,
+        ...choiceItem(rng, correct, [`$(x - ${p})(x - ${q})$`, `$(x + ${p})(x - ${q})$`, `$(x - ${p})(x + ${q})$`]),
+      };
+    },
+    (rng) => {
+      const a = randInt(rng, -4, 4);
+      const b = randInt(rng, -6, 6);
+      const r = randNonZero(rng, -3, 3);
+      const ans = r ** 3 + a * r + b;
+      return {
+        prompt: `Find the remainder when $P(x) = ${linearTex([[1, "x^3"], [a, "x"], [b, ""]])}$ is divided by $${linearTex([[1, "x"], [-r, ""]])}$.`,
+        explain: `Remainder theorem: the remainder is P(${r}) = ${ans}.`,
+        ...numericItem(ans),
+      };
+    },
+  ],
+  "rational expressions": [
+    (rng) => {
+      const a = randInt(rng, 1, 9);
+      const correct = `$x + ${a}$`;
+      return {
+        prompt: `Simplify $\\dfrac{x^2 - ${a * a}}{x - ${a}}$ for $x \\ne ${a}$.`,
+        explain: `x^2 - ${a * a} = (x - ${a})(x + ${a}); cancel x - ${a}.`,
+        ...choiceItem(rng, correct, [`$x - ${a}$`, `$x^2 - ${a}$`, `$\\dfrac{1}{x + ${a}}$`]),
+      };
+    },
+    (rng) => {
+      const a = randInt(rng, 2, 6);
+      let b = randInt(rng, 2, 6);
+      if (b === a) b = a + 1;
+      return {
+        prompt: `Write as a single fraction and give its value: $\\dfrac{1}{${a}} + \\dfrac{1}{${b}}$.`,
+        explain: `Common denominator ${a * b}: (${b} + ${a}) / ${a * b} = ${fracText(a + b, a * b)}.`,
+        ...numericItem((a + b) / (a * b), fracText(a + b, a * b), { abs: 1e-3 }),
+      };
+    },
+  ],
+  "exponentials & logs": [
+    (rng) => {
+      const base = pick(rng, [2, 3, 5, 10]);
+      const n = randInt(rng, -2, 4);
+      const arg = n >= 0 ? String(base ** n) : `\\frac{1}{${base ** -n}}`;
+      return {
+        prompt: `Evaluate $\\log_{${base}}\\left(${arg}\\right)$.`,
+        explain: `${base}^${n} = ${n >= 0 ? base ** n : `1/${base ** -n}`}, so the log is ${n}.`,
+        ...numericItem(n),
+      };
+    },
+    (rng) => {
+      const base = pick(rng, [2, 3, 5]);
+      const k = randInt(rng, -3, 3);
+      const m = randInt(rng, 1, 5);
+      return {
+        prompt: `Solve for $x$: $${base}^{${linearTex([[1, "x"], [k, ""]])}} = ${base ** m}$.`,
+        explain: `${base ** m} = ${base}^${m}, so ${linearTex([[1, "x"], [k, ""]])} = ${m} and x = ${m - k}.`,
+        ...numericItem(m - k),
+      };
+    },
+  ],
+  "trig basics": [
+    (rng) => {
+      const row = pick(rng, TRIG_ANGLES);
+      const fn = pick(rng, ["sin", "cos", "tan"]);
+      const correct = `$${row[fn]}$`;
+      const distractors = shuffleWith(rng, TRIG_VALUES).map((v) => `$${v}$`);
+      return {
+        prompt: `Find the exact value of $\\${fn}\\left(${radiansTex(row.deg)}\\right)$.`,
+        explain: `${radiansTex(row.deg)} rad = ${row.deg}°; use the unit circle.`,
+        ...choiceItem(rng, correct, distractors),
+      };
+    },
+    (rng) => {
+      const deg = pick(rng, [30, 45, 60, 120, 135, 150, 210, 225, 240, 270, 300, 315, 330]);
+      const correct = `$${radiansTex(deg)}$`;
+      const others = shuffleWith(rng, [30, 45, 60, 90, 120, 135, 150, 210, 240, 300, 330].filter((d) => d !== deg));
+      return {
+        prompt: `Convert $${deg}^\\circ$ to radians.`,
+        explain: `Multiply by π/180: ${deg}·π/180 = ${radiansTex(deg)}.`,
+        ...choiceItem(rng, correct, others.map((d) => `$${radiansTex(d)}$`)),
+      };
+    },
+  ],
+  "sequences/series": [
+    (rng) => {
+      const a1 = randInt(rng, -5, 10);
+      const d = randNonZero(rng, -4, 6);
+      const n = randInt(rng, 8, 20);
+      const ans = a1 + (n - 1) * d;
+      return {
+        prompt: `An arithmetic sequence has $a_1 = ${a1}$ and common difference $d = ${d}$. Find $a_{${n}}$.`,
+        explain: `a_n = a_1 + (n - 1)d = ${a1} + ${n - 1}·${d} = ${ans}.`,
+        ...numericItem(ans),
+      };
+    },
+    (rng) => {
+      const a = randInt(rng, 1, 5);
+      const r = pick(rng, [2, 3]);
+      const n = randInt(rng, 3, 6);
+      const ans = (a * (r ** n - 1)) / (r - 1);
+      return {
+        prompt: `Find the sum of the first ${n} terms of the geometric series $${a} + ${a * r} + ${a * r * r} + \\cdots$.`,
+        explain: `S_n = a(r^n - 1)/(r - 1) = ${a}(${r}^${n} - 1)/${r - 1} = ${ans}.`,
+        ...numericItem(ans),
+      };
+    },
+  ],
+  "graphing & asymptotes": [
+    (rng) => {
+      const q = randNonZero(rng, -6, 6);
+      let p = randInt(rng, -6, 6);
+      if (p === -q) p += 1;
+      return {
+        prompt: `Find the vertical asymptote of $y = \\dfrac{${linearTex([[1, "x"], [p, ""]])}}{${linearTex([[1, "x"], [-q, ""]])}}$. Give the value $x = ?$`,
+        explain: `The denominator is zero at x = ${q} and the numerator is not.`,
+        ...numericItem(q),
+      };
+    },
+    (rng) => {
+      const a = randNonZero(rng, -6, 6);
+      const b = randInt(rng, 1, 6);
+      return {
+        prompt: `Find the horizontal asymptote of $y = \\dfrac{${linearTex([[a, "x"], [1, ""]])}}{${linearTex([[b, "x"], [-2, ""]])}}$. Give the value $y = ?$`,
+        explain: `Equal degrees: ratio of leading coefficients ${a}/${b} = ${fracText(a, b)}.`,
+        ...numericItem(a / b, fracText(a, b), { abs: 1e-3 }),
+      };
+    },
+  ],
+};
+
+function matchBankTopic(name) {
+  // Map free-form topic names from STATE (e.g., "logs") onto a bank topic
+  const norm = String(name || "").toLowerCase();
+  const exact = BANK_TOPICS.find((t) => norm.includes(t) || t.includes(norm));
+  if (exact && norm) return exact;
+  const words = norm.split(/[^a-z]+/).filter((w) => w.length >= 3);
+  return BANK_TOPICS.find((t) => words.some((w) => t.includes(w.replace(/s$/, "")))) || null;
+}
+
+function generateItem(rng, topic, index) {
+  const gens = ITEM_GENERATORS[topic];
+  const item = pick(rng, gens)(rng);
+  return { id: `Q${index + 1}`, topic, ...item };
+}
+
+// Bank topics a pack can be quizzed on, as {bank, key}: `key` is the STATE score key. The
+// built-in pack gets the whole bank; a custom pack only the bank topics its taxonomy names
+// (parenthetical notes ignored), keyed by its own topic names. Empty: no app-graded items.
+function packQuizTopics(pack) {
+  if (pack?.builtin) return BANK_TOPICS.map((bank) => ({ bank, key: bank }));
+  const norm = (s) => String(s).toLowerCase().replace(/\s*\([^)]*\)\s*$/, "").replace(/\s+/g, " ").trim();
+  return (pack?.taxonomy || []).flatMap((key) => {
+    const bank = BANK_TOPICS.find((b) => b === norm(key));
+    return bank ? [{ bank, key }] : [];
+  });
+}
+
+function buildQuiz(mode, { seed, targets = [], topics: pool = packQuizTopics(DEFAULT_PACK) }) {
+  // Deterministic for a given seed: same session + mode serves the same items
+  const rng = mulberry32(seed);
+  const spec = QUIZ_MODES[mode];
+  const order = shuffleWith(rng, pool);
+  let topics;
+  if (mode === "diagnostic") {
+    topics = order.slice(0, spec.count);
+  } else {
+    const banks = new Set(targets.map(matchBankTopic).filter(Boolean));
+    const focus = pool.filter((t) => banks.has(t.bank));
+    topics = focus.flatMap((t) => [t, t]);
+    const rest = order.filter((t) => !focus.includes(t));
+    for (let i = 0; topics.length < spec.count; i++) topics.push(rest.length ? rest[i % rest.length] : order[i % order.length]);
+    topics = shuffleWith(rng, topics.slice(0, spec.count));
   }
+  return topics.map((t, i) => ({ ...generateItem(rng, t.bank, i), topic: t.key }));
+}
 
-  async function onImportConfigFile(file) {
-    if (!file) return;
-    try {
-      const text = await file.text();
-      const raw = tryParseConfig(text);
-      if (!raw) throw new Error("Could not parse config (JSON or YAML)");
-      const cfg = sanitizeConfig(raw);
-      if (!cfg) throw new Error("Invalid config format");
-      setBaseUrl(cfg.baseUrl || "");
-      setModel(cfg.model || "");
-      setApiKey(cfg.apiKey || "");
-      saveSettings({ apiKey: cfg.apiKey || "", baseUrl: cfg.baseUrl || "", model: cfg.model || "" });
-      showToast("Config imported");
-    } catch (e) {
-      alert("Import failed: " + (e?.message || String(e)));
-    } finally {
-      if (fileInputRef.current) fileInputRef.current.value = "";
-    }
+function parseNumericAnswer(raw) {
+  // Accepts "3", "-2.5", "3/4", "x = 3", "y=-1/2"; null when not a plain number
+  if (raw == null) return null;
+  const t = String(raw).trim().replace(/^[a-z]\s*=\s*/i, "").replace(/\s+/g, "").replace(/−/g, "-");
+  if (!t) return null;
+  const frac = /^(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/.exec(t);
+  if (frac) return Number(frac[2]) ? Number(frac[1]) / Number(frac[2]) : null;
+  return /^-?(\d+\.?\d*|\.\d+)$/.test(t) ? Number(t) : null;
+}
+
+function gradeItem(item, response) {
+  if (item.kind === "choice") {
+    return { correct: Number(response) === item.answer, given: response == null || response === "" ? "" : item.choices[Number(response)] };
   }
+  const n = parseNumericAnswer(response) ?? answerFormValue(response);
+  const tol = item.tolerance || {};
+  const diff = n == null ? Infinity : Math.abs(n - item.answer);
+  const correct = diff <= (tol.abs ?? 0) || (tol.rel != null && diff <= Math.abs(item.answer) * tol.rel);
+  return { correct, given: response == null ? "" : String(response) };
+}
 
-  // ------------------------------ MagicLink helpers ------------------------------
-  function toBase64Url(str) {
-    try {
-      const b64 = btoa(unescape(encodeURIComponent(str)));
-      return b64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
-    } catch {
-      return "";
+function scoreQuiz(items, responses) {
+  const results = items.map((item) => ({ item, ...gradeItem(item, responses[item.id]) }));
+  const byTopic = {};
+  for (const r of results) {
+    const t = (byTopic[r.item.topic] ||= { right: 0, total: 0 });
+    t.total += 1;
+    if (r.correct) t.right += 1;
+  }
+  const perTopic = Object.fromEntries(Object.entries(byTopic).map(([t, v]) => [t, Math.round((v.right / v.total) * 100)]));
+  const right = results.filter((r) => r.correct).length;
+  return { results, perTopic, right, total: results.length, scorePct: Math.round((right / Math.max(1, results.length)) * 100) };
+}
+
+function quizStatePatch(mode, graded, timing) {
+  if (mode === "diagnostic") {
+    const weakest = Object.entries(graded.perTopic)
+      .sort((a, b) => a[1] - b[1])
+      .filter(([, pct], i) => i < 2 || (i < 3 && pct < 70))
+      .map(([t]) => t);
+    return { diagnostic: { topic_scores: graded.perTopic, priorities: weakest } };
+  }
+  return {
+    mini_exam: {
+      score_pct: graded.scorePct,
+      per_topic: graded.perTopic,
+      flagged_items: graded.results.filter((r) => !r.correct).map((r) => `${r.item.id} (${r.item.topic})`),
+      ...(timing
+        ? {
+            time_used_min: Math.round((timing.elapsedSec / 60) * 10) / 10,
+            time_limit_min: Math.round((timing.limitSec / 60) * 10) / 10,
+            item_times_sec: Object.fromEntries(Object.entries(timing.itemSec).map(([id, sec]) => [id, Math.round(sec)])),
+          }
+        : {}),
+    },
+  };
+}
+
+function quizResultsMessage(mode, graded, timing) {
+  // Plain-text report for the coach; the tag line tells the controller the items were graded locally
+  const spec = QUIZ_MODES[mode];
+  const lines = [
+    `${spec.tag} (served and graded by the app; do not re-grade)`,
+    `Score: ${graded.right}/${graded.total} (${graded.scorePct}%)`,
+    `Per-topic: ${Object.entries(graded.perTopic).map(([t, p]) => `${t} ${p}%`).join("; ")}`,
+  ];
+  if (timing) {
+    const slowest = Object.entries(timing.itemSec)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([id, sec]) => `${id} ${formatClock(sec)}`);
+    lines.push(
+      `Time used: ${formatClock(timing.elapsedSec)} of ${formatClock(timing.limitSec)}${timing.timedOut ? " (auto-submitted at the time limit)" : ""}`,
+      `Per-item seconds: ${Object.entries(timing.itemSec).map(([id, sec]) => `${id} ${Math.round(sec)}`).join(", ")}`,
+      `Slowest: ${slowest.join(", ")}`
+    );
+  }
+  const misses = graded.results.filter((r) => !r.correct);
+  if (misses.length) {
+    lines.push("", "Missed items:");
+    for (const r of misses) {
+      lines.push(`- ${r.item.id} [${r.item.topic}] ${r.item.prompt.replace(/\n+/g, " ")} — student: ${r.given ? `"${r.given}"` : "(blank)"}; expected: ${r.item.answerText}`);
     }
+  } else {
+    lines.push("", "No missed items.");
   }
+  lines.push("", "Please explain each miss briefly and carry these scores into STATE verbatim.");
+  return lines.join("\n");
+}
 
-  function fromBase64Url(b64url) {
-    try {
-      let b64 = b64url.replace(/-/g, "+").replace(/_/g, "/");
-      const pad = b64.length % 4;
-      if (pad) b64 += "=".repeat(4 - pad);
-      const str = atob(b64);
-      return decodeURIComponent(escape(str));
-    } catch {
-      return null;
+// ------------------------------ Helpers: Context window ------------------------------
+const CONTEXT_MODES = {
+  full: "Send the full history",
+  digest: "Last N turns + deterministic digest",
+  summary: "Last N turns + model-written summary",
+};
+
+const CONTEXT_WARN_RATIO = 0.8;
+
+function defaultContextSize(model) {
+  const m = String(model || "").toLowerCase();
+  if (/gpt-4o|gpt-4\.1|gpt-4-turbo|o\d|claude|gemini/.test(m)) return 128000;
+  if (/gpt-3\.5/.test(m)) return 16000;
+  return 8192; // typical local model default
+}
+
+function splitForContext(messages, keepTurns) {
+  // system prompt | older turns | last N turns (a turn starts at a user message)
+  const system = messages[0]?.role === "system" ? messages[0] : null;
+  const rest = system ? messages.slice(1) : messages;
+  let seen = 0;
+  let cut = rest.length;
+  for (let i = rest.length - 1; i >= 0; i--) {
+    if (rest[i].role === "user") {
+      seen += 1;
+      cut = i;
+      if (seen >= keepTurns) break;
     }
   }
+  if (seen < keepTurns) cut = 0;
+  return { system, older: rest.slice(0, cut), recent: rest.slice(cut) };
+}
+
+function stripStateBlocks(text) {
+  return String(text || "").replace(/```[a-zA-Z]*\n[\s\S]*?```/g, (m) => (/^\s*STATE\s*:/m.test(m) ? "[STATE omitted]" : m));
+}
+
+function digestTurns(msgs, maxChars = 1800) {
+  // Deterministic one-line-per-message digest; keeps the newest lines within budget
+  const lines = msgs.map((m) => {
+    const text = stripStateBlocks(m.content).replace(/\s+/g, " ").trim();
+    if (m.role === "user") return `- Student: ${text.slice(0, 120)}${text.length > 120 ? "…" : ""}`;
+    const stage = /Stage\s+\d+[^\n.]*/i.exec(m.content || "")?.[0]?.trim();
+    const body = text.slice(0, 200);
+    return `- Coach${stage ? ` (${stage.slice(0, 60)})` : ""}: ${body}${text.length > 200 ? "…" : ""}`;
+  });
+  const out = [];
+  let used = 0;
+  for (let i = lines.length - 1; i >= 0 && used + lines[i].length <= maxChars; i--) {
+    out.unshift(lines[i]);
+    used += lines[i].length + 1;
+  }
+  if (out.length < lines.length) out.unshift(`- (${lines.length - out.length} earlier messages omitted)`);
+  return out.join("\n");
+}
+
+// STATE blocks in earlier coach replies are dropped (field mode has one on every turn, so
+// re-sending them grows each request); the latest STATE goes in once, after the system prompt.
+function buildContextMessages(messages, { mode, keepTurns, stateYaml, summaryText }) {
+  // Replies that broke off (stopped, network or provider error) stay on screen only
+  const history = messages.filter((m) => !m.incomplete).map((m) => (m.role === "assistant" ? { ...m, content: stripStateBlocks(m.content) } : m));
+  const latest = stateYaml ? [{ role: "system", content: `LATEST STATE (authoritative; carry it forward):\n\`\`\`yaml\n${stateYaml.trim()}\n\`\`\`` }] : [];
+  const { system, older, recent } = splitForContext(history, Math.max(1, keepTurns || 1));
+  if (mode === "full" || !older.length) {
+    const i = history.findIndex((m) => m.role !== "system");
+    const at = i < 0 ? history.length : i;
+    return [...history.slice(0, at), ...latest, ...history.slice(at)];
+  }
+  const out = system ? [system] : [];
+  const summary = mode === "summary" && summaryText ? summaryText : digestTurns(older);
+  out.push({ role: "system", content: `EARLIER CONVERSATION (condensed; ${older.length} messages):\n${summary}` });
+  return [...out, ...latest, ...recent];
+}
+
+const SUMMARY_PROMPT = `You maintain a rolling summary of a tutoring session between a pre-calc placement coach and a student.
+Merge the previous summary with the new messages into at most 12 terse bullets: stages completed, scores, decisions, student details and open questions.
+Do not include the STATE YAML. Reply with the bullets only.`;
+
+// ------------------------------ Helpers: Pricing ------------------------------
+// USD per 1M tokens (list prices when added; edit or extend them in Settings → Pricing).
+// Keys match model ids exactly or as the longest contained prefix, so "openai/gpt-4o-mini"
+// and "claude-3-5-sonnet-20241022" resolve too.
+const DEFAULT_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+};
+
+function pricingTable(overrides) {
+  return { ...DEFAULT_PRICING, ...(isPlainObject(overrides) ? overrides : {}) };
+}
+
+function priceFor(model, overrides) {
+  const table = pricingTable(overrides);
+  const id = String(model || "").toLowerCase();
+  if (table[id]) return table[id];
+  const key = Object.keys(table)
+    .filter((k) => id.includes(k.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+function usageCost(promptTokens, completionTokens, price) {
+  if (!price) return 0;
+  return ((Number(price.input) || 0) * promptTokens + (Number(price.output) || 0) * completionTokens) / 1e6;
+}
+
+function formatUsd(x) {
+  const v = Number(x) || 0;
+  return v > 0 && v < 0.01 ? `$${v.toFixed(4)}` : `$${v.toFixed(2)}`;
+}
+
+// ------------------------------ LLM client (provider adapters) ------------------------------
+// Each adapter maps the app's OpenAI-style {role, content} messages onto one API:
+// request() → {url, headers, body}; parse() → {text, usage}; streamEvent() reads one SSE
+// data payload → {delta, usage, done}. Usage is normalized to OpenAI's field names.
+// Tool calls come back as tools:[{name, args}] from parse(), and from streamEvent() as pieces
+// {index, name, args} whose JSON-text args are concatenated per index (object args are whole).
+// A `local` adapter answers in the browser instead (same arguments and result, no fetch).
+function joinSystem(messages) {
+  return messages
+    .filter((m) => m.role === "system")
+    .map((m) => m.content)
+    .join("\n\n");
+}
+
+function alternateTurns(messages, roleMap) {
+  // Anthropic and Gemini need strictly alternating user/assistant turns starting with user
+  const out = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    const role = roleMap[m.role] || roleMap.user;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.text += `\n\n${m.content}`;
+    else out.push({ role, text: m.content });
+  }
+  if (out.length && out[0].role !== roleMap.user) out.unshift({ role: roleMap.user, text: "(continue)" });
+  return out;
+}
+
+function trimBase(baseUrl) {
+  return String(baseUrl || "").replace(/\/$/, "");
+}
+
+const openAiStreamEvent = (evt) => ({
+  delta: evt?.choices?.[0]?.delta?.content || "",
+  usage: evt?.usage || null,
+  error: evt?.error ? evt.error.message || JSON.stringify(evt.error) : null,
+  tools: (evt?.choices?.[0]?.delta?.tool_calls || []).map((c) => ({ index: c.index ?? 0, name: c.function?.name, args: c.function?.arguments || "" })),
+});
+
+const openAiParse = (data) => ({
+  text: data?.choices?.[0]?.message?.content ?? "",
+  usage: data?.usage || null,
+  tools: (data?.choices?.[0]?.message?.tool_calls || []).map((c) => ({ name: c.function?.name, args: c.function?.arguments })),
+});
+
+function openAiBody({ model, messages, stream, tools }) {
+  const body = { model, messages, temperature: 0.2, stream };
+  // Ask for a final usage chunk so streamed replies still feed the token metrics
+  if (stream) body.stream_options = { include_usage: true };
+  if (tools?.length) body.tools = tools.map((t) => ({ type: "function", function: t }));
+  return body;
+}
+
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI-compatible (OpenAI, OpenRouter, Ollama…)",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    keyRequired: (baseUrl) => /openai\.com/.test(baseUrl),
+    streamFallback: true,
+    request({ baseUrl, apiKey, model, messages, stream, tools }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+      return { url: `${trimBase(baseUrl)}/chat/completions`, headers, body: openAiBody({ model, messages, stream, tools }) };
+    },
+    parse: openAiParse,
+    streamEvent: openAiStreamEvent,
+  },
+  azure: {
+    label: "Azure OpenAI",
+    defaultBaseUrl: "",
+    defaultModel: "",
+    defaultApiVersion: "2024-10-21",
+    keyRequired: () => true,
+    streamFallback: true,
+    // `model` is the deployment name; the resource endpoint goes in Base URL
+    request({ baseUrl, apiKey, model, messages, stream, apiVersion, tools }) {
+      const version = encodeURIComponent(apiVersion || "2024-10-21");
+      const url = `${trimBase(baseUrl)}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${version}`;
+      const headers = { "Content-Type": "application/json", "api-key": apiKey };
+      return { url, headers, body: openAiBody({ model, messages, stream, tools }) };
+    },
+    parse: openAiParse,
+    streamEvent: openAiStreamEvent,
+  },
+  anthropic: {
+    label: "Anthropic",
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    defaultModel: "claude-3-5-haiku-latest",
+    keyRequired: () => true,
+    streamFallback: false,
+    request({ baseUrl, apiKey, model, messages, stream, tools }) {
+      const headers = {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        // Required for calls straight from the browser (no backend here)
+        "anthropic-dangerous-direct-browser-access": "true",
+      };
+      const body = {
+        model,
+        max_tokens: 4096,
+        temperature: 0.2,
+        stream,
+        messages: alternateTurns(messages, { user: "user", assistant: "assistant" }).map((t) => ({ role: t.role, content: t.text })),
+      };
+      const system = joinSystem(messages);
+      if (system) body.system = system;
+      if (tools?.length) body.tools = tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }));
+      return { url: `${trimBase(baseUrl)}/messages`, headers, body };
+    },
+    parse(data) {
+      const blocks = data?.content || [];
+      const text = blocks.filter((b) => b.type === "text").map((b) => b.text).join("");
+      const tools = blocks.filter((b) => b.type === "tool_use").map((b) => ({ name: b.name, args: b.input }));
+      return { text, usage: anthropicUsage(data?.usage), tools };
+    },
+    streamEvent(evt) {
+      if (evt?.type === "error") return { error: evt.error?.message || JSON.stringify(evt.error) };
+      if (evt?.type === "message_start") return { usage: anthropicUsage(evt.message?.usage) };
+      if (evt?.type === "message_delta") return { usage: anthropicUsage(evt.usage) };
+      if (evt?.type === "content_block_delta" && evt.delta?.type === "text_delta") return { delta: evt.delta.text };
+      if (evt?.type === "content_block_start" && evt.content_block?.type === "tool_use") return { tools: [{ index: evt.index, name: evt.content_block.name, args: "" }] };
+      if (evt?.type === "content_block_delta" && evt.delta?.type === "input_json_delta") return { tools: [{ index: evt.index, args: evt.delta.partial_json || "" }] };
+      return { done: evt?.type === "message_stop" };
+    },
+  },
+  gemini: {
+    label: "Google Gemini",
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    defaultModel: "gemini-1.5-flash",
+    keyRequired: () => true,
+    streamFallback: false,
+    request({ baseUrl, apiKey, model, messages, stream, tools }) {
+      const action = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+      const url = `${trimBase(baseUrl)}/models/${encodeURIComponent(model)}:${action}`;
+      const headers = { "Content-Type": "application/json", "x-goog-api-key": apiKey };
+      const body = {
+        contents: alternateTurns(messages, { user: "user", assistant: "model" }).map((t) => ({ role: t.role, parts: [{ text: t.text }] })),
+        generationConfig: { temperature: 0.2 },
+      };
+      const system = joinSystem(messages);
+      if (system) body.systemInstruction = { parts: [{ text: system }] };
+      if (tools?.length) body.tools = [{ functionDeclarations: tools }];
+      return { url, headers, body };
+    },
+    parse(data) {
+      return { text: geminiText(data), usage: geminiUsage(data?.usageMetadata), tools: geminiCalls(data) };
+    },
+    streamEvent(evt) {
+      if (evt?.error) return { error: evt.error.message || JSON.stringify(evt.error) };
+      // Gemini sends each function call whole
+      return { delta: geminiText(evt), usage: geminiUsage(evt?.usageMetadata), tools: geminiCalls(evt) };
+    },
+  },
+  demo: {
+    label: "Demo (scripted, no API key)",
+    defaultBaseUrl: "demo:",
+    defaultModel: "demo",
+    keyRequired: () => false,
+    streamFallback: false,
+    local: demoChatCompletion,
+  },
+};
+
+function anthropicUsage(u) {
+  if (!u) return null;
+  const prompt = u.input_tokens;
+  const completion = u.output_tokens;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt != null && completion != null ? prompt + completion : undefined };
+}
+
+function geminiText(data) {
+  return (data?.candidates?.[0]?.content?.parts || []).map((p) => p.text || "").join("");
+}
+
+function geminiCalls(data) {
+  return (data?.candidates?.[0]?.content?.parts || []).filter((p) => p.functionCall).map((p) => ({ name: p.functionCall.name, args: p.functionCall.args }));
+}
+
+function geminiUsage(u) {
+  if (!u) return null;
+  return { prompt_tokens: u.promptTokenCount, completion_tokens: u.candidatesTokenCount, total_tokens: u.totalTokenCount };
+}
+
+function mergeUsage(prev, next) {
+  // Streamed usage can arrive in pieces (Anthropic: input at start, output at the end)
+  if (!next) return prev;
+  const out = { ...(prev || {}) };
+  for (const [k, v] of Object.entries(next)) if (v != null) out[k] = v;
+  if (next.total_tokens == null && out.prompt_tokens != null && out.completion_tokens != null) {
+    out.total_tokens = out.prompt_tokens + out.completion_tokens;
+  }
+  return out;
+}
+
+// ---- Request errors, timeouts and retry policy ----
+// Failed requests throw an Error carrying `kind` (auth, quota, rate_limit, overloaded, server,
+// model_not_found, context_length, bad_request, timeout, network), `status`, `retryable` and
+// `retryAfterMs`. User cancellation stays a plain AbortError.
+const RETRYABLE_KINDS = new Set(["rate_limit", "overloaded", "server", "timeout", "network"]);
+
+function providerErrorDetail(bodyText) {
+  // OpenAI/OpenRouter/Azure {error:{message,code,type}}, Anthropic {error:{type,message}},
+  // Gemini {error:{code,message,status,details}}; anything else is reported as text
+  try {
+    const j = JSON.parse(bodyText);
+    const e = isPlainObject(j?.error) ? j.error : j;
+    const details = Array.isArray(e?.details) ? e.details.filter(isPlainObject) : [];
+    // Gemini names the exhausted quota (…PerMinute…, …PerDay…) and how long to wait (RetryInfo)
+    const quotas = details.flatMap((d) => (Array.isArray(d.violations) ? d.violations.map((v) => v?.quotaId || "") : []));
+    const delay = details.find((d) => typeof d.retryDelay === "string")?.retryDelay;
+    const secs = delay && /^(\d+(?:\.\d+)?)s$/.exec(delay.trim());
+    return {
+      message: String(e?.message || j?.message || bodyText || "").trim(),
+      code: [e?.code ?? e?.status ?? e?.type ?? j?.type ?? "", e?.status ?? "", ...quotas].join(" ").toLowerCase(),
+      retryAfterMs: secs ? Number(secs[1]) * 1000 : null,
+    };
+  } catch {
+    return { message: String(bodyText || "").trim(), code: "", retryAfterMs: null };
+  }
+}
+
+export function classifyLlmError(status, bodyText) {
+  const { message, code, retryAfterMs } = providerErrorDetail(bodyText);
+  const t = `${code} ${message}`.toLowerCase();
+  // Spent credits, a zero limit or a daily quota won't clear by waiting. Gemini also words per-minute
+  // rate limits as "quota exceeded … billing" (429 RESOURCE_EXHAUSTED with a retry delay); those retry.
+  const spent = status === 402 || /insufficient_quota|credit|limit: 0\b|per ?day/.test(t);
+  const throttled = status === 429 || retryAfterMs != null || /rate_limit|rate limit|too many requests|resource_exhausted/.test(t);
+  let kind;
+  if (/context_length|context length|context window|too many tokens|prompt is too long|maximum.*tokens|input token count|exceeds.*(context|token)/.test(t)) kind = "context_length";
+  else if (status === 401 || status === 403 || /authentication|permission_denied|permission_error|invalid[_ ]api[_ ]key|incorrect api key|unauthori[sz]ed|api key not valid/.test(t)) kind = "auth";
+  else if (spent || (!throttled && /quota|billing/.test(t))) kind = "quota";
+  else if (throttled) kind = "rate_limit";
+  else if (status === 404 || /model_not_found|deploymentnotfound|(model|deployment).*(not found|does not exist|not exist)|not_found_error/.test(t)) kind = "model_not_found";
+  else if (status === 503 || status === 529 || /overloaded|unavailable/.test(t)) kind = "overloaded";
+  else if (status >= 500) kind = "server";
+  else kind = "bad_request";
+  return { kind, message, retryAfterMs };
+}
+
+function llmErrorText(kind, { status, detail, model, timeoutMs, host } = {}) {
+  const code = status ? ` (HTTP ${status})` : "";
+  const base = {
+    auth: `The provider rejected the API key${code}. Check the key and provider in Settings.`,
+    quota: `The account is out of quota or credits${code}. Add credits or billing with the provider, or switch models.`,
+    rate_limit: `Rate limited by the provider${code}. Wait a moment and try again.`,
+    overloaded: `The provider is overloaded or unavailable${code}. Try again shortly.`,
+    server: `The provider returned a server error${code}. Try again shortly.`,
+    model_not_found: `Model “${model}” was not found${code}. Check the model (or Azure deployment) name in Settings.`,
+    context_length: `The conversation no longer fits the model’s context window${code}. Choose a trimmed Context mode in Settings, or a model with a larger window.`,
+    timeout: `No response for ${Math.round((timeoutMs || 0) / 1000)}s. The server may be down or busy; you can raise the timeout in Settings.`,
+    network: `Network error: could not reach ${host || "the server"}. Check the base URL and your connection.`,
+    bad_request: `The provider rejected the request${code}.`,
+  }[kind];
+  const extra = detail && detail.length > 300 ? `${detail.slice(0, 300)}…` : detail;
+  return extra ? `${base}\nDetails: ${extra}` : base;
+}
+
+function llmError(kind, message, extra = {}) {
+  return Object.assign(new Error(message), { kind, retryable: RETRYABLE_KINDS.has(kind), ...extra });
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  // Retry-After is delay-seconds or an HTTP date
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function backoffDelay(attempt, err, { baseMs = 1000, maxMs = 30000 } = {}) {
+  // Honour the server's Retry-After; otherwise exponential backoff with full jitter
+  if (err?.retryAfterMs != null) return Math.min(err.retryAfterMs, 60000);
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// An AbortSignal that follows `outer` and also fires after `ms` of silence; bump() restarts the
+// clock (called per stream chunk, so long replies only time out when the stream stalls)
+function idleDeadline(outer, ms) {
+  const ctrl = new AbortController();
+  let timer = null;
+  let timedOut = false;
+  const onAbort = () => ctrl.abort();
+  if (outer?.aborted) ctrl.abort();
+  else outer?.addEventListener("abort", onAbort, { once: true });
+  const bump = () => {
+    clearTimeout(timer);
+    if (ms > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        ctrl.abort();
+      }, ms);
+    }
+  };
+  bump();
+  return {
+    signal: ctrl.signal,
+    bump,
+    timedOut: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      outer?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+async function callChatCompletions({ provider = "openai", baseUrl, apiKey, model, messages, stream = false, signal, onDelta, apiVersion, timeoutMs = 0, tools = null }) {
+  const adapter = PROVIDERS[provider] || PROVIDERS.openai;
+  if (adapter.local) return adapter.local({ model, messages, stream, signal, onDelta });
+  const { url, headers, body } = adapter.request({ baseUrl, apiKey, model, messages, stream, apiVersion, tools });
+  const deadline = idleDeadline(signal, timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: deadline.signal,
+    });
+    if (!res.ok) {
+      const errText = await res.text();
+      if (stream && adapter.streamFallback && isStreamRejection(res.status, errText)) {
+        // Server does not speak SSE (or stream_options); fall back to a single response
+        deadline.clear();
+        return callChatCompletions({ provider, baseUrl, apiKey, model, messages, stream: false, signal, apiVersion, timeoutMs, tools });
+      }
+      if (tools?.length && isToolRejection(res.status, errText)) {
+        // Model or server without tool support; the prompt's fenced-block format takes over
+        deadline.clear();
+        return callChatCompletions({ provider, baseUrl, apiKey, model, messages, stream, signal, onDelta, apiVersion, timeoutMs });
+      }
+      const { kind, message, retryAfterMs } = classifyLlmError(res.status, errText);
+      throw llmError(kind, llmErrorText(kind, { status: res.status, detail: message, model }), {
+        status: res.status,
+        retryAfterMs: parseRetryAfter(res.headers.get("retry-after")) ?? retryAfterMs,
+      });
+    }
+    const contentType = res.headers.get("content-type") || "";
+    if (!stream || !res.body || /application\/json/i.test(contentType)) {
+      const data = await res.json();
+      const { text: prose, usage, tools: calls } = adapter.parse(data);
+      const text = toolCallsToText(prose, calls);
+      if (stream && text && onDelta) onDelta(text, text);
+      return { text, usage: usage && Object.values(usage).some((v) => v != null) ? usage : null };
+    }
+    const streamed = await readChatStream(res, adapter, onDelta, deadline.bump);
+    return { text: toolCallsToText(streamed.text, streamed.tools), usage: streamed.usage };
+  } catch (e) {
+    if (e?.kind) throw e;
+    if (deadline.timedOut()) throw llmError("timeout", llmErrorText("timeout", { timeoutMs }));
+    if (e?.name === "AbortError") throw e;
+    // fetch rejects with a TypeError when the server is unreachable (DNS, CORS, refused)
+    if (e instanceof TypeError) {
+      let host = "";
+      try {
+        host = new URL(url).host;
+      } catch {}
+      throw llmError("network", llmErrorText("network", { host, detail: e.message }));
+    }
+    throw e;
+  } finally {
+    deadline.clear();
+  }
+}
+
+function isToolRejection(status, errText) {
+  if (![400, 404, 422, 501].includes(status)) return false;
+  return /\btools?\b|function.?call/i.test(errText || "");
+}
+
+function isStreamRejection(status, errText) {
+  if (![400, 404, 415, 422, 501].includes(status)) return false;
+  return /stream/i.test(errText || "");
+}
+
+async function readChatStream(res, adapter, onDelta, onChunk) {
+  // Parse SSE "data: {json}" lines; OpenAI terminates with "data: [DONE]"
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let usage = null;
+  let done = false;
+  const calls = [];
+  const partial = new Map();
+  while (!done) {
+    const chunk = await reader.read();
+    if (chunk.done) break;
+    onChunk?.();
+    buffer += decoder.decode(chunk.value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      const m = /^data:\s?(.*)$/.exec(line);
+      if (!m) continue;
+      const payload = m[1].trim();
+      if (payload === "[DONE]") {
+        done = true;
+        break;
+      }
+      let evt;
+      try {
+        evt = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+      const out = adapter.streamEvent(evt);
+      if (out.error) {
+        const { kind, message } = classifyLlmError(0, out.error);
+        throw llmError(kind, llmErrorText(kind, { detail: message }));
+      }
+      usage = mergeUsage(usage, out.usage);
+      for (const t of out.tools || []) {
+        if (typeof t.args !== "string") {
+          calls.push({ name: t.name, args: t.args });
+          continue;
+        }
+        if (!partial.has(t.index)) partial.set(t.index, { name: "", args: "" });
+        const c = partial.get(t.index);
+        if (t.name) c.name = t.name;
+        c.args += t.args;
+      }
+      if (out.delta) {
+        text += out.delta;
+        onDelta?.(out.delta, text);
+      }
+      if (out.done) {
+        done = true;
+        break;
+      }
+    }
+  }
+  if (done) reader.cancel().catch(() => {});
+  return { text, usage, tools: [...partial.values(), ...calls] };
+}
+
+function toApiMessages(msgs) {
+  // Client-only fields (statePatch, etc.) never go over the wire
+  return msgs.map(({ role, content }) => ({ role, content }));
+}
+
+// ------------------------------ Helpers: Demo provider ------------------------------
+// A scripted coach behind the "demo" provider. Replies depend only on the conversation so far,
+// so any run (and any bug in the stage flow or STATE parsing) replays exactly, with no key,
+// network or tokens. "demo" follows the controller rules; "demo-edge" always prints STATE and
+// mangles the block differently at each stage.
+const DEMO_MODELS = {
+  demo: "Scripted run (clean STATE)",
+  "demo-edge": "Edge cases (malformed STATE blocks)",
+};
+
+const DEMO_TRIG = "trig basics (radians, unit circle, identities)";
+
+// What the scripted student's run adds to STATE at each stage of the built-in pack
+const DEMO_STATE = [
+  {
+    meta: {
+      student_name: "Demo Student",
+      test_date: "2031-05-12",
+      session_date: "2031-05-01",
+      time_available_min: 60,
+      calculator_policy: "no calculator",
+      anxiety_points: ["running out of time", "trig identities"],
+    },
+  },
+  {
+    diagnostic: {
+      topic_scores: {
+        "functions & transformations": 100,
+        "equations & inequalities": 75,
+        systems: 100,
+        "polynomials & factoring": 50,
+        "rational expressions": 50,
+        "exponentials & logs": 75,
+        [DEMO_TRIG]: 25,
+        "graphing & asymptotes": 75,
+      },
+      priorities: [DEMO_TRIG, "rational expressions", "polynomials & factoring"],
+    },
+  },
+  {
+    goals: {
+      targets: [DEMO_TRIG, "rational expressions", "polynomials & factoring"],
+      success_criteria: ["≥80% on two drill sets per target", "Mini-Exam ≥80% overall", "Unit-circle values recalled in under 5 s each"],
+    },
+  },
+  {
+    plan: {
+      blocks: [
+        { topic: DEMO_TRIG, duration: "20 min", resource: "unit-circle flash drill", success_check: "16/16 exact values" },
+        { topic: "rational expressions", duration: "20 min", resource: "worked examples + 5 items", success_check: "4/5 correct" },
+        { topic: "polynomials & factoring", duration: "15 min", resource: "factoring ladder", success_check: "4/5 correct" },
+      ],
+    },
+  },
+  {
+    drills: {
+      sets: [
+        { topic: DEMO_TRIG, items: 5, score_pct: 80 },
+        { topic: "rational expressions", items: 5, score_pct: 60 },
+        { topic: "polynomials & factoring", items: 4, score_pct: 100 },
+      ],
+      mastery_flags: { [DEMO_TRIG]: "OK", "rational expressions": "NeedsWork", "polynomials & factoring": "Strong" },
+    },
+  },
+  {
+    mini_exam: {
+      score_pct: 75,
+      time_used_min: 24,
+      time_limit_min: 25,
+      per_topic: { [DEMO_TRIG]: 75, "rational expressions": 50, "polynomials & factoring": 100, "equations & inequalities": 75 },
+      flagged_items: ["Q4 (rational expressions)", `Q9 (${DEMO_TRIG})`],
+      item_times_sec: {},
+    },
+  },
+  {
+    gaps: {
+      items: [
+        { topic: "rational expressions", misconception: "Cancels terms across a sum instead of common factors", remedy: "Factor top and bottom fully before cancelling anything" },
+        { topic: DEMO_TRIG, misconception: "Swaps sin and cos of π/6 and π/3", remedy: "Sketch the 30-60-90 triangle before reading a value" },
+      ],
+    },
+    actions: { today: ["10-min booster: 5 rational-expression simplifications", "One more unit-circle flash drill tonight"] },
+  },
+  {
+    actions: {
+      day_before: ["20-min mixed review of the fix-list", "Rewrite the quick-formula card from memory", "Pack ID, pencils, water; sleep by 10 pm"],
+      test_day: ["Skim the formula card at breakfast", "First pass: answer every item under 90 s, flag the rest", "Second pass: flagged items, then check signs and domains"],
+    },
+  },
+];
+
+// Stage bodies for the built-in pack; other packs get their stage steps echoed back
+const DEMO_REPLIES = [
+  `Welcome! Let's set up today's session.
+
+- **Name:** Demo Student
+- **Test date:** 2031-05-12
+- **Time today:** 60 min
+- **Calculator:** none allowed
+- **Worries:** running out of time; trig identities`,
+  `Eight quick items, one per topic. Answer on the cards and submit them together.
+
+\`\`\`items
+${JSON.stringify({
+    items: [
+      { id: "d1", kind: "choice", prompt: "$f(x - 3) + 1$ moves the graph of $f(x) = x^2$…", choices: ["left 3, up 1", "right 3, up 1", "right 3, down 1"], answer: "1" },
+      { id: "d2", kind: "expression", prompt: "Solve $|2x - 1| < 5$.", answer: "-2 < x < 3" },
+      { id: "d3", kind: "choice", prompt: "Solve $x + y = 5$, $x - y = 1$.", choices: ["$(3, 2)$", "$(2, 3)$", "$(4, 1)$"], answer: "0" },
+      { id: "d4", kind: "expression", prompt: "Factor $x^2 - 5x + 6$.", answer: "(x-2)(x-3)", form: "factored" },
+      { id: "d5", kind: "expression", prompt: "Simplify $\\dfrac{x^2 - 9}{x + 3}$.", answer: "x-3", form: "simplified" },
+      { id: "d6", kind: "numeric", prompt: "Solve $2^x = 16$.", answer: "4" },
+      { id: "d7", kind: "numeric", prompt: "Evaluate $\\sin\\frac{\\pi}{6}$.", answer: "1/2" },
+      { id: "d8", kind: "numeric", prompt: "The vertical asymptote of $y = \\dfrac{1}{x - 2}$ is $x = $ ?", answer: "2" },
+    ],
+  })}
+\`\`\``,
+  `**Focus topics**
+1. Trig basics (unit circle)
+2. Rational expressions
+3. Polynomials & factoring
+
+**Success criteria**
+- ≥80% on two drill sets per target
+- Mini-Exam ≥80% overall
+- Unit-circle values recalled in under 5 s each
+
+Reply with edits, or NEXT to accept.`,
+  `| Block | Topic | Time | Resource | Success check |
+|---|---|---|---|---|
+| 1 | Trig basics | 20 min | unit-circle flash drill | 16/16 exact values |
+| 2 | Rational expressions | 20 min | worked examples + 5 items | 4/5 correct |
+| 3 | Polynomials & factoring | 15 min | factoring ladder | 4/5 correct |`,
+  `**Trig set (4/5, 80%)** — flag **OK**. Missed $\\cos\\frac{\\pi}{3}$: it is $\\frac{1}{2}$, not $\\frac{\\sqrt{3}}{2}$.
+
+\`\`\`plot
+title: "cos is the x-coordinate: cos(π/3) = 1/2"
+unit_circle: {angles: ["pi/6", "pi/3"]}
+points: [{x: 0.5, y: 0, label: "1/2"}]
+\`\`\`
+
+**Rational expressions (3/5, 60%)** — flag **NeedsWork**. $\\dfrac{x + 2}{x}$ does not simplify to $2$: only common *factors* cancel.
+
+\`\`\`plot
+functions: ["(x + 2)/x", {expr: "2", label: "y = 2"}]
+domain: [-6, 6]
+range: [-6, 8]
+asymptotes: {vertical: [0], horizontal: [1]}
+\`\`\`
+
+**Polynomials (4/4, 100%)** — flag **Strong**.`,
+  `Timed Mini-Exam: 12 items, 25 minutes. Pace yourself at about 2 minutes per item.
+
+**Result: 9/12 (75%)** in 24 min.
+- Trig basics 75% · Rational expressions 50% · Polynomials 100% · Equations 75%
+- Flagged: Q4 (rational expressions), Q9 (trig basics)`,
+  `**Fix-list**
+1. *Rational expressions:* you cancel terms across a sum. → Factor top and bottom fully before cancelling anything.
+2. *Trig basics:* you swap $\\sin$ and $\\cos$ of $\\frac{\\pi}{6}$ and $\\frac{\\pi}{3}$. → Sketch the 30-60-90 triangle before reading a value.
+
+The Mini-Exam was under 80%, so I added a 10-minute booster to today's actions.`,
+  `## 1. One-page cram plan
+- Unit circle: $\\sin\\frac{\\pi}{6} = \\frac{1}{2}$, $\\cos\\frac{\\pi}{6} = \\frac{\\sqrt{3}}{2}$, $\\tan\\frac{\\pi}{4} = 1$
+- Rational expressions: factor, state restrictions, then cancel common factors
+- Factoring: GCF → difference of squares → trinomials → grouping
+
+## 2. Prioritized drill list
+1. Rational-expression simplification (5 items)
+2. Unit-circle exact values (16 cards)
+3. Mixed factoring ladder (5 items)
+
+## 3. Day-before routine
+- 20-min mixed review of the fix-list
+- Rewrite the quick-formula card from memory
+
+## 4. Test-day pacing + quick formulas
+- First pass under 90 s per item; flag the rest
+- $\\log_b(xy) = \\log_b x + \\log_b y$, $\\quad a^2 - b^2 = (a - b)(a + b)$
+
+## 5. Mindset
+- A flagged item is a plan, not a failure.`,
+];
+
+const DEMO_TIPS = [
+  "Check the domain first: anything that makes a denominator zero is excluded, even after cancelling.",
+  "Write each step on its own line; most lost points are sign slips between lines.",
+  "For trig values, draw the special triangle instead of memorizing a table.",
+  "Plug a simple number into both sides of a simplification to check it.",
+];
+
+const DEMO_FOOTER = "Type NEXT to continue, or STATE to toggle the YAML state view.";
+
+function demoApproxTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// Scores reported by the app's own Diagnostic / Mini-Exam are copied over, as the prompt asks
+function demoLocalResults(text) {
+  const lines = String(text).split("\n");
+  const score = /^Score: \d+\/\d+ \((\d+)%\)/m.exec(text);
+  const perTopic = Object.fromEntries(
+    (/^Per-topic: (.*)$/m.exec(text)?.[1] || "")
+      .split("; ")
+      .map((x) => /^(.*) (\d+)%$/.exec(x))
+      .filter(Boolean)
+      .map((m) => [m[1], Number(m[2])])
+  );
+  const misses = lines.map((l) => /^- (\S+) \[([^\]]+)\] (.*) — student: (.*); expected: (.*)$/.exec(l)).filter(Boolean);
+  const clock = (t) => {
+    const [m, s] = t.split(":").map(Number);
+    return Math.round((m + s / 60) * 10) / 10;
+  };
+  const time = /^Time used: (\d+:\d\d) of (\d+:\d\d)/m.exec(text);
+  const itemSecs = Object.fromEntries(
+    (/^Per-item seconds: (.*)$/m.exec(text)?.[1] || "")
+      .split(", ")
+      .map((x) => /^(\S+) (\d+)$/.exec(x))
+      .filter(Boolean)
+      .map((m) => [m[1], Number(m[2])])
+  );
+  return { scorePct: score ? Number(score[1]) : null, perTopic, misses, time: time && { used: clock(time[1]), limit: clock(time[2]) }, itemSecs };
+}
+
+// The pack's STATE template (read back from the prompt), plus the scripted run for the built-in pack
+// Replays the student's stage commands the way the controller prompt defines them; `reached`
+// is the furthest stage, so scores survive a BACK. SKIP moves on, as on a stage without items.
+function demoStage(users, total) {
+  let stage = 0;
+  let reached = 0;
+  for (const u of users) {
+    const cmd = parseCommand(u);
+    if (cmd?.name === "NEXT" || cmd?.name === "SKIP") stage++;
+    else if (cmd?.name === "BACK") stage = Math.max(0, stage - 1);
+    else if (cmd?.name === "GOTO") stage = Math.max(0, Math.min(total - 1, cmd.n));
+    reached = Math.max(reached, stage);
+  }
+  return { stage, reached };
+}
+
+function demoState({ stage, reached = stage, stagesTotal, template, builtin, users, visible }) {
+  let st = structuredClone(template);
+  if (builtin) for (let i = 0; i <= reached && i < DEMO_STATE.length; i++) st = mergeState(st, DEMO_STATE[i]);
+  st.progress = { ...st.progress, current_stage: stage, stages_total: stagesTotal, state_visible: visible };
+  const latest = (tag) => [...users].reverse().find((u) => u.startsWith(tag));
+  const diag = latest(QUIZ_MODES.diagnostic.tag);
+  if (diag) {
+    const r = demoLocalResults(diag);
+    const priorities = Object.entries(r.perTopic).sort((a, b) => a[1] - b[1]).slice(0, 3).map(([t]) => t);
+    st.diagnostic = { topic_scores: r.perTopic, priorities };
+  }
+  const exam = latest(QUIZ_MODES.mini_exam.tag);
+  if (exam) {
+    const r = demoLocalResults(exam);
+    st.mini_exam = {
+      score_pct: r.scorePct,
+      time_used_min: r.time?.used ?? null,
+      time_limit_min: r.time?.limit ?? null,
+      per_topic: r.perTopic,
+      flagged_items: r.misses.map((m) => `${m[1]} (${m[2]})`),
+      item_times_sec: r.itemSecs,
+    };
+  }
+  return st;
+}
+
+// "demo" prints STATE only while it is toggled on; "demo-edge" always prints it, broken
+// in a stage-specific way. Returns [markdown, note] where the note names the edge case.
+function demoStateBlock(st, stage, edge) {
+  const clean = "```yaml\n" + stateToYaml(st) + "```";
+  if (!edge) return [clean, ""];
+  const flow = ["STATE:", ...Object.entries(st).map(([k, v]) => `  ${k}: ${toFlow(v)}`)].join("\n");
+  switch (stage % 8) {
+    case 1:
+      return ["```\n" + flow + "\n```", "compact flow maps with no space after the colon (`{current_stage:1}`); multi-word topic keys don't survive"];
+    case 2:
+      return [flow, "STATE printed without a code fence, so it is not picked up"];
+    case 3:
+      return ["```yaml\n" + flow.replace(/}\s*$/, "") + "\n```", "unterminated flow map (YAML parse error)"];
+    case 4: {
+      const bad = mergeState(st, { diagnostic: { topic_scores: { systems: "105%", "graphing & asymptotes": "mostly" } } });
+      return ["```yaml\n" + stateToYaml(bad) + "```", "out-of-range and non-numeric scores"];
+    }
+    case 5: {
+      const stale = { ...st, progress: { ...st.progress, current_stage: stage - 1 } };
+      return ["Earlier draft:\n\n```yaml\n" + stateToYaml(stale) + "```\n\nCorrected:\n\n```yml\n" + stateToYaml(st) + "```", "two STATE blocks; the last one wins"];
+    }
+    case 6: {
+      const { plan, ...partial } = st;
+      return ["```yaml\n" + stateToYaml(partial) + "```", "missing `plan` section"];
+    }
+    case 7: {
+      const loose = mergeState(st, { progress: { current_stage: String(stage) }, mini_exam: { score_pct: `${st.mini_exam?.score_pct ?? 0}%` } });
+      return ["```YAML\n" + stateToYaml(loose) + "```", "numbers written as strings (`\"7\"`, `\"75%\"`)"];
+    }
+    default:
+      return [clean, ""];
+  }
+}
+
+function demoReviewReply(users) {
+  const n = users.length;
+  if (n <= 1) return "**Refresher:** to simplify a rational expression, factor the numerator and denominator completely, then cancel common *factors* — never terms.\n\n**Item 1:** Simplify $\\dfrac{x^2 - 4}{x - 2}$.";
+  if (n === 2) return "Good — $x + 2$ (with $x \\ne 2$).\n\n**Item 2:** Simplify $\\dfrac{3x + 6}{x^2 + 2x}$.";
+  if (n === 3) return "Right — $\\dfrac{3}{x}$ (with $x \\ne 0, -2$).\n\n**Item 3:** Simplify $\\dfrac{x^2 - x - 6}{x^2 - 9}$.";
+  return "Correct — $\\dfrac{x + 2}{x + 3}$.\n\nReview verdict: Good";
+}
+
+function demoCoachReply(messages, model) {
+  const system = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n");
+  const users = messages.filter((m) => m.role === "user").map((m) => String(m.content || "").trim());
+  const last = users[users.length - 1] || "";
+  if (system === SUMMARY_PROMPT) return "Demo summary: the student is working through the scripted placement run; scores and targets are in STATE.";
+  if (/running a short, focused review/.test(system)) return demoReviewReply(users);
+  const titles = [...system.matchAll(/^Stage (\d+) — (.+)$/gm)].map((m) => m[2].trim());
+  const template = parseStateYaml(/^STATE:\n(?:  .*\n)+/m.exec(system)?.[0] || "").data || emptyState();
+  if (!titles.length) return "This is the demo provider. It only follows the built-in scripts; choose a real provider in Settings for open-ended chat.";
+
+  const edge = model === "demo-edge";
+  const builtin = titles.every((t, i) => t === DEFAULT_PACK.stages[i]?.title) && titles.length === DEFAULT_PACK.stages.length;
+  const { stage, reached } = demoStage(users, titles.length);
+  const visible = users.filter((u) => /^STATE$/i.test(u)).length % 2 === 1;
+  if (stage >= titles.length) return "All stages are complete. Type STATE to view/save your final plan, or start a new session.";
+  // Field mode: STATE goes in a ```state block on every turn, as the report_state tool would
+  const field = system.includes(STATE_FIELD_PROMPT);
+  const withState = (body) => {
+    if (!field && !edge && !visible) return body;
+    const st = demoState({ stage, reached, stagesTotal: titles.length, template, builtin, users, visible });
+    if (field) return `${body}\n\n${stateFieldBlock(stateToYaml(st))}`;
+    const [block, note] = demoStateBlock(st, stage, edge);
+    return `${body}\n\n${note ? `> Demo edge case: ${note}.\n\n` : ""}${block}`;
+  };
+  const footer = stage === titles.length - 1 ? DEFAULT_PACK.final_line : DEMO_FOOTER;
+
+  if (/^STATE$/i.test(last)) {
+    if (!visible) return `STATE hidden. Type STATE again to show it.\n\n${DEMO_FOOTER}`;
+    return withState(`Showing STATE for Stage ${stage}. Type STATE again to hide it.`) + `\n\n${DEMO_FOOTER}`;
+  }
+  const tag = Object.values(QUIZ_MODES).find((q) => last.startsWith(q.tag));
+  if (tag) {
+    const r = demoLocalResults(last);
+    const misses = r.misses.map((m) => `- **${m[1]}** (${m[2]}): the expected answer is ${m[5]}; you gave ${m[4]}. Redo it slowly and compare each step.`);
+    const body = [`Thanks — I've recorded the app-graded ${tag.label} score of **${r.scorePct}%** as reported.`, misses.length ? misses.join("\n") : "No misses — nice work."].join("\n\n");
+    return `${withState(body)}\n\n${footer}`;
+  }
+  const answers = parseAnswersBlock(last);
+  if (answers) {
+    const given = Object.values(answers).filter((a) => answerText(a)).length;
+    const checked = Object.values(answers).filter((a) => ["correct", "approx", "incorrect"].includes(a.verified));
+    const verified = checked.length ? ` The app verified ${checked.filter((a) => a.verified !== "incorrect").length}/${checked.length} as correct, and I go with those verdicts.` : "";
+    const body = `Got ${given} of ${Object.keys(answers).length} answers.${verified} In this demo the STATE scoring is scripted: **5/8**. Weakest: trig basics, rational expressions, polynomials & factoring.`;
+    return `${withState(body)}\n\n${footer}`;
+  }
+  const plot = parsePlotSpec(/```plot\n([\s\S]*?)```/.exec(last)?.[1] || "").spec;
+  if (plot) {
+    const curves = plot.functions.map((f) => `$y = ${f.expr}$`).join(", ") || "the unit circle";
+    const body = `Thanks for the graph of ${curves}. Compare each curve with its parent: a change inside the function (like $x - 3$) moves it left/right, a change outside moves it up/down or stretches it. Dashed lines mark asymptotes the curve approaches but never reaches.`;
+    return `${body} (Demo answer — we're still on Stage ${stage}.)\n\n${DEMO_FOOTER}`;
+  }
+  const cmd = parseCommand(last);
+  if (cmd?.name === "HINT") {
+    return `💡 Hint: ${DEMO_TIPS[hashString(`${stage}|${users.length}`) % DEMO_TIPS.length]} (Demo hint — still on Stage ${stage}, no answer given.)\n\n${DEMO_FOOTER}`;
+  }
+  if (users.length > 1 && !cmd) {
+    return `${DEMO_TIPS[hashString(last) % DEMO_TIPS.length]} (Demo answer — we're still on Stage ${stage}.)\n\n${DEMO_FOOTER}`;
+  }
+  const steps = (system.split(`Stage ${stage} — ${titles[stage]}\n`)[1] || "").split("\n\n")[0].split("\n").filter((l) => l.startsWith("- ") && !/^- (Footer|End with)/.test(l));
+  const body = builtin ? DEMO_REPLIES[stage] : `(Demo) This stage would:\n${steps.join("\n")}`;
+  const lead = { REPEAT: "A fresh run of this stage (the demo reuses its script).\n\n", BACK: "Back to this stage; earlier scores are kept.\n\n", GOTO: stage < reached ? "Back to this stage; earlier scores are kept.\n\n" : "" }[cmd?.name] || "";
+  return `${withState(`### Stage ${stage} — ${titles[stage]}\n\n${lead}${body}`)}\n\n${footer}`;
+}
+
+// Same contract as callChatCompletions: streams word groups through onDelta and reports usage
+async function demoChatCompletion({ model, messages, stream, signal, onDelta }) {
+  const text = demoCoachReply(messages, model);
+  await sleep(250, signal);
+  if (stream && onDelta) {
+    const parts = text.match(/\S+\s*/g) || [];
+    let sent = "";
+    for (let i = 0; i < parts.length; i += 3) {
+      const delta = (i === 0 ? text.slice(0, text.length - text.trimStart().length) : "") + parts.slice(i, i + 3).join("");
+      sent += delta;
+      onDelta(delta, sent);
+      await sleep(15, signal);
+    }
+  }
+  const prompt = messages.reduce((n, m) => n + demoApproxTokens(m.content), 0);
+  const completion = demoApproxTokens(text);
+  return { text, usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion } };
+}
+
+// ------------------------------ Helpers: Progress dashboard ------------------------------
+const BANDS = {
+  NeedsWork: { label: "NeedsWork", bar: "bg-rose-400", chip: "bg-rose-50 text-rose-700 border-rose-200" },
+  OK: { label: "OK", bar: "bg-amber-400", chip: "bg-amber-50 text-amber-700 border-amber-200" },
+  Strong: { label: "Strong", bar: "bg-emerald-500", chip: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+};
+
+function packThresholds(pack) {
+  const th = pack?.thresholds || {};
+  return { lo: th.needs_work_below ?? 70, hi: th.strong_above ?? 85 };
+}
+
+function bandFor(pct, { lo, hi }) {
+  if (pct == null) return null;
+  return pct < lo ? "NeedsWork" : pct > hi ? "Strong" : "OK";
+}
+
+function bandFromFlag(flag) {
+  // Mastery flags are free text from the coach ("needs work", "ok", "STRONG", …)
+  const t = String(flag ?? "").toLowerCase().replace(/[^a-z]/g, "");
+  return t.startsWith("needs") ? "NeedsWork" : t === "ok" ? "OK" : t === "strong" ? "Strong" : null;
+}
+
+// One row per topic with its Diagnostic → Drills → Mini-Exam scores. Topics come from the
+// pack taxonomy plus any other key the coach used; keys match case- and spacing-insensitively.
+export function dashboardRows(st, pack = DEFAULT_PACK) {
+  const norm = (t) => String(t).toLowerCase().replace(/\s+/g, " ").trim();
+  const rows = new Map();
+  const row = (topic) => {
+    const k = norm(topic);
+    if (!rows.has(k)) rows.set(k, { topic: String(topic), diagnostic: null, drills: null, flag: null, mini: null, target: false });
+    return rows.get(k);
+  };
+  const scores = (map) => {
+    const entries = Object.entries(isPlainObject(map) ? map : {});
+    const fraction = isFractionScale(entries.map(([, v]) => v));
+    return entries.map(([t, v]) => [t, v, scoreValue(v, fraction)]);
+  };
+  for (const t of pack.taxonomy || []) row(t);
+  for (const [t, , pct] of scores(st?.diagnostic?.topic_scores)) row(t).diagnostic = pct;
+  // Drill sets have no fixed shape; use the latest {topic, score|score_pct|pct} per topic
+  const sets = (Array.isArray(st?.drills?.sets) ? st.drills.sets : []).filter((set) => isPlainObject(set) && set.topic);
+  const setScores = sets.map((set) => set.score_pct ?? set.score ?? set.pct);
+  const setFraction = isFractionScale(setScores);
+  sets.forEach((set, i) => {
+    const pct = scoreValue(setScores[i], setFraction);
+    if (pct != null) row(set.topic).drills = pct;
+  });
+  for (const [t, v, pct] of scores(st?.drills?.mastery_flags)) {
+    const r = row(t);
+    r.flag = bandFromFlag(v);
+    if (r.flag == null && pct != null) r.drills = pct;
+  }
+  for (const [t, , pct] of scores(st?.mini_exam?.per_topic)) row(t).mini = pct;
+  for (const t of Array.isArray(st?.goals?.targets) ? st.goals.targets : []) {
+    const name = isPlainObject(t) ? t.topic : t;
+    if (name) row(name).target = true;
+  }
+  return [...rows.values()];
+}
+
+// ------------------------------ Helpers: Review scheduler ------------------------------
+// Review cards come from a session's STATE (gaps, flagged exam items, NeedsWork flags) and live in
+// one deck across sessions. Days are local "YYYY-MM-DD" strings.
+const REVIEW_STEPS = [1, 3, 7, 14];
+const REVIEW_VERDICT_RE = /review verdict:\s*\**\s*(good|again)\b/i;
+
+function localDay(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + n);
+  return localDay(d);
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00`) - new Date(`${a}T00:00:00`)) / 86400000);
+}
+
+// meta.test_date is whatever the student typed; accept ISO days and anything Date can read.
+// A day without a year ("May 12", "11/3") is its next occurrence; a past test date is no date.
+export function parseTestDate(v, today = localDay()) {
+  const t = String(v ?? "").trim();
+  if (!t) return null;
+  const read = (s) => {
+    const ms = Date.parse(s);
+    return Number.isNaN(ms) ? null : localDay(new Date(ms));
+  };
+  let day;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) day = t;
+  else if (/\b\d{4}\b/.test(t)) day = read(t);
+  else if (/^\d{1,2}\/\d{1,2}$/.test(t) || (/\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i.test(t) && /\b\d{1,2}\b/.test(t))) {
+    // Date.parse fills a missing year with 2001
+    const inYear = (y) => read(/^\d{1,2}\/\d{1,2}$/.test(t) ? `${t}/${y}` : `${t} ${y}`);
+    const year = Number(today.slice(0, 4));
+    day = inYear(year);
+    if (day && day < today) day = inYear(year + 1);
+  }
+  return day && day >= today ? day : null;
+}
+
+function loadReviewCards() {
+  const list = loadJsonKey(LS_KEYS.reviews);
+  return Array.isArray(list) ? list.filter((c) => isPlainObject(c) && c.id && c.key) : [];
+}
+
+function saveReviewCards(list) {
+  try {
+    localStorage.setItem(LS_KEYS.reviews, JSON.stringify(list));
+  } catch {}
+}
+
+function reviewCandidates(st) {
+  const out = [];
+  const add = (source, topic, text) => {
+    text = String(text || "").trim();
+    if (!text) return;
+    const key = `${source}:${text.toLowerCase().replace(/\s+/g, " ")}`;
+    if (!out.some((c) => c.key === key)) out.push({ key, source, topic: topic ? String(topic) : null, text });
+  };
+  for (const g of Array.isArray(st?.gaps?.items) ? st.gaps.items : []) {
+    if (isPlainObject(g)) {
+      const text = [g.misconception || g.gap || g.issue || g.item, g.remedy || g.fix].filter(Boolean).join(" — ");
+      add("gap", g.topic, text || Object.values(g).filter((v) => typeof v === "string").join(" — "));
+    } else add("gap", null, g);
+  }
+  for (const f of Array.isArray(st?.mini_exam?.flagged_items) ? st.mini_exam.flagged_items : []) {
+    // App-graded items look like "Q3 (systems)"
+    const text = isPlainObject(f) ? f.item || f.id || JSON.stringify(f) : f;
+    const topic = isPlainObject(f) ? f.topic : /\(([^)]+)\)\s*$/.exec(String(f))?.[1];
+    add("flagged", topic, text);
+  }
+  for (const [t, flag] of Object.entries(st?.drills?.mastery_flags || {})) {
+    if (bandFromFlag(flag) === "NeedsWork") add("mastery", t, `${t}: mastery flag NeedsWork`);
+  }
+  return out;
+}
+
+function firstDue(today, testDate) {
+  // First review tomorrow, or today when the test is that close
+  return testDate && daysBetween(today, testDate) <= 1 ? today : addDays(today, 1);
+}
+
+// Adds cards for new STATE findings and keeps the session's test date current. Returns the same
+// list when nothing changed so it can feed a state setter without re-render loops.
+function syncReviewCards(cards, sessionId, st, today = localDay()) {
+  const testDate = parseTestDate(st?.meta?.test_date, today);
+  let changed = false;
+  const next = cards.map((c) => {
+    // A test date that has passed stays on the card, so it stays retired
+    if (c.sessionId !== sessionId || c.testDate === testDate || (!testDate && c.testDate && c.testDate < today)) return c;
+    changed = true;
+    return { ...c, testDate };
+  });
+  for (const cand of reviewCandidates(st)) {
+    if (next.some((c) => c.sessionId === sessionId && c.key === cand.key)) continue;
+    changed = true;
+    next.push({
+      ...cand,
+      id: newId(),
+      sessionId,
+      bankTopic: matchBankTopic(cand.topic || cand.text),
+      testDate,
+      created: today,
+      due: firstDue(today, testDate),
+      step: -1,
+      reps: 0,
+      lapses: 0,
+      history: [],
+    });
+  }
+  return changed ? next : cards;
+}
+
+// Expanding intervals (1, 3, 7, 14 days), squeezed so the last review lands before the test.
+// Cards retire (due: null) once the test date is reached.
+function scheduleReview(card, good, today = localDay()) {
+  const step = good ? Math.min(card.step + 1, REVIEW_STEPS.length - 1) : 0;
+  let due = addDays(today, REVIEW_STEPS[step]);
+  if (card.testDate) {
+    const left = daysBetween(today, card.testDate);
+    if (left <= 1) due = null;
+    else if (daysBetween(due, card.testDate) < 1) due = addDays(card.testDate, -1);
+  }
+  return {
+    ...card,
+    step,
+    due,
+    reps: card.reps + 1,
+    lapses: card.lapses + (good ? 0 : 1),
+    coachSession: undefined,
+    history: [...card.history, { day: today, good }],
+  };
+}
+
+function dueCards(cards, today = localDay()) {
+  return cards.filter((c) => c.due && c.due <= today).sort((a, b) => a.due.localeCompare(b.due));
+}
+
+function reviewItem(card, today = localDay()) {
+  // A fresh bank item per card, day and attempt; null when the card's topic is not in the bank
+  if (!card.bankTopic) return null;
+  return generateItem(mulberry32(hashString(`${card.id}:${today}:${card.reps}`)), card.bankTopic, 0);
+}
+
+function buildReviewPrompt(card) {
+  return `You are a pre-calculus coach running a short, focused review. This is NOT the staged placement flow: ignore NEXT/STATE conventions and do not print a STATE block.
+
+Topic: ${card.topic || card.bankTopic || "general"}
+What to review: ${card.text}
+Test date: ${card.testDate || "unknown"}
+
+1) Give a 2–3 sentence refresher of the key rule or method.
+2) Ask 3 short practice items ONE at a time; wait for each answer and give tight feedback.
+3) After the third answer, end with exactly one line: "Review verdict: Good" if the student got at least 2 right, otherwise "Review verdict: Again".
+Use LaTeX ($...$) for math.`;
+}
+
+// ------------------------------ Helpers: Cram sheet & document export ------------------------------
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function itemText(v) {
+  // STATE list entries are strings or small mappings from the coach
+  if (isPlainObject(v)) return Object.values(v).filter((x) => typeof x === "string" || typeof x === "number").join(" — ");
+  return String(v ?? "");
+}
+
+// The final-stage reply: the last one headed "Stage N" (or titled like the last stage),
+// else the first whose STATE reports the last stage
+function finalStageReply(messages, pack = DEFAULT_PACK) {
+  const last = pack.stages.length - 1;
+  const title = (pack.stages[last]?.title || "").toLowerCase();
+  const heading = new RegExp(`\\bStage\\s*${last}\\b`, "i");
+  let byHeading = null;
+  let byState = null;
+  for (const m of messages) {
+    if (m.role !== "assistant" || !m.content) continue;
+    if (heading.test(m.content) || (title && m.content.toLowerCase().includes(title))) byHeading = m;
+    const yaml = extractStateYaml(m.content);
+    const stage = yaml ? parseStateYaml(yaml).data?.progress?.current_stage : null;
+    if (!byState && stage != null && Number(stage) === last) byState = m;
+  }
+  return byHeading || byState;
+}
+
+function deliverableText(text) {
+  // Drop STATE blocks, answer keys and the NEXT/STATE footer; keep the coach's Markdown as-is
+  return withoutAnswerKeys(text)
+    .replace(/```[a-zA-Z]*\n[\s\S]*?```/g, (m) => (/^\s*STATE\s*:/m.test(m) ? "" : m))
+    .replace(/^.*Type NEXT to continue.*$/gim, "")
+    .replace(/^.*END-OF-STAGE FOOTER.*$/gim, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function cramSheetMarkdown(messages, st, pack = DEFAULT_PACK) {
+  const meta = st?.meta || {};
+  const exam = scoreValue(st?.mini_exam?.score_pct);
+  const facts = [
+    meta.test_date && `**Test:** ${meta.test_date}`,
+    meta.calculator_policy && `**Calculator:** ${meta.calculator_policy}`,
+    exam != null && `**Mini‑Exam:** ${Math.round(exam)}%`,
+  ].filter(Boolean);
+  const targets = (Array.isArray(st?.goals?.targets) ? st.goals.targets : []).map(itemText).filter(Boolean);
+  const list = (items) => (Array.isArray(items) ? items : []).map(itemText).filter(Boolean).map((x) => `- ${x}`);
+  const out = [`# Cram Sheet${meta.student_name ? ` — ${meta.student_name}` : ""}`];
+  if (facts.length) out.push(facts.join(" · "));
+  if (targets.length) out.push(`**Targets:** ${targets.join(", ")}`);
+  const final = finalStageReply(messages, pack);
+  if (final) out.push(`## Final plan\n\n${deliverableText(final.content)}`);
+  const actions = st?.actions || {};
+  for (const [key, label] of [
+    ["today", "Today"],
+    ["day_before", "Day before"],
+    ["test_day", "Test day"],
+  ]) {
+    const lines = list(actions[key]);
+    if (lines.length) out.push(`## ${label}\n\n${lines.join("\n")}`);
+  }
+  const gaps = list(st?.gaps?.items);
+  if (gaps.length) out.push(`## Fix‑list\n\n${gaps.join("\n")}`);
+  if (out.length === 1) out.push("_Nothing to show yet: finish the final stage or ask the coach for your plan._");
+  return out.join("\n\n") + "\n";
+}
+
+function transcriptMarkdown(messages, title) {
+  const turns = messages
+    .filter((m) => m.role !== "system")
+    .map((m) => `### ${m.role === "user" ? "You" : "Coach"}\n\n${withoutAnswerKeys(m.content)}`);
+  return `# ${title}\n\n_Exported ${new Date().toLocaleString()}_\n\n${turns.join("\n\n")}\n`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// KaTeX's stylesheet for standalone pages, with its .woff2 fonts embedded as data URLs. The fonts
+// are this build's own assets (kept by the service worker), so exports work offline; a font that
+// can't be read keeps an absolute URL.
+let exportKatexCss = null;
+function katexCssForExport() {
+  exportKatexCss ||= embedKatexFonts(katexCss);
+  return exportKatexCss;
+}
+
+async function embedKatexFonts(css) {
+  const src = css.replace(/,\s*url\([^)]*\)\s*format\(["']?(?:woff|truetype)["']?\)/g, "");
+  const urls = [...new Set([...src.matchAll(/url\(["']?([^"')]+\.woff2)["']?\)/g)].map((m) => m[1]))];
+  const embedded = await Promise.all(
+    urls.map(async (u) => {
+      const abs = new URL(u, document.baseURI).href;
+      try {
+        const res = await fetch(abs);
+        if (!res.ok) return abs;
+        const blob = await res.blob();
+        return await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result.replace(/^data:[^;,]*/, "data:font/woff2"));
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+      } catch {
+        return abs;
+      }
+    })
+  );
+  return urls.reduce((out, u, i) => out.split(u).join(embedded[i]), src);
+}
+
+async function markdownToHtmlDocument(md, title) {
+  // Standalone page: math is pre-rendered and the KaTeX stylesheet is inlined
+  const body = renderRichText(md) ?? `<pre>${escapeHtml(md)}</pre>`;
+  const css = await katexCssForExport();
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+<style>${css}</style>
+<style>
+  body { font: 15px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; } h2 { font-size: 1.15rem; margin-top: 1.5rem; } h3 { font-size: 1rem; color: #475569; }
+  pre { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.5rem; white-space: pre-wrap; }
+  code { font-size: 0.9em; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.5rem; }
+  @media print { body { margin: 0; font-size: 11pt; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// ------------------------------ Helpers: Calendar (.ics) export ------------------------------
+// Events use floating local times (no TZID), so they land at the same wall-clock time in
+// whatever calendar imports them.
+function parseMinutes(v, fallback = 20) {
+  // 20, "20", "20 min", "1h", "1.5 h", "1h 30m" → minutes
+  if (typeof v === "number" && Number.isFinite(v) && v > 0) return Math.round(v);
+  const t = String(v ?? "").toLowerCase();
+  const h = /(\d+(?:\.\d+)?)\s*h/.exec(t);
+  const m = /(\d+)\s*m/.exec(t);
+  if (h || m) return Math.round((h ? Number(h[1]) * 60 : 0) + (m ? Number(m[1]) : 0));
+  const n = /(\d+(?:\.\d+)?)/.exec(t);
+  return n ? Math.round(Number(n[1])) : fallback;
+}
+
+function addMinutesToTime(time, minutes) {
+  const [h, m] = time.split(":").map(Number);
+  const total = (h * 60 + m + minutes) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function nextHalfHour(d = new Date()) {
+  const mins = d.getHours() * 60 + d.getMinutes();
+  const t = Math.min(Math.ceil((mins + 1) / 30) * 30, 23 * 60 + 30);
+  return addMinutesToTime("00:00", t);
+}
+
+function checklistText(items) {
+  return (Array.isArray(items) ? items : []).map(itemText).filter(Boolean).map((x) => `☐ ${x}`).join("\n");
+}
+
+// Editable event drafts for the preview dialog. Plan blocks are timed and back-to-back from
+// `planStart`; checklists are all-day with a reminder; the test itself is timed.
+function calendarDraft(st, { today = localDay(), planStart = nextHalfHour(), testTime = "09:00" } = {}) {
+  const events = [];
+  const testDay = parseTestDate(st?.meta?.test_date, today);
+  (Array.isArray(st?.plan?.blocks) ? st.plan.blocks : []).forEach((b, i) => {
+    const o = isPlainObject(b) ? b : { topic: String(b) };
+    const minutes = parseMinutes(o.duration ?? o.duration_min ?? o.minutes);
+    const resource = o.resource || o.resource_type || o.type;
+    events.push({
+      id: `block-${i}`,
+      kind: "block",
+      title: `Study: ${o.topic || `Block ${i + 1}`}`,
+      day: today,
+      time: planStart,
+      minutes,
+      description: [resource && `Resource: ${resource}`, o.success_check && `Success check: ${o.success_check}`].filter(Boolean).join("\n"),
+      alarm: "-PT5M",
+      include: true,
+    });
+  });
+  const todayList = checklistText(st?.actions?.today);
+  if (todayList) events.push({ id: "today", kind: "checklist", title: "Pre-calc: today’s actions", day: today, time: null, minutes: 0, description: todayList, alarm: null, include: true });
+  if (testDay) {
+    const before = checklistText(st?.actions?.day_before);
+    if (before) {
+      events.push({ id: "day-before", kind: "checklist", title: "Pre-calc: day-before checklist", day: addDays(testDay, -1), time: null, minutes: 0, description: before, alarm: "PT18H", include: true });
+    }
+    const testChecklist = checklistText(st?.actions?.test_day);
+    if (testChecklist) {
+      events.push({ id: "test-day", kind: "checklist", title: "Pre-calc: test-day checklist", day: testDay, time: null, minutes: 0, description: testChecklist, alarm: "PT7H", include: true });
+    }
+    const calc = st?.meta?.calculator_policy;
+    events.push({ id: "test", kind: "test", title: "Pre-calc placement test", day: testDay, time: testTime, minutes: 120, description: calc ? `Calculator: ${calc}` : "", alarm: "-PT1H", include: true });
+  }
+  return sequencePlan(events, planStart, today);
+}
+
+// Why the chosen events can't be exported, or null: a test date that is unreadable or already
+// past, or an event moved to a day before today
+function calendarProblem(st, events, today = localDay()) {
+  const raw = String(st?.meta?.test_date ?? "").trim();
+  if (raw && !parseTestDate(raw, today)) return `meta.test_date “${raw}” isn’t a date from today on. Update it with the coach, then export.`;
+  const past = events.find((ev) => ev.include && ev.day && ev.day < today);
+  return past ? `“${past.title}” is on ${past.day}, before today.` : null;
+}
+
+// Lay included plan blocks back to back from `planStart`, rolling over midnight
+function sequencePlan(events, planStart, today = localDay()) {
+  let day = today;
+  let at = planStart;
+  return events.map((ev) => {
+    if (ev.kind !== "block" || !ev.include) return ev;
+    const placed = { ...ev, day, time: at };
+    const end = addMinutesToTime(at, ev.minutes);
+    if (end <= at && ev.minutes > 0) day = addDays(day, 1);
+    at = end;
+    return placed;
+  });
+}
+
+function icsEscape(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsFold(line) {
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (enc.encode(cur + ch).length > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function buildIcs(events, { uidPrefix = "pcpc", now = new Date() } = {}) {
+  const compact = (day) => day.replace(/-/g, "");
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Pre-Calc Placement Coach//Study Plan//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  for (const ev of events) {
+    lines.push("BEGIN:VEVENT", `UID:${uidPrefix}-${ev.id}@pcpc`, `DTSTAMP:${stamp}`);
+    if (ev.time) {
+      const end = addMinutesToTime(ev.time, ev.minutes);
+      // Events running past midnight end the next day
+      const endDay = end <= ev.time && ev.minutes > 0 ? addDays(ev.day, 1) : ev.day;
+      lines.push(`DTSTART:${compact(ev.day)}T${ev.time.replace(":", "")}00`, `DTEND:${compact(endDay)}T${end.replace(":", "")}00`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${compact(ev.day)}`, `DTEND;VALUE=DATE:${compact(addDays(ev.day, 1))}`, "TRANSP:TRANSPARENT");
+    }
+    lines.push(`SUMMARY:${icsEscape(ev.title)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${icsEscape(ev.description)}`);
+    if (ev.alarm) {
+      lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${icsEscape(ev.title)}`, `TRIGGER:${ev.alarm}`, "END:VALARM");
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// ------------------------------ Helpers: Offline ------------------------------
+// A coach on this machine or the LAN (e.g., Ollama) stays reachable when the browser reports no internet
+function isLocalEndpoint(baseUrl) {
+  try {
+    const host = new URL(baseUrl).hostname.replace(/^\[|\]$/g, "");
+    return (
+      host === "localhost" ||
+      host.endsWith(".local") ||
+      host === "::1" ||
+      /^127\./.test(host) ||
+      /^10\./.test(host) ||
+      /^192\.168\./.test(host) ||
+      /^172\.(1[6-9]|2\d|3[01])\./.test(host)
+    );
+  } catch {
+    return false;
+  }
+}
+
+function browserOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+// ------------------------------ Helpers: Expressions ------------------------------
+// One small math parser (never eval) behind graphs and answer checking: text → tree → number.
+const EXPR_FUNCS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  sec: (v) => 1 / Math.cos(v),
+  csc: (v) => 1 / Math.sin(v),
+  cot: (v) => 1 / Math.tan(v),
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: (v, b) => (b === undefined ? Math.log10(v) : Math.log(v) / Math.log(b)),
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+};
+
+const EXPR_CONSTS = { pi: Math.PI, e: Math.E };
+
+// Typed, unicode or LaTeX-ish math → the plain syntax the parser reads
+function normalizeMathText(input) {
+  let s = String(input ?? "")
+    .replace(/\$/g, "")
+    .replace(/\\left|\\right/g, "")
+    .replace(/\\[,;:! ]/g, " ")
+    .replace(/\^\s*\{?\\circ\}?|\\degree/g, "°");
+  // Innermost braces first, so nested \frac and \sqrt unwind one level per pass
+  for (let prev = ""; prev !== s; ) {
+    prev = s;
+    s = s
+      .replace(/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, "(($1)/($2))")
+      .replace(/\\sqrt\s*\[([^\]]*)\]\s*\{([^{}]*)\}/g, "(($2)^(1/($1)))")
+      .replace(/\\sqrt\s*\{([^{}]*)\}/g, "sqrt($1)");
+  }
+  return s
+    .replace(/\\(?:cdot|times)/g, "*")
+    .replace(/\\div/g, "/")
+    .replace(/\\pm/g, "±")
+    .replace(/\\(?:le|leq)\b/g, "≤")
+    .replace(/\\(?:ge|geq)\b/g, "≥")
+    .replace(/\\([a-zA-Z]+)/g, "$1")
+    .replace(/\blog_\{?([^{}\s(]+)\}?\s*\(([^()]*)\)/g, "log($2,$1)")
+    .replace(/\blog_\{?([^{}\s(]+)\}?\s*([\w.]+)/g, "log($2,$1)")
+    .replace(/[{]/g, "(")
+    .replace(/[}]/g, ")")
+    .replace(/π/g, "pi")
+    .replace(/θ/g, "theta")
+    .replace(/√/g, "sqrt")
+    .replace(/[·×∗]/g, "*")
+    .replace(/÷/g, "/")
+    .replace(/[−–]/g, "-")
+    .replace(/²/g, "^2")
+    .replace(/³/g, "^3")
+    .replace(/\+-|\+\/-/g, "±")
+    .replace(/<=/g, "≤")
+    .replace(/>=/g, "≥")
+    .replace(/([\d)])\s*deg(?:rees?)?\b/gi, "$1°")
+    // Radians are the default unit, so the word adds nothing
+    .replace(/(?<![a-z])\s*rad(?:ians?)?\b/gi, "")
+    .trim();
+}
+
+function tokenizeExpression(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d*\.?\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]+)|(\*\*|[-+*/^(),°])|(\S))/y;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    if (m[4]) throw new Error(`Unexpected “${m[4]}” at position ${m.index + m[0].length}`);
+    if (m[1]) tokens.push({ t: "num", v: Number(m[1]) });
+    else if (m[2]) tokens.push({ t: "id", v: m[2].toLowerCase() });
+    else if (m[3]) tokens.push({ t: "op", v: m[3] === "**" ? "^" : m[3] });
+  }
+  return tokens;
+}
+
+// Normalized text → tree of {t: num|var|neg|op|fn|deg}. `vars` limits the variable names;
+// without it any single letter (and theta) is a variable, and "xy" reads as x·y.
+function parseExpression(input, { vars = null } = {}) {
+  const tokens = tokenizeExpression(normalizeMathText(input));
+  if (!tokens.length) throw new Error("Empty expression");
+  const isVar = (n) => (vars ? vars.includes(n) : /^[a-z]$/.test(n) || n === "theta");
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (v) => peek()?.t === "op" && peek().v === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected “${v}”${peek() ? ` before “${peek().v}”` : " at the end"}`);
+    i++;
+  };
+  const startsPrimary = () => peek() && (peek().t !== "op" || peek().v === "(");
+  const bin = (op, a, b) => ({ t: "op", op, a, b });
+
+  function expr() {
+    let left = term();
+    while (isOp("+") || isOp("-")) left = bin(tokens[i++].v, left, term());
+    return left;
+  }
+  function term() {
+    let left = unary();
+    for (;;) {
+      if (isOp("*") || isOp("/")) left = bin(tokens[i++].v, left, unary());
+      // Implicit multiplication: 2x, 3(x+1), x sin(x)
+      else if (startsPrimary()) left = bin("*", left, power());
+      else return left;
+    }
+  }
+  function unary() {
+    if (isOp("-")) {
+      i++;
+      return { t: "neg", a: unary() };
+    }
+    if (isOp("+")) {
+      i++;
+      return unary();
+    }
+    return power();
+  }
+  function power() {
+    let base = primary();
+    while (isOp("°")) {
+      i++;
+      base = { t: "deg", a: base };
+    }
+    if (!isOp("^")) return base;
+    i++;
+    return bin("^", base, unary());
+  }
+  // A name that isn't known on its own: "sinx", "lnx" (function glued to its argument), "xy" or
+  // "xsinx". A function takes the rest of the name as its argument; otherwise letters multiply.
+  const funcNames = Object.keys(EXPR_FUNCS).sort((a, b) => b.length - a.length);
+  function splitName(name) {
+    for (const f of funcNames) {
+      const arg = name.startsWith(f) && name.length > f.length && splitName(name.slice(f.length));
+      if (arg) return { t: "fn", f, args: [arg] };
+    }
+    const head = ["pi", "theta"].find((p) => name.startsWith(p)) || name[0];
+    if (!(head in EXPR_CONSTS) && !isVar(head)) return null;
+    const node = head in EXPR_CONSTS ? { t: "num", v: EXPR_CONSTS[head], name: head } : { t: "var", n: head };
+    if (name.length === head.length) return node;
+    const rest = splitName(name.slice(head.length));
+    return rest && bin("*", node, rest);
+  }
+  function primary() {
+    const tok = tokens[i++];
+    if (!tok) throw new Error("Expression ends too early");
+    if (tok.t === "num") return { t: "num", v: tok.v };
+    if (tok.t === "op") {
+      if (tok.v !== "(") throw new Error(`Unexpected “${tok.v}”`);
+      const inner = expr();
+      expect(")");
+      return inner;
+    }
+    if (tok.v in EXPR_CONSTS) return { t: "num", v: EXPR_CONSTS[tok.v], name: tok.v };
+    if (isVar(tok.v)) return { t: "var", n: tok.v };
+    if (!EXPR_FUNCS[tok.v]) {
+      const split = splitName(tok.v);
+      if (split) return split;
+      throw new Error(`Unknown name “${tok.v}”${vars ? ` (use ${vars.join(", ")} as the variable)` : ""}`);
+    }
+    if (isOp("(")) {
+      i++;
+      const args = [expr()];
+      while (isOp(",")) {
+        i++;
+        args.push(expr());
+      }
+      expect(")");
+      return { t: "fn", f: tok.v, args };
+    }
+    // sin x, ln 2x: the function applies to the next factor
+    return { t: "fn", f: tok.v, args: [power()] };
+  }
+
+  const tree = expr();
+  if (i < tokens.length) throw new Error(`Unexpected “${tokens[i].v}”`);
+  return tree;
+}
+
+function evalExpression(node, scope) {
+  switch (node.t) {
+    case "num":
+      return node.v;
+    case "var":
+      return scope[node.n] ?? NaN;
+    case "neg":
+      return -evalExpression(node.a, scope);
+    case "deg":
+      return (evalExpression(node.a, scope) * Math.PI) / 180;
+    case "fn":
+      return EXPR_FUNCS[node.f](...node.args.map((a) => evalExpression(a, scope)));
+    default: {
+      const a = evalExpression(node.a, scope);
+      const b = evalExpression(node.b, scope);
+      return node.op === "+" ? a + b : node.op === "-" ? a - b : node.op === "*" ? a * b : node.op === "/" ? a / b : Math.pow(a, b);
+    }
+  }
+}
+
+function expressionVars(node, out = new Set()) {
+  if (node.t === "var") out.add(node.n);
+  for (const k of ["a", "b"]) if (node[k]) expressionVars(node[k], out);
+  (node.args || []).forEach((a) => expressionVars(a, out));
+  return out;
+}
+
+// "y = …" or "f(x) = …" in x → x => number
+function compileExpression(input) {
+  const tree = parseExpression(String(input ?? "").replace(/^\s*(?:y|[a-z]\s*\(\s*x\s*\))\s*=/i, ""), { vars: ["x"] });
+  return (x) => evalExpression(tree, { x });
+}
+
+// ------------------------------ Helpers: Answer equivalence ------------------------------
+// Checks a typed answer against an answer key on this device, so (x-1)(x+1) vs x^2-1,
+// ln(8)/ln(2) vs 3 or π/6 vs 30° don't depend on how the model reads them.
+// Verdicts: correct, approx (a decimal that rounds right), incorrect, unknown (coach decides).
+const EQUIV_SAMPLES = 16;
+const EQUIV_VERDICTS = {
+  correct: { badge: "✓ verified", title: "Checked on this device: equivalent to the answer key" },
+  approx: { badge: "≈ verified", title: "Checked on this device: a correctly rounded decimal" },
+  incorrect: { badge: "✗ verified", title: "Checked on this device: doesn’t match the answer key" },
+  unknown: { badge: "? unverified", title: "Couldn’t check this on the device; the coach will judge it" },
+};
+
+// Split at top-level separators (outside brackets)
+function splitTopLevel(s, sep) {
+  const out = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if ("([".includes(c)) depth++;
+    else if (")]".includes(c)) depth--;
+    else if (depth === 0 && sep.test(s.slice(i))) {
+      const len = sep.exec(s.slice(i))[0].length;
+      out.push(s.slice(start, i));
+      start = i + len;
+      i += len - 1;
+    }
+  }
+  out.push(s.slice(start));
+  return out.map((p) => p.trim()).filter(Boolean);
+}
+
+// Answer text → {kind: "tuple", open, close, parts} for points/intervals (a < x ≤ b reads as
+// (a, b]), else {kind: "list", parts} for one value or a set of solutions ("x = 2 or x = -3", "±3")
+function answerShape(text) {
+  // Set braces ({2, -3}, \{2, -3\}) hold solutions; normalizing would turn them into a tuple
+  const set = /^\s*(?:[a-z]\s*=\s*)?\\?\{([\s\S]*?)\\?\}\s*$/i.exec(String(text ?? "").replace(/\$/g, ""));
+  if (set) return { kind: "list", parts: set[1].trim() ? answerShape(set[1]).parts : [] };
+  const s = normalizeMathText(text).replace(/^[a-z]\s*\(\s*[a-z]\s*\)\s*=/i, "").trim();
+  if (/^(?:no (?:real )?solutions?|none|∅|\(\s*\))$/i.test(s)) return { kind: "list", parts: [] };
+  const chain = /^(.+?)(<|≤)\s*[a-z]\s*(<|≤)(.+)$/i.exec(s);
+  if (chain) return { kind: "tuple", open: chain[2] === "<" ? "(" : "[", close: chain[3] === "<" ? ")" : "]", parts: [chain[1].trim(), chain[4].trim()] };
+  const tuple = /^([([])(.*)([)\]])$/.exec(s);
+  const inner = tuple && splitTopLevel(tuple[2], /^,/);
+  if (inner && inner.length > 1) return { kind: "tuple", open: tuple[1], close: tuple[3], parts: inner };
+  const parts = splitTopLevel(s, /^(?:,|;|\s+or\s+|\s+and\s+)/i)
+    .map((p) => p.replace(/^[a-z]\s*=(?!=)/i, "").trim())
+    .flatMap((p) => (p.includes("±") ? [p.replace("±", "+"), p.replace("±", "-")] : [p]))
+    .map((p) => p.replace(/^\+/, ""));
+  return { kind: "list", parts };
+}
+
+const isDecimalText = (s) => /^-?\d*\.\d+$/.test(s.trim());
+const hasAngleUnit = (node) => node.t === "deg" || (node.t === "num" && node.name === "pi") || ["a", "b"].some((k) => node[k] && hasAngleUnit(node[k])) || (node.args || []).some(hasAngleUnit);
+
+function expressionSize(node) {
+  return 1 + ["a", "b"].reduce((n, k) => n + (node[k] ? expressionSize(node[k]) : 0), 0) + (node.args || []).reduce((n, a) => n + expressionSize(a), 0);
+}
+
+function hasVariableDenominator(node) {
+  if (node.t === "op" && node.op === "/" && expressionVars(node.b).size) return true;
+  if (node.t === "op" && node.op === "^" && node.b.t === "neg" && expressionVars(node.a).size) return true;
+  return ["a", "b"].some((k) => node[k] && hasVariableDenominator(node[k])) || (node.args || []).some(hasVariableDenominator);
+}
+
+function isProductForm(node) {
+  const n = node.t === "neg" ? node.a : node;
+  return n.t === "op" && (n.op === "*" || (n.op === "^" && n.a.t !== "var")) && expressionVars(n).size > 0;
+}
+
+// A mixed number (2 1/2, -1 3/4) as a sum; implicit multiplication would read it as 2·1/2
+function mixedNumber(text) {
+  const m = /^(-?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/.exec(normalizeMathText(text));
+  return m ? `${m[1]}(${m[2]}+${m[3]}/${m[4]})` : text;
+}
+
+// One value against one value → {verdict, note}
+function compareValues(given, expected, form) {
+  let g;
+  let e;
+  try {
+    e = parseExpression(mixedNumber(expected));
+  } catch {
+    return { verdict: "unknown", note: "answer key isn’t something the app can read" };
+  }
+  try {
+    g = parseExpression(mixedNumber(given));
+  } catch (err) {
+    return { verdict: "unknown", note: `couldn’t read “${given}”: ${err.message}` };
+  }
+  // Letters the key doesn't use may be a unit or a misread name, not a wrong answer
+  const keyVars = expressionVars(e);
+  const extra = [...expressionVars(g)].filter((n) => !keyVars.has(n));
+  if (extra.length) return { verdict: "unknown", note: `uses ${extra.join(", ")}, which the answer key doesn’t` };
+  const names = [...keyVars];
+  const close = (a, b) => Math.abs(a - b) <= 1e-7 * Math.max(1, Math.abs(a), Math.abs(b));
+  if (!names.length) {
+    const a = evalExpression(g, {});
+    const b = evalExpression(e, {});
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return { verdict: "unknown", note: "not a finite number" };
+    if (close(a, b)) return { verdict: "correct" };
+    if (isDecimalText(given) && !isDecimalText(expected)) {
+      const places = given.trim().split(".")[1].length;
+      if (Math.abs(a - b) <= 0.5 * 10 ** -places + 1e-12) {
+        if (form === "exact") return { verdict: "incorrect", note: "right value, but an exact form was asked for" };
+        return places >= 2 ? { verdict: "approx", note: "rounds to the exact answer" } : { verdict: "unknown", note: "rounded too coarsely to check" };
+      }
+    }
+    // 30 for π/6 (or 0.52 for 30°): right angle, missing or wrong unit
+    if (hasAngleUnit(e) !== hasAngleUnit(g) && (close((a * Math.PI) / 180, b) || close(a, (b * Math.PI) / 180))) {
+      return { verdict: "unknown", note: "matches in the other angle unit; check degrees vs radians" };
+    }
+    return { verdict: "incorrect" };
+  }
+  // Same value at random points, skipping points outside either domain
+  const rng = mulberry32(hashString(`${given}|${expected}`));
+  let valid = 0;
+  for (let k = 0; k < EQUIV_SAMPLES * 2 && valid < EQUIV_SAMPLES; k++) {
+    const scope = Object.fromEntries(names.map((n) => [n, rng() * 8 - 4]));
+    const a = evalExpression(g, scope);
+    const b = evalExpression(e, scope);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+    if (!close(a, b)) return { verdict: "incorrect" };
+    valid++;
+  }
+  if (valid < 4) return { verdict: "unknown", note: "too few points where both sides are defined" };
+  if (form === "factored" && isProductForm(e) && !isProductForm(g)) return { verdict: "incorrect", note: "equivalent, but not factored" };
+  // Sampling can't tell a simplified answer from the unsimplified original, so size stands in
+  const [sg, se] = [expressionSize(g), expressionSize(e)];
+  if (form === "simplified" && sg > se + 1) return { verdict: "incorrect", note: "equivalent, but not simplified" };
+  if (sg > se * 1.5 + 2) return { verdict: "unknown", note: "equivalent, but longer than the expected form" };
+  if (form === "simplified" && hasVariableDenominator(g) && !hasVariableDenominator(e)) return { verdict: "incorrect", note: "equivalent, but a fraction is left to simplify" };
+  return { verdict: "correct" };
+}
+
+// Student answer vs answer key → {verdict, note}; lists match in any order, tuples in order
+export function checkEquivalence(given, expected, { form } = {}) {
+  if (!String(given ?? "").trim()) return { verdict: "unknown", note: "blank" };
+  const g = answerShape(given);
+  const e = answerShape(expected);
+  if (g.kind !== e.kind) return { verdict: "incorrect", note: e.kind === "tuple" ? "expected an interval or a point" : "expected a value, not an interval or a point" };
+  if (g.parts.length !== e.parts.length) return { verdict: "incorrect", note: `expected ${e.parts.length} value${e.parts.length === 1 ? "" : "s"}, got ${g.parts.length}` };
+  if (g.kind === "tuple" && (g.open !== e.open || g.close !== e.close)) return { verdict: "incorrect", note: "check which endpoints are included" };
+  const unused = e.parts.map((_, i) => i);
+  let approx = false;
+  for (const [i, part] of g.parts.entries()) {
+    const candidates = g.kind === "tuple" ? [i] : unused;
+    const results = candidates.map((j) => compareValues(part, e.parts[j], form));
+    const k = [results.findIndex((r) => r.verdict === "correct"), results.findIndex((r) => r.verdict === "approx")].find((n) => n >= 0);
+    if (k == null) return results.find((r) => r.verdict === "unknown") || results.find((r) => r.note) || { verdict: "incorrect" };
+    if (results[k].verdict === "approx") approx = true;
+    unused.splice(unused.indexOf(candidates[k]), 1);
+  }
+  return approx ? { verdict: "approx", note: "decimal approximation" } : { verdict: "correct" };
+}
+
+// Structured item + submitted answer → {verdict, note}, or null when there's no key or no answer
+function checkItemAnswer(item, answer) {
+  if (item.answer == null || !answer) return null;
+  if (item.kind === "choice") {
+    if (answer.choice == null) return null;
+    const key = choiceKeyIndex(item);
+    return key == null ? null : { verdict: Number(answer.choice) === key ? "correct" : "incorrect" };
+  }
+  if (!String(answer.value ?? "").trim()) return null;
+  const check = checkEquivalence(answer.value, String(item.answer), { form: item.form });
+  if (item.kind !== "numeric" || !item.units.length || check.verdict === "incorrect") return check;
+  // The number alone doesn't settle it when the student picks the unit
+  if (!answer.unit) return { verdict: "unknown", note: "no unit picked" };
+  if (!item.unit) return { verdict: "unknown", note: "answer key has no unit" };
+  return answer.unit === item.unit ? check : { verdict: "incorrect", note: `wrong unit (${answer.unit}, not ${item.unit})` };
+}
+
+// 0-based index of the keyed choice: an index in range, or the text of one of the choices
+function choiceKeyIndex(item) {
+  const key = String(item.answer).trim();
+  if (/^\d+$/.test(key) && Number(key) < item.choices.length) return Number(key);
+  const plain = (s) => String(s).replace(/\$/g, "").replace(/\s+/g, "").toLowerCase();
+  const i = item.choices.findIndex((c) => plain(c) === plain(key));
+  return i < 0 ? null : i;
+}
+
+// A number written the way answers are: a fraction, radical or π multiple (3/4, sqrt(3)/2,
+// (1+√5)/2, 2π/3). Anything still to be worked out (log_2(8), 1/3+1/5, 2+6+18) is not one.
+function isAnswerForm(node) {
+  const plain = (n) => n.t === "num" && !n.name;
+  const irrational = (n) => (n.t === "num" && n.name === "pi") || (n.t === "fn" && ["sqrt", "cbrt"].includes(n.f) && plain(n.args[0]));
+  const atoms = (n) => (n.t === "neg" ? atoms(n.a) : n.t === "op" && n.op === "*" ? [...atoms(n.a), ...atoms(n.b)] : [n]);
+  const product = (n) => atoms(n).every((a) => plain(a) || irrational(a)) && atoms(n).filter(plain).length <= 1;
+  const signed = (n) => (n.t === "neg" ? signed(n.a) : product(n));
+  const terms = (n) => (n.t === "op" && (n.op === "+" || n.op === "-") ? [...terms(n.a), ...terms(n.b)] : [n]);
+  // A sum stays only when it can't be combined: at most one rational term
+  const sum = (n) => terms(n).every(signed) && terms(n).filter((x) => !atoms(x).some(irrational)).length <= 1;
+  const value = (n) => (n.t === "neg" ? value(n.a) : n.t === "deg" ? plain(n.a) : n.t === "op" && n.op === "/" ? sum(n.a) && signed(n.b) : sum(n));
+  return value(node);
+}
+
+// Numeric value of an answer in answer form; null otherwise
+function answerFormValue(text) {
+  try {
+    const tree = parseExpression(text, { vars: [] });
+    const v = isAnswerForm(tree) ? evalExpression(tree, {}) : NaN;
+    return Number.isFinite(v) ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+// ------------------------------ Helpers: Plotting ------------------------------
+// ```plot blocks (YAML) from the coach or the graph panel: functions of x, window, asymptotes,
+// points and an optional unit circle. Expressions go through a small parser, never eval.
+const PLOT_COLORS = ["#4f46e5", "#e11d48", "#059669", "#d97706", "#0891b2", "#7c3aed"];
+
+function plotNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  try {
+    const n = compileExpression(v)(0);
+    return Number.isFinite(n) ? n : null;
+  } catch {
+    return null;
+  }
+}
+
+function plotPair(v, fallback) {
+  const pair = Array.isArray(v) && v.length === 2 ? v.map(plotNumber) : null;
+  return pair && pair[0] != null && pair[1] != null && pair[0] < pair[1] ? pair : fallback;
+}
+
+// YAML/JSON text or an object → {spec, errors}; spec is null when nothing can be drawn
+function parsePlotSpec(input) {
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = YAML.parse(input);
+    } catch (e) {
+      return { spec: null, errors: [`Plot block is not valid YAML: ${String(e?.message || e).split("\n")[0]}`] };
+    }
+  }
+  if (typeof raw === "string" || Array.isArray(raw)) raw = { functions: raw };
+  if (!isPlainObject(raw)) return { spec: null, errors: ["Plot block should be a mapping"] };
+  const errors = [];
+  const list = raw.functions ?? raw.function ?? raw.fn ?? raw.expressions ?? [];
+  const functions = (Array.isArray(list) ? list : [list]).flatMap((f, n) => {
+    const o = isPlainObject(f) ? f : { expr: f };
+    const expr = String(o.expr ?? o.y ?? o.f ?? "").trim();
+    if (!expr) return [];
+    try {
+      return [{ expr, label: String(o.label ?? expr), color: typeof o.color === "string" ? o.color : PLOT_COLORS[n % PLOT_COLORS.length], fn: compileExpression(expr), dashed: !!o.dashed }];
+    } catch (e) {
+      errors.push(`${expr}: ${e.message}`);
+      return [];
+    }
+  });
+  const asym = isPlainObject(raw.asymptotes) ? raw.asymptotes : {};
+  const nums = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(plotNumber).filter((n) => n != null);
+  const points = (Array.isArray(raw.points) ? raw.points : []).flatMap((p) => {
+    const [x, y, label] = Array.isArray(p) ? p : isPlainObject(p) ? [p.x, p.y, p.label] : [];
+    const px = plotNumber(x);
+    const py = plotNumber(y);
+    return px == null || py == null ? [] : [{ x: px, y: py, label: label == null ? "" : String(label) }];
+  });
+  let unitCircle = null;
+  if (raw.unit_circle) {
+    const angles = isPlainObject(raw.unit_circle) && Array.isArray(raw.unit_circle.angles) ? raw.unit_circle.angles : [];
+    unitCircle = { angles: angles.map((a) => ({ label: String(a), value: plotNumber(a) })).filter((a) => a.value != null) };
+  }
+  const spec = {
+    title: raw.title ? String(raw.title) : "",
+    functions,
+    domain: plotPair(raw.domain ?? raw.x, unitCircle && !functions.length ? [-1.6, 1.6] : [-10, 10]),
+    range: plotPair(raw.range ?? raw.y, null),
+    vertical: nums(asym.vertical ?? raw.vertical_asymptotes),
+    horizontal: nums(asym.horizontal ?? raw.horizontal_asymptotes),
+    points,
+    unitCircle,
+  };
+  if (!functions.length && !points.length && !unitCircle) return { spec: null, errors: errors.length ? errors : ["Nothing to plot: add functions, points or unit_circle"] };
+  return { spec, errors };
+}
+
+// Plot spec (as parsed) → the YAML a ```plot block carries; `view` pins the visible window
+function plotSpecYaml(spec, view) {
+  const out = {};
+  if (spec.title) out.title = spec.title;
+  if (spec.functions.length) out.functions = spec.functions.map((f) => (f.label && f.label !== f.expr ? { expr: f.expr, label: f.label } : f.expr));
+  const win = view || { x0: spec.domain[0], x1: spec.domain[1], y0: spec.range?.[0], y1: spec.range?.[1] };
+  const r = (n) => Math.round(n * 1000) / 1000;
+  out.domain = [r(win.x0), r(win.x1)];
+  if (win.y0 != null) out.range = [r(win.y0), r(win.y1)];
+  if (spec.vertical.length || spec.horizontal.length) out.asymptotes = { vertical: spec.vertical, horizontal: spec.horizontal };
+  if (spec.points.length) out.points = spec.points.map((p) => (p.label ? { x: p.x, y: p.y, label: p.label } : [p.x, p.y]));
+  if (spec.unitCircle) out.unit_circle = spec.unitCircle.angles.length ? { angles: spec.unitCircle.angles.map((a) => a.label) } : true;
+  // Flow style below the top level keeps the block as compact as the prompt's example
+  const doc = new YAML.Document(out);
+  YAML.visit(doc, {
+    Seq: (_, node) => void (node.flow = true),
+    Map: (_, node, path) => void (path.length > 1 && (node.flow = true)),
+  });
+  return doc.toString({ lineWidth: 0, flowCollectionPadding: false });
+}
+
+// y-window when the spec gives none: the middle 90% of sampled values, so spikes near
+// asymptotes don't flatten the rest of the curve
+function autoRange(spec) {
+  const ys = [...spec.points.map((p) => p.y), ...spec.horizontal];
+  const [x0, x1] = spec.domain;
+  for (const f of spec.functions) {
+    for (let k = 0; k <= 200; k++) {
+      const y = f.fn(x0 + ((x1 - x0) * k) / 200);
+      if (Number.isFinite(y)) ys.push(y);
+    }
+  }
+  if (spec.unitCircle) ys.push(-1.3, 1.3);
+  if (!ys.length) return [-10, 10];
+  ys.sort((a, b) => a - b);
+  let lo = ys[Math.floor(ys.length * 0.05)];
+  let hi = ys[Math.ceil(ys.length * 0.95) - 1];
+  if (hi - lo < 2) {
+    const mid = (hi + lo) / 2;
+    lo = mid - 1;
+    hi = mid + 1;
+  }
+  const pad = (hi - lo) * 0.1;
+  return [lo - pad, hi + pad];
+}
+
+function niceTicks(lo, hi, target = 8) {
+  const raw = (hi - lo) / target;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map((k) => k * mag).find((s) => s >= raw) || 10 * mag;
+  if (!(step > 0) || !Number.isFinite(step)) return [];
+  const first = Math.ceil(lo / step) * step;
+  const out = [];
+  // Counted, not stepped: at deep zoom v + step can round back to v
+  for (let i = 0; i <= 2 * target + 2; i++) {
+    const v = first + i * step;
+    if (v > hi + step * 1e-9) break;
+    out.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  }
+  return out;
+}
+
+const PLOT_SIZE = { w: 480, h: 320 };
+
+// Starting window; unit circles get equal x/y scale so the circle stays round
+function plotWindow(spec) {
+  let [x0, x1] = spec.domain;
+  let [y0, y1] = spec.range || autoRange(spec);
+  if (spec.unitCircle) {
+    const unit = Math.max((x1 - x0) / PLOT_SIZE.w, (y1 - y0) / PLOT_SIZE.h);
+    const cx = (x0 + x1) / 2;
+    const cy = (y0 + y1) / 2;
+    [x0, x1] = [cx - (unit * PLOT_SIZE.w) / 2, cx + (unit * PLOT_SIZE.w) / 2];
+    [y0, y1] = [cy - (unit * PLOT_SIZE.h) / 2, cy + (unit * PLOT_SIZE.h) / 2];
+  }
+  return { x0, x1, y0, y1 };
+}
+
+const TRIG_RE = /\b(?:a(?:rc)?)?(?:sin|cos|tan|sec|csc|cot)\b/i;
+
+function piLabel(num, den) {
+  const g = (a, b) => (b ? g(b, a % b) : Math.abs(a));
+  const k = g(num, den) || 1;
+  const [n, d] = [num / k, den / k];
+  if (n === 0) return "0";
+  const head = n === 1 ? "π" : n === -1 ? "-π" : `${n}π`;
+  return d === 1 ? head : `${head}/${d}`;
+}
+
+// x ticks in multiples of π/6…π for trig graphs, otherwise 1-2-5 steps
+function plotTicksX(spec, lo, hi) {
+  if (spec.functions.some((f) => TRIG_RE.test(f.expr))) {
+    const den = [6, 4, 2, 1].find((d) => (hi - lo) / (Math.PI / d) <= 12);
+    if (den) {
+      const step = Math.PI / den;
+      const ticks = [];
+      for (let k = Math.ceil(lo / step); k * step <= hi; k++) ticks.push({ v: k * step, label: piLabel(k, den) });
+      return ticks;
+    }
+  }
+  return niceTicks(lo, hi).map((v) => ({ v, label: formatTick(v) }));
+}
+
+function formatTick(v) {
+  return String(Math.round(v * 1e6) / 1e6);
+}
+
+// Sampled SVG path for one function; breaks at gaps and at jumps taller than the window
+function plotPath(fn, view, toPx, samples = 480) {
+  const { x0, x1, y0, y1 } = view;
+  const span = y1 - y0;
+  const clamp = (y) => Math.max(y0 - span * 10, Math.min(y1 + span * 10, y));
+  let d = "";
+  let prev = null;
+  for (let k = 0; k <= samples; k++) {
+    const x = x0 + ((x1 - x0) * k) / samples;
+    const y = fn(x);
+    if (!Number.isFinite(y)) {
+      prev = null;
+      continue;
+    }
+    // A big jump whose midpoint isn't between the ends is a pole, not a steep stretch
+    const jump = prev == null ? 0 : Math.abs(y - prev);
+    const mid = jump > span / 2 ? fn(x - (x1 - x0) / samples / 2) : NaN;
+    const pole = jump > span * 2 || (jump > span / 2 && !(mid >= Math.min(y, prev) && mid <= Math.max(y, prev)));
+    const [px, py] = toPx(x, clamp(y));
+    d += `${prev == null || pole ? "M" : "L"}${px.toFixed(1)},${py.toFixed(1)}`;
+    prev = y;
+  }
+  return d;
+}
+
+// ------------------------------ Small UI primitives ------------------------------
+function IconButton({ children, onClick, title, className = "", disabled = false }) {
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      disabled={disabled}
+      className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm border border-slate-300 ${disabled ? "opacity-50 cursor-not-allowed" : "hover:bg-slate-50 active:scale-[0.99]"} transition ${className}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function Modal({ open, onClose, children }) {
+  if (!open) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div
+        className="absolute inset-0 bg-black/40"
+        onClick={onClose}
+        aria-hidden
+      />
+      <div className="relative z-10 w-[min(680px,92vw)] max-h-[90vh] overflow-auto rounded-2xl bg-white p-6 shadow-xl border border-slate-200">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// ------------------------------ Main App ------------------------------
+export default function App() {
+  // Settings
+  const [provider, setProvider] = useState("openai");
+  const [apiVersion, setApiVersion] = useState(PROVIDERS.azure.defaultApiVersion);
+  const [apiKey, setApiKey] = useState("");
+  const [baseUrl, setBaseUrl] = useState("https://api.openai.com/v1");
+  const [model, setModel] = useState("gpt-4o-mini");
+  const [stream, setStream] = useState(true);
+  const [contextMode, setContextMode] = useState("full");
+  const [keepTurns, setKeepTurns] = useState(6);
+  const [contextSizes, setContextSizes] = useState({});
+  const [pricing, setPricing] = useState({});
+  const [requestTimeoutSec, setRequestTimeoutSec] = useState(90);
+  const [maxRetries, setMaxRetries] = useState(3);
+  // Ask for quiz items through the provider's tool calling (the prompt's fenced format is the fallback)
+  const [itemTools, setItemTools] = useState(true);
+  const [stateMode, setStateMode] = useState("fenced");
+  const [sessionBudget, setSessionBudget] = useState("");
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+  const sessionFileInputRef = useRef(null);
+  const [magicCopied, setMagicCopied] = useState(false);
+  // Protection for exported configs / Magic Links; never persisted
+  const [sharePassphrase, setSharePassphrase] = useState("");
+  const [shareExpiry, setShareExpiry] = useState("");
+  const [passPrompt, setPassPrompt] = useState(null);
+  // A validated session file waiting for replace / new / cancel
+  const [sessionImport, setSessionImport] = useState(null);
+
+  // Session library (read once; the active session seeds the conversation state below)
+  const bootRef = useRef(null);
+  if (!bootRef.current) {
+    const lib = loadLibrary();
+    const data = loadSessionData(lib.activeId);
+    const packs = loadCustomPacks();
+    bootRef.current = { lib, data, packs, schema: schemaForPack(findPack(data.packId, packs)), reviews: loadReviewCards() };
+  }
+  const [library, setLibrary] = useState(() => bootRef.current.lib);
+  const activeId = library.activeId;
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+
+  // Curriculum packs (the active session's pack drives the prompt, stage count and STATE schema)
+  const [customPacks, setCustomPacks] = useState(() => bootRef.current.packs);
+  const [packId, setPackId] = useState(() => bootRef.current.data.packId);
+  const [packsOpen, setPacksOpen] = useState(false);
+  const activePack = useMemo(() => findPack(packId, customPacks), [packId, customPacks]);
+  const stateSchema = useMemo(() => schemaForPack(activePack), [activePack]);
+  const skipTouchRef = useRef(true);
+
+  // Spaced review deck (shared by all sessions); the queue opens on load when cards are due
+  const [reviews, setReviews] = useState(() => bootRef.current.reviews);
+  const [reviewsOpen, setReviewsOpen] = useState(() => dueCards(bootRef.current.reviews).length > 0);
+  // Replies finish long after the render that started them; verdict checks read the deck from here
+  const reviewsRef = useRef(reviews);
+  reviewsRef.current = reviews;
+  const today = localDay();
+  const dueReviews = useMemo(() => dueCards(reviews, today), [reviews, today]);
+
+  // Conversation
+  const [messages, setMessages] = useState(() => bootRef.current.data.messages);
+  const [input, setInput] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+  const [error, setError] = useState("");
+  const [retrying, setRetrying] = useState(false);
+  const [retryNote, setRetryNote] = useState("");
+  const [toast, setToast] = useState("");
+  const toastTimerRef = useRef(null);
+  const lastActionRef = useRef(0);
+  // Connectivity and a message held back while offline (one per session)
+  const [online, setOnline] = useState(browserOnline);
+  const [outbox, setOutbox] = useState(() => bootRef.current.data.outbox);
+
+  // Local quiz
+  const [quiz, setQuiz] = useState(null);
+
+  // State drawer
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [drawerTab, setDrawerTab] = useState("dashboard");
+  const stateShown = drawerOpen && drawerTab === "yaml";
+  const [cramOpen, setCramOpen] = useState(false);
+  const [calendarOpen, setCalendarOpen] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [graph, setGraph] = useState(null); // {spec, view} from a message plot, {} for a blank panel
+  const [lastYaml, setLastYaml] = useState(() => bootRef.current.data.lastYaml);
+  const [coachState, setCoachState] = useState(() => bootRef.current.data.state);
+  const [stateProblems, setStateProblems] = useState(() => {
+    const st = bootRef.current.data.state;
+    return st ? validateState(st, bootRef.current.schema) : [];
+  });
+  const [metrics, setMetrics] = useState(() => bootRef.current.data.metrics);
+  // Spend across all sessions, kept even when sessions are reset or deleted
+  const [lifetime, setLifetime] = useState(() => ({ requests: 0, total: 0, cost: 0, ...(loadJsonKey(LS_KEYS.lifetime) || {}) }));
+  const [contextSummary, setContextSummary] = useState(() => bootRef.current.data.contextSummary);
+
+  const transcriptEndRef = useRef(null);
+  const composerRef = useRef(null);
+  const shortcutRef = useRef(null);
+
+  // Load saved settings once
+  useEffect(() => {
+    const s = loadSettings();
+    if (s) {
+      setProvider(PROVIDERS[s.provider] ? s.provider : "openai");
+      setApiVersion(s.apiVersion || PROVIDERS.azure.defaultApiVersion);
+      setApiKey(s.apiKey || "");
+      setBaseUrl(s.baseUrl || "https://api.openai.com/v1");
+      setModel(s.model || "gpt-4o-mini");
+      setStream(s.stream !== false);
+      setContextMode(CONTEXT_MODES[s.contextMode] ? s.contextMode : "full");
+      setKeepTurns(Number(s.keepTurns) > 0 ? Number(s.keepTurns) : 6);
+      setContextSizes(isPlainObject(s.contextSizes) ? s.contextSizes : {});
+      setPricing(isPlainObject(s.pricing) ? s.pricing : {});
+      setRequestTimeoutSec(Number(s.requestTimeoutSec) >= 0 ? Number(s.requestTimeoutSec) : 90);
+      setMaxRetries(Number(s.maxRetries) >= 0 ? Number(s.maxRetries) : 3);
+      setItemTools(s.itemTools !== false);
+      setStateMode(STATE_MODES[s.stateMode] ? s.stateMode : "fenced");
+      setSessionBudget(Number(s.sessionBudget) > 0 ? String(s.sessionBudget) : "");
+    }
+    // Consume MagicLink config from URL fragment, if present (may ask for a passphrase)
+    const clearHash = () => {
+      // Remove the fragment to avoid lingering secrets in the address bar
+      if (typeof history?.replaceState === "function") {
+        history.replaceState(null, "", window.location.pathname + window.location.search);
+      }
+    };
+    parseMagicLinkFromHash()
+      .then((cfg) => {
+        if (!cfg) return;
+        applyConfig(cfg);
+        saveSettings({ ...(s || {}), ...cfg });
+        clearHash();
+        showToast("Magic Link applied");
+      })
+      .catch((e) => {
+        if (e?.expired) clearHash();
+        if (!e?.cancelled) alert("Magic Link: " + (e?.message || String(e)));
+      });
+  }, []);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  const wasOnlineRef = useRef(online);
+  useEffect(() => {
+    const was = wasOnlineRef.current;
+    wasOnlineRef.current = online;
+    if (online && !was && outbox) showToast("Back online — a queued message is waiting");
+  }, [online]);
+
+  // Auto-scroll transcript
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, drawerOpen]);
+
+  // Persist the active session; loading or switching a session doesn't count as an update
+  useEffect(() => {
+    saveSessionData(activeId, { messages, lastYaml: lastYaml || "", state: coachState, metrics, contextSummary, packId, outbox });
+    const touch = !skipTouchRef.current;
+    skipTouchRef.current = false;
+    setLibrary((lib) => ({
+      ...lib,
+      sessions: lib.sessions.map((x) =>
+        x.id === activeId
+          ? {
+              ...x,
+              messageCount: messages.length,
+              stage: coachState?.progress?.current_stage ?? null,
+              ...(touch ? { updatedAt: new Date().toISOString() } : {}),
+            }
+          : x
+      ),
+    }));
+  }, [activeId, messages, lastYaml, coachState, metrics, contextSummary, packId, outbox]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LS_KEYS.lifetime, JSON.stringify(lifetime));
+    } catch {}
+  }, [lifetime]);
+
+  // Persist custom curriculum packs
+  useEffect(() => {
+    saveCustomPacks(customPacks);
+  }, [customPacks]);
+
+  // Turn new gaps / flagged items / NeedsWork flags into review cards; persist the deck
+  useEffect(() => {
+    if (coachState) setReviews((cards) => syncReviewCards(cards, activeId, coachState));
+  }, [coachState, activeId]);
+
+  useEffect(() => {
+    saveReviewCards(reviews);
+  }, [reviews]);
+
+  // Persist the library index
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
+
+  // Derived: stage progress from the structured STATE model
+  const stageInfo = useMemo(() => stageInfoFromState(coachState, activePack.stages.length), [coachState, activePack]);
+
+  const hasSession = messages.length > 0;
+  const reachable = online || isLocalEndpoint(baseUrl) || !!PROVIDERS[provider].local;
+  const contextLimit = Number(contextSizes[model]) || defaultContextSize(model);
+  const promptEstimate = useMemo(
+    () =>
+      approxPromptTokensFromMessages(
+        buildContextMessages(messages, { mode: contextMode, keepTurns, stateYaml: stateToYaml(coachState), summaryText: contextSummary?.text })
+      ),
+    [messages, contextMode, keepTurns, coachState, contextSummary]
+  );
+  const contextRatio = promptEstimate / contextLimit;
+  const quizTopics = useMemo(() => packQuizTopics(activePack), [activePack]);
+  const quizMode =
+    !activePack.quiz || !quizTopics.length
+      ? null
+      : stageInfo.current === activePack.quiz.diagnostic_stage
+      ? "diagnostic"
+      : stageInfo.current === activePack.quiz.mini_exam_stage
+      ? "mini_exam"
+      : null;
+
+  // Commands: slash autocomplete in the composer, Alt+key shortcuts (Option+key outside text fields on a Mac)
+  const slashMatches = commandSuggestions(input);
+  const commandStage = { ...stageInfo, current: stageInfo.current ?? transcriptStage(messages), hasSession };
+  const commandBlocked = (name, n) => (busy ? "Wait for the reply" : commandProblem({ name, n }, commandStage));
+
+  function pickCommand(c) {
+    setSlashIndex(0);
+    if (c.arg) {
+      setInput(`${c.name} `);
+      composerRef.current?.focus();
+    } else {
+      sendUser(c.name);
+    }
+  }
+
+  const modalOpen = settingsOpen || packsOpen || cramOpen || calendarOpen || helpOpen || reviewsOpen || !!sessionImport || !!passPrompt || !!graph || !!quiz;
+
+  shortcutRef.current = (e) => {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.repeat || modalOpen) return;
+    // Other fields keep Alt/Option for typing (e.g. ˜ or ∫ on a Mac keyboard); so does the composer on a Mac
+    const t = e.target;
+    if ((IS_MAC || t !== composerRef.current) && (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || ""))) return;
+    const c = COMMANDS.find((x) => x.code === e.code);
+    if (!c) return;
+    e.preventDefault();
+    pickCommand(c);
+  };
+
+  useEffect(() => {
+    const onKey = (e) => shortcutRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // ---- Token metrics helpers (inside App scope) ----
+  function showToast(msg) {
+    try { if (toastTimerRef.current) clearTimeout(toastTimerRef.current); } catch {}
+    setToast(msg);
+    toastTimerRef.current = setTimeout(() => setToast("") , 2000);
+  }
+
+  function approxTokensFromText(t) {
+    if (!t) return 0;
+    const chars = t.length;
+    return Math.ceil(chars / 4); // rough heuristic
+  }
+
+  function approxPromptTokensFromMessages(msgs) {
+    try {
+      const joined = (msgs || []).map(m => (m?.content || "")).join("\n");
+      return approxTokensFromText(joined);
+    } catch {
+      return 0;
+    }
+  }
+
+  function recordUsage({ usage, msgs, completionText }) {
+    const promptTokens = usage?.prompt_tokens ?? approxPromptTokensFromMessages(msgs || []);
+    const completionTokens = usage?.completion_tokens ?? approxTokensFromText(completionText || "");
+    const totalTokens = usage?.total_tokens ?? (promptTokens + completionTokens);
+    const cost = usageCost(promptTokens, completionTokens, priceFor(model, pricing));
+    setMetrics((m) => ({
+      requests: (m.requests || 0) + 1,
+      prompt: (m.prompt || 0) + promptTokens,
+      completion: (m.completion || 0) + completionTokens,
+      total: (m.total || 0) + totalTokens,
+      cost: (m.cost || 0) + cost,
+      last: { prompt: promptTokens, completion: completionTokens, total: totalTokens },
+    }));
+    setLifetime((l) => ({ requests: l.requests + 1, total: l.total + totalTokens, cost: l.cost + cost }));
+  }
+
+  // Per-session spending cap: refuse new requests once the session's cost reaches it
+  function overBudget() {
+    const cap = Number(sessionBudget);
+    if (!(cap > 0) || (metrics.cost || 0) < cap) return false;
+    setError(`Session budget reached: ${formatUsd(metrics.cost)} spent of the ${formatUsd(cap)} cap. Raise the cap in Settings → Pricing or start a new session.`);
+    return true;
+  }
+
+  // Fold a locally computed STATE fragment (e.g., app-graded scores) into the model
+  function applyStatePatch(patch) {
+    const next = mergeState(coachState || emptyState(activePack), patch);
+    setCoachState(next);
+    setStateProblems(validateState(next, stateSchema));
+  }
+
+  // Parse a STATE block from the coach, validate it, and fold it into the client model
+  function applyStateYaml(yaml) {
+    const { data, error } = parseStateYaml(yaml);
+    if (!data) {
+      setStateProblems([error]);
+      return;
+    }
+    setStateProblems(validateState(data, stateSchema));
+    setCoachState((prev) => mergeState(prev || emptyState(activePack), data));
+  }
+
+  // Requests that can't be queued are refused up front while the coach is unreachable
+  function requireConnection() {
+    if (reachable) return true;
+    setError("You're offline. The transcript, STATE and cram sheet stay available; reconnect to talk to the coach.");
+    return false;
+  }
+
+  function canAct() {
+    const now = Date.now();
+    if (now - lastActionRef.current < 300) return false;
+    lastActionRef.current = now;
+    return true;
+  }
+
+  async function ensureSettings() {
+    if (!baseUrl) throw new Error("Base URL is required");
+    if (!model) throw new Error(provider === "azure" ? "Deployment name is required" : "Model is required");
+    // Some providers (local) may not require an API key
+    if (PROVIDERS[provider].keyRequired(baseUrl) && !apiKey) {
+      throw new Error(`API key required for ${PROVIDERS[provider].label}`);
+    }
+  }
+
+  // Connection args shared by every call to callChatCompletions
+  function llmArgs() {
+    return { provider, baseUrl, apiKey, model, apiVersion, timeoutMs: requestTimeoutSec * 1000 };
+  }
+
+  function applyConfig(cfg) {
+    setProvider(cfg.provider);
+    setBaseUrl(cfg.baseUrl || "");
+    setModel(cfg.model || "");
+    setApiKey(cfg.apiKey || "");
+    setApiVersion(cfg.apiVersion || PROVIDERS.azure.defaultApiVersion);
+  }
+
+  function changeProvider(next) {
+    const p = PROVIDERS[next];
+    setProvider(next);
+    setBaseUrl(p.defaultBaseUrl);
+    setModel(p.defaultModel);
+  }
+
+  // Switch to the scripted coach and keep the rest of the settings
+  function tryDemo() {
+    changeProvider("demo");
+    saveSettings({ ...currentSettings(), provider: "demo", baseUrl: PROVIDERS.demo.defaultBaseUrl, model: PROVIDERS.demo.defaultModel });
+    showToast("Demo provider selected — click Start Session");
+  }
+
+  function currentSettings() {
+    return { provider, apiVersion, apiKey, baseUrl, model, stream, contextMode, keepTurns, contextSizes, pricing, sessionBudget, requestTimeoutSec, maxRetries, itemTools, stateMode };
+  }
+
+  function handleSaveSettings() {
+    saveSettings(currentSettings());
+    setSettingsOpen(false);
+    showToast("Settings saved");
+  }
+
+  async function downloadConfig() {
+    const cfg = { provider, baseUrl, model, apiKey, ...(provider === "azure" ? { apiVersion } : {}) };
+    try {
+      const payload = await sealConfig(cfg);
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = "precalc-config.json";
+      a.click();
+      URL.revokeObjectURL(url);
+      showToast(sharePassphrase ? "Encrypted config exported" : "Config exported");
+    } catch (e) {
+      alert("Export failed: " + (e?.message || String(e)));
+    }
+  }
+
+  // Wrap a config for sharing: encrypted when a passphrase is set, expiry stamped when chosen
+  async function sealConfig(cfg) {
+    const exp = shareExpiry ? Date.now() + Number(shareExpiry) : null;
+    if (sharePassphrase) return encryptConfig(cfg, sharePassphrase, exp);
+    return exp ? { ...cfg, exp } : cfg;
+  }
+
+  // Resolves with the typed passphrase, or null when the dialog is cancelled
+  function askPassphrase(message) {
+    return new Promise((resolve) => setPassPrompt({ message, resolve }));
+  }
+
+  // Turn a shared payload (plain or encrypted) back into settings; throws with a readable message
+  async function openConfigPayload(obj, what) {
+    let inner = obj;
+    if (isEncryptedConfig(obj)) {
+      let note = "";
+      for (let attempt = 0; ; attempt++) {
+        const pass = await askPassphrase(`${what} is passphrase-protected.${note}`);
+        if (pass == null) throw Object.assign(new Error("Passphrase required"), { cancelled: true });
+        try {
+          inner = await decryptConfig(obj, pass);
+          break;
+        } catch (e) {
+          if (attempt >= 2) throw e;
+          note = " Wrong passphrase, try again.";
+        }
+      }
+    }
+    const exp = isEncryptedConfig(obj) ? obj.exp : inner?.exp;
+    if (configExpired({ exp })) {
+      throw Object.assign(new Error(`${what} expired on ${new Date(Number(exp)).toLocaleString()}`), { expired: true });
+    }
+    return sanitizeConfig(inner);
+  }
+
+  // ------------------------------ Session Import/Export ------------------------------
+  function exportSession() {
+    try {
+      const entry = library.sessions.find((x) => x.id === activeId);
+      const payload = {
+        kind: `pcpc.session.v${SESSION_VERSION}`,
+        exportedAt: new Date().toISOString(),
+        session: { name: entry?.name ?? null, createdAt: entry?.createdAt ?? null, updatedAt: entry?.updatedAt ?? null },
+        messages,
+        lastYaml: lastYaml || "",
+        state: coachState,
+        packId,
+        contextSummary,
+        metrics: { ...metrics, cost: metrics.cost || 0 },
+        cost: { usd: Math.round((metrics.cost || 0) * 1e6) / 1e6, model, price: priceFor(model, pricing) },
+      };
+      const ts = new Date().toISOString().replace(/[:.]/g, "-");
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `precalc-session-${ts}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      showToast("Session exported");
+    } catch (e) {
+      alert("Export failed: " + (e?.message || String(e)));
+    }
+  }
+
+  // Validate (and migrate) first; the dialog then asks where the session goes
+  async function onImportSessionFile(file) {
+    if (!file) return;
+    try {
+      const { data, fromVersion } = readSessionFile(await file.text());
+      // Unknown pack ids fall back to the built-in pack; untagged files use the pack in view
+      const pack = data.packId ? findPack(data.packId, customPacks) : activePack;
+      setSessionImport({ fileName: file.name, file: data, fromVersion, pack, data: sessionDataFromFile(data, pack) });
+      setSettingsOpen(false);
+    } catch (e) {
+      alert("Import failed: " + (e?.message || String(e)));
+    } finally {
+      if (sessionFileInputRef.current) sessionFileInputRef.current.value = "";
+    }
+  }
+
+  function finishSessionImport(mode) {
+    const imp = sessionImport;
+    if (imp && mode !== "cancel" && busy) {
+      // The dialog stays open with its buttons disabled; this only guards a stray click
+      showToast("Wait for the reply to finish (or Stop it) before importing");
+      return;
+    }
+    setSessionImport(null);
+    if (!imp || mode === "cancel") return;
+    if (mode === "new") {
+      const meta = imp.file.session;
+      const entry = {
+        ...newSessionEntry(meta.name || imp.fileName.replace(/\.json$/i, "")),
+        ...(meta.createdAt ? { createdAt: meta.createdAt } : {}),
+        messageCount: imp.data.messages.length,
+        stage: imp.data.state?.progress?.current_stage ?? null,
+      };
+      saveSessionData(entry.id, imp.data);
+      setLibrary((lib) => ({ ...lib, sessions: [entry, ...lib.sessions] }));
+      loadIntoView(entry.id, imp.data);
+      showToast("Session imported as new");
+      return;
+    }
+    loadIntoView(activeId, imp.data);
+    // loadIntoView treats this as a switch; a replace is an edit
+    skipTouchRef.current = false;
+    showToast("Session imported");
+  }
+
+  function tryParseConfig(text) {
+    // Try JSON first
+    try {
+      const j = JSON.parse(text);
+      if (j && (j.apiKey || j.baseUrl || j.model || j.provider || isEncryptedConfig(j))) return j;
+    } catch {}
+    // Then YAML
+    try {
+      const y = YAML.parse(text);
+      if (y && (y.apiKey || y.baseUrl || y.model || y.provider || isEncryptedConfig(y))) return y;
+    } catch {}
+    return null;
+  }
+
+  function sanitizeConfig(obj) {
+    if (!obj || typeof obj !== "object") return null;
+    // Configs from before provider support are OpenAI-compatible
+    const prov = typeof obj.provider === "string" && PROVIDERS[obj.provider] ? obj.provider : "openai";
+    const next = {
+      provider: prov,
+      baseUrl: typeof obj.baseUrl === "string" && obj.baseUrl.trim() ? obj.baseUrl.trim() : prov === provider ? baseUrl : PROVIDERS[prov].defaultBaseUrl,
+      model: typeof obj.model === "string" && obj.model.trim() ? obj.model.trim() : prov === provider ? model : PROVIDERS[prov].defaultModel,
+      apiKey: typeof obj.apiKey === "string" ? obj.apiKey : apiKey,
+      apiVersion: typeof obj.apiVersion === "string" && obj.apiVersion.trim() ? obj.apiVersion.trim() : apiVersion,
+    };
+    return next;
+  }
+
+  // Retries rate limits, overloads, 5xx, timeouts and network failures with backoff, but never
+  // once part of a reply has streamed in (the bubble would restart mid-answer)
+  async function chatWithRetry(args) {
+    let received = false;
+    const onDelta = (delta, full) => {
+      received = true;
+      args.onDelta?.(delta, full);
+    };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await callChatCompletions({ ...args, onDelta });
+      } catch (e) {
+        if (!e?.retryable || received || attempt >= maxRetries) throw e;
+        const wait = backoffDelay(attempt, e);
+        const why = { rate_limit: "Rate limited", overloaded: "Provider busy", timeout: "Timed out", network: "Network issue" }[e.kind] || "Server error";
+        setRetryNote(`${why}; retrying in ${Math.ceil(wait / 1000)}s (retry ${attempt + 1} of ${maxRetries})…`);
+        setRetrying(true);
+        try {
+          await sleep(wait, args.signal);
+        } finally {
+          setRetrying(false);
+          setRetryNote("");
+        }
+      }
+    }
+  }
+
+  async function onImportConfigFile(file) {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const raw = tryParseConfig(text);
+      if (!raw) throw new Error("Could not parse config (JSON or YAML)");
+      const cfg = await openConfigPayload(raw, "This config file");
+      if (!cfg) throw new Error("Invalid config format");
+      applyConfig(cfg);
+      saveSettings({ ...currentSettings(), ...cfg });
+      showToast("Config imported");
+    } catch (e) {
+      if (!e?.cancelled) alert("Import failed: " + (e?.message || String(e)));
+    } finally {
+      if (fileInputRef.current) fileInputRef.current.value = "";
+    }
+  }
+
+  // ------------------------------ MagicLink helpers ------------------------------
+  function toBase64Url(str) {
+    try {
+      const b64 = btoa(unescape(encodeURIComponent(str)));
+      return b64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+    } catch {
+      return "";
+    }
+  }
+
+  function fromBase64Url(b64url) {
+    try {
+      let b64 = b64url.replace(/-/g, "+").replace(/_/g, "/");
+      const pad = b64.length % 4;
+      if (pad) b64 += "=".repeat(4 - pad);
+      const str = atob(b64);
+      return decodeURIComponent(escape(str));
+    } catch {
+      return null;
+    }
+  }
+
+  // Plain links use #cfg=, passphrase-protected ones #ecfg=; both are base64url JSON
+  async function buildMagicLink(cfg) {
+    const payload = await sealConfig({
+      provider: cfg.provider,
+      baseUrl: cfg.baseUrl,
+      model: cfg.model,
+      apiKey: cfg.apiKey,
+      ...(cfg.provider === "azure" ? { apiVersion: cfg.apiVersion } : {}),
+    });
+    const enc = toBase64Url(JSON.stringify(payload));
+    const base = `${window.location.origin}${window.location.pathname}`;
+    return `${base}#${isEncryptedConfig(payload) ? "ecfg" : "cfg"}=${enc}`;
+  }
+
+  async function parseMagicLinkFromHash() {
+    const h = window.location.hash || "";
+    if (!h) return null;
+    const m = h.match(/[#&]e?cfg=([A-Za-z0-9_\-]+)/);
+    if (!m) return null;
+    const json = fromBase64Url(m[1]);
+    if (!json) return null;
+    let obj;
+    try {
+      obj = JSON.parse(json);
+    } catch {
+      return null;
+    }
+    return openConfigPayload(obj, "This Magic Link");
+  }
+
+  async function copyMagicLink() {
+    let link;
+    try {
+      link = await buildMagicLink({ provider, baseUrl, model, apiKey, apiVersion });
+    } catch (e) {
+      alert("Magic Link failed: " + (e?.message || String(e)));
+      return;
+    }
+    try {
+      await navigator.clipboard?.writeText(link);
+      setMagicCopied(true);
+      setTimeout(() => setMagicCopied(false), 1500);
+      showToast("Magic Link copied");
+    } catch (e) {
+      // Fallback: show prompt
+      window.prompt("Copy this Magic Link", link);
+    }
+  }
+
+  // Apply the context strategy: system prompt + condensed older turns + latest STATE + last N turns
+  async function prepareContext(convo, signal, state = coachState) {
+    convo = convo.filter((m) => !m.incomplete);
+    const opts = { mode: contextMode, keepTurns, stateYaml: stateToYaml(state) };
+    if (contextMode !== "summary") return buildContextMessages(convo, opts);
+    const { older } = splitForContext(convo, Math.max(1, keepTurns));
+    if (!older.length) return buildContextMessages(convo, opts);
+    // The summary covers older[0..upTo); a shorter transcript (reset/import) invalidates it
+    let summary = contextSummary && contextSummary.upTo <= older.length ? contextSummary : { text: "", upTo: 0 };
+    if (older.length - summary.upTo >= 4 || !summary.text) {
+      const fresh = older.slice(summary.upTo);
+      const req = [
+        { role: "system", content: SUMMARY_PROMPT },
+        {
+          role: "user",
+          content: `PREVIOUS SUMMARY:\n${summary.text || "(none)"}\n\nNEW MESSAGES:\n${fresh
+            .map((m) => `${m.role === "user" ? "Student" : "Coach"}: ${stripStateBlocks(m.content)}`)
+            .join("\n\n")}`,
+        },
+      ];
+      try {
+        const { text, usage } = await callChatCompletions({ ...llmArgs(), messages: req, signal });
+        recordUsage({ usage, msgs: req, completionText: text });
+        summary = { text: text.trim(), upTo: older.length };
+        setContextSummary(summary);
+      } catch (e) {
+        if (e?.name === "AbortError") throw e;
+        return buildContextMessages(convo, { ...opts, mode: "digest" });
+      }
+    }
+    const tail = older.slice(summary.upTo);
+    const summaryText = tail.length ? `${summary.text}\n${digestTurns(tail)}` : summary.text;
+    return buildContextMessages(convo, { ...opts, summaryText });
+  }
+
+  // Sends `convo` and renders the reply into a trailing assistant bubble as it streams in.
+  // STATE is only extracted by the caller once the full text is available.
+  // Options: `at` replaces messages[at..] with the reply once it starts (regenerate), `reply`
+  // adds fields to the reply message, `state` overrides the STATE sent as context and
+  // `onStart` runs when the reply first appears.
+  // `coach: false` is for side conversations (spaced review) that use neither items nor STATE
+  async function requestAssistant(convo, { at = null, reply = {}, state = coachState, onStart, coach = true } = {}) {
+    const stateField = coach && stateMode === "field";
+    const tools = coach ? [itemTools && ITEMS_TOOL, stateField && STATE_TOOL].filter(Boolean) : [];
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let shown = false;
+    const bubble = (content) => ({ role: "assistant", content, ...reply });
+    const place = (m, content) => [...(at == null ? m : m.slice(0, at)), bubble(content)];
+    const onDelta = (_delta, full) => {
+      if (!shown) {
+        shown = true;
+        onStart?.();
+        setStreaming(true);
+        setMessages((m) => place(m, full));
+      } else {
+        setMessages((m) => [...m.slice(0, -1), bubble(full)]);
+      }
+    };
+    try {
+      const prepared = await prepareContext(convo, controller.signal, state);
+      const outbound = stateField ? withStateReporting(prepared) : prepared;
+      const { text, usage } = await chatWithRetry({
+        ...llmArgs(),
+        messages: toApiMessages(outbound),
+        stream,
+        signal: controller.signal,
+        onDelta,
+        tools,
+      });
+      recordUsage({ usage, msgs: outbound, completionText: text });
+      if (!shown) onStart?.();
+      setMessages((m) => (shown ? [...m.slice(0, -1), bubble(text)] : place(m, text)));
+      return text;
+    } catch (e) {
+      // Keep whatever already streamed so the student can read it, marked `incomplete` so it is
+      // never sent back as history; drop an empty bubble
+      const note = e?.name === "AbortError" ? "_(stopped)_" : "_(incomplete: the reply broke off)_";
+      setMessages((m) => {
+        if (!shown) return m;
+        const last = m[m.length - 1];
+        return last?.content ? [...m.slice(0, -1), { ...bubble(`${last.content}\n\n${note}`), incomplete: true }] : m.slice(0, -1);
+      });
+      throw e;
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+    }
+  }
+
+  function stopRequest() {
+    abortRef.current?.abort();
+  }
+
+  function reportError(e) {
+    if (e?.name === "AbortError") {
+      showToast("Stopped");
+      return;
+    }
+    setError(String(e.message || e));
+  }
+
+  // Pick up a STATE block from a finished reply; returns whether one was found
+  function absorbReply(text, sessionId = activeId) {
+    checkReviewVerdict(text, sessionId);
+    const yaml = extractStateYaml(text);
+    if (!yaml) return false;
+    setLastYaml(yaml);
+    applyStateYaml(yaml);
+    // In field mode STATE arrives every turn; the drawer opens only when the student asks
+    if (stateMode !== "field") showStateView(true);
+    return true;
+  }
+
+  // The YAML view is the drawer's STATE tab; showing it also switches to that tab
+  function showStateView(show) {
+    setDrawerTab("yaml");
+    setDrawerOpen(show);
+  }
+
+  async function startSession() {
+    if (busy) return;
+    if (!canAct()) return;
+    if (!requireConnection()) return;
+    if (overBudget()) return;
+    try {
+      setError("");
+      await ensureSettings();
+      const seed = [
+        { role: "system", content: buildControllerPrompt(activePack) },
+        { role: "user", content: "Start. Please begin at Stage 0." },
+      ];
+      setMessages(seed);
+      setBusy(true);
+      absorbReply(await requestAssistant(seed));
+    } catch (e) {
+      reportError(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // `extra` carries client-only fields (e.g., statePatch, applied once the message is in the
+  // transcript) stored on the user message. Resolves to whether the message was handled
+  // (`onCommit` runs then): added to the transcript, queued while offline or answered locally
+  // (HELP, the STATE toggle). False means it was turned away and nothing was sent or kept.
+  // `debounce: false` skips the double-click guard for sends that aren't a click on Send.
+  async function sendUser(text, extra = {}, { onCommit, debounce = true } = {}) {
+    if (!text.trim()) return false;
+    if (busy) return false;
+    const cmd = parseCommand(text);
+    if (cmd?.error) {
+      showToast(cmd.error);
+      return false;
+    }
+    if (cmd?.name === "HELP") {
+      setInput("");
+      setHelpOpen(true);
+      onCommit?.();
+      return true;
+    }
+    if (cmd) {
+      const problem = commandProblem(cmd, commandStage);
+      if (problem) {
+        showToast(problem);
+        return false;
+      }
+      text = cmd.text;
+    }
+    if (quiz?.limitSec && !extra.statePatch) {
+      showToast("Finish the Mini-Exam first");
+      return false;
+    }
+    if (debounce && !canAct()) return false;
+    // Local STATE toggle to avoid an API call when we already have YAML (field mode never asks the coach)
+    if (/^STATE$/i.test(text.trim())) {
+      if (coachState || (lastYaml && lastYaml.trim())) {
+        showStateView(!stateShown);
+        setInput("");
+        onCommit?.();
+        return true;
+      }
+      if (stateMode === "field") {
+        setInput("");
+        showToast("No STATE yet — the coach reports it with its next reply");
+        return false;
+      }
+    }
+    if (overBudget()) return false;
+    if (!reachable) {
+      const queued = queueMessage(text, extra);
+      if (queued) onCommit?.();
+      return queued;
+    }
+    let committed = false;
+    try {
+      setError("");
+      await ensureSettings();
+      const next = [...messages, { role: "user", content: text, ...extra }];
+      setMessages(next);
+      if (extra.statePatch) applyStatePatch(extra.statePatch);
+      committed = true;
+      onCommit?.();
+      setBusy(true);
+      setInput("");
+      const assistantText = await requestAssistant(next);
+      if (!absorbReply(assistantText) && /\bSTATE\b/i.test(text)) {
+        // If user asked to toggle STATE but no YAML appeared, close the drawer.
+        setDrawerOpen(false);
+        setLastYaml("");
+      }
+    } catch (e) {
+      reportError(e);
+    } finally {
+      setBusy(false);
+    }
+    return committed;
+  }
+
+  // ------------------------------ Offline outbox ------------------------------
+  function queueMessage(text, extra) {
+    if (outbox && !window.confirm(`Replace the queued message “${outbox.text}”?`)) return false;
+    setOutbox({ text, ...(Object.keys(extra).length ? { extra } : {}), queuedAt: new Date().toISOString() });
+    setInput("");
+    setError("");
+    showToast("Offline — message queued");
+    return true;
+  }
+
+  // Sending is always the student's call: the coach may have moved on since the message was written
+  function sendQueued() {
+    if (!outbox || busy || !reachable) return;
+    // Cleared only once the message is in the transcript; a turned-away send keeps it queued
+    const { text, extra } = outbox;
+    sendUser(text, extra || {}, { onCommit: () => setOutbox(null) });
+  }
+
+  // Move the queued message back into the composer for rewording
+  function editQueued() {
+    if (!outbox) return;
+    setInput(outbox.text);
+    setOutbox(null);
+  }
+
+  // ------------------------------ Edit / regenerate / branches ------------------------------
+  // Roll the STATE model back to what `list` recorded; a cached summary may cover dropped turns
+  function rewindState(list) {
+    const rebuilt = stateFromMessages(list, activePack);
+    setCoachState(rebuilt.state);
+    setLastYaml(rebuilt.lastYaml);
+    setStateProblems(rebuilt.problems);
+    setContextSummary(null);
+    return rebuilt.state;
+  }
+
+  function canRewrite() {
+    if (busy) return false;
+    if (quiz?.limitSec) {
+      showToast("Finish the Mini-Exam first");
+      return false;
+    }
+    return canAct();
+  }
+
+  function canRequestAgain() {
+    return canRewrite() && requireConnection() && !overBudget();
+  }
+
+  // Resend from an edited user message; the old continuation is kept as a branch
+  async function editMessage(idx, text) {
+    if (!text.trim() || messages[idx]?.role !== "user") return;
+    if (!canRequestAgain()) return;
+    try {
+      setError("");
+      await ensureSettings();
+      const next = [...messages.slice(0, idx), { role: "user", content: text, ...forkMeta(messages, idx) }];
+      setMessages(next);
+      const state = rewindState(next);
+      setBusy(true);
+      absorbReply(await requestAssistant(next, { state }));
+    } catch (e) {
+      reportError(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Ask again for the reply at `idx`; the original stays on screen until the new one starts
+  async function regenerateMessage(idx) {
+    if (messages[idx]?.role !== "assistant") return;
+    if (!canRequestAgain()) return;
+    const convo = messages.slice(0, idx);
+    try {
+      setError("");
+      await ensureSettings();
+      setBusy(true);
+      const text = await requestAssistant(convo, {
+        at: idx,
+        reply: forkMeta(messages, idx),
+        state: stateFromMessages(convo, activePack).state,
+        onStart: () => rewindState(convo),
+      });
+      absorbReply(text);
+    } catch (e) {
+      reportError(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function selectBranch(idx, to) {
+    if (!canRewrite()) return;
+    const next = switchBranch(messages, idx, to);
+    if (next === messages) return;
+    setMessages(next);
+    rewindState(next);
+  }
+
+  // ------------------------------ Session library actions ------------------------------
+  function loadIntoView(id, data) {
+    skipTouchRef.current = true;
+    setLibrary((lib) => ({ ...lib, activeId: id }));
+    setMessages(data.messages);
+    setLastYaml(data.lastYaml);
+    setCoachState(data.state);
+    setPackId(data.packId);
+    setStateProblems(data.state ? validateState(data.state, schemaForPack(findPack(data.packId, customPacks))) : []);
+    setMetrics(data.metrics);
+    setContextSummary(data.contextSummary);
+    setOutbox(data.outbox);
+    setDrawerOpen(!!data.state);
+    setError("");
+    setInput("");
+  }
+
+  function switchSession(id) {
+    if (busy || id === activeId) return;
+    loadIntoView(id, loadSessionData(id));
+  }
+
+  function createSession() {
+    if (busy) return;
+    const entry = newSessionEntry(nextSessionName(library));
+    // New sessions keep the pack of the session in view
+    const data = { ...emptySessionData(), packId: activePack.id };
+    saveSessionData(entry.id, data);
+    setLibrary((lib) => ({ ...lib, sessions: [entry, ...lib.sessions] }));
+    loadIntoView(entry.id, data);
+  }
+
+  function renameSession(id) {
+    const current = library.sessions.find((x) => x.id === id);
+    if (!current) return;
+    const name = window.prompt("Rename session", current.name);
+    if (!name || !name.trim()) return;
+    setLibrary((lib) => ({
+      ...lib,
+      sessions: lib.sessions.map((x) => (x.id === id ? { ...x, name: name.trim(), updatedAt: new Date().toISOString() } : x)),
+    }));
+  }
+
+  function duplicateSession(id) {
+    if (busy) return;
+    const src = library.sessions.find((x) => x.id === id);
+    if (!src) return;
+    const data = id === activeId ? { messages, lastYaml, state: coachState, metrics, contextSummary, packId } : loadSessionData(id);
+    const entry = { ...newSessionEntry(`${src.name} (copy)`), messageCount: src.messageCount, stage: src.stage };
+    saveSessionData(entry.id, structuredClone(data));
+    setLibrary((lib) => {
+      const i = lib.sessions.findIndex((x) => x.id === id);
+      const sessions = [...lib.sessions];
+      sessions.splice(i + 1, 0, entry);
+      return { ...lib, sessions };
+    });
+    showToast("Session duplicated");
+  }
+
+  function deleteSession(id) {
+    if (busy) return;
+    const target = library.sessions.find((x) => x.id === id);
+    if (!target) return;
+    if (!window.confirm(`Delete “${target.name}”? Its transcript, STATE, metrics and review cards will be removed from this browser.`)) return;
+    removeSessionData(id);
+    setReviews((list) => list.filter((c) => c.sessionId !== id));
+    const rest = library.sessions.filter((x) => x.id !== id);
+    if (!rest.length) {
+      const entry = newSessionEntry("Session 1");
+      saveSessionData(entry.id, emptySessionData());
+      setLibrary({ activeId: entry.id, sessions: [entry] });
+      loadIntoView(entry.id, emptySessionData());
+    } else {
+      setLibrary((lib) => ({ ...lib, sessions: lib.sessions.filter((x) => x.id !== id) }));
+      if (id === activeId) loadIntoView(rest[0].id, loadSessionData(rest[0].id));
+    }
+    showToast("Session deleted");
+  }
+
+  // ------------------------------ Spaced review ------------------------------
+  function rateReview(id, good) {
+    setReviews((list) => list.map((c) => (c.id === id ? scheduleReview(c, good) : c)));
+  }
+
+  // A coach review session ends with "Review verdict: Good|Again"; rate the card it was opened for
+  function checkReviewVerdict(text, sessionId) {
+    const m = REVIEW_VERDICT_RE.exec(text || "");
+    const card = m && reviewsRef.current.find((c) => c.coachSession === sessionId);
+    if (!card) return;
+    const good = m[1].toLowerCase() === "good";
+    rateReview(card.id, good);
+    showToast(`Review logged: ${good ? "Good" : "Again"}`);
+  }
+
+  // Hand a card to the coach as its own short session in the library
+  async function reviewWithCoach(card) {
+    if (busy) return;
+    if (!canAct()) return;
+    if (!requireConnection()) return;
+    if (overBudget()) return;
+    try {
+      setError("");
+      await ensureSettings();
+      const entry = newSessionEntry(`Review · ${card.topic || card.bankTopic || "gap"}`);
+      const data = { ...emptySessionData(), packId: activePack.id };
+      saveSessionData(entry.id, data);
+      setLibrary((lib) => ({ ...lib, sessions: [entry, ...lib.sessions] }));
+      loadIntoView(entry.id, data);
+      const tag = (list) => list.map((c) => (c.id === card.id ? { ...c, coachSession: entry.id } : c));
+      reviewsRef.current = tag(reviewsRef.current);
+      setReviews(tag);
+      setReviewsOpen(false);
+      const seed = [
+        { role: "system", content: buildReviewPrompt(card) },
+        { role: "user", content: "Start the review." },
+      ];
+      setMessages(seed);
+      setBusy(true);
+      absorbReply(await requestAssistant(seed, { state: null, coach: false }), entry.id);
+    } catch (e) {
+      reportError(e);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ------------------------------ Local quiz (Diagnostic / Mini-Exam) ------------------------------
+  function openQuiz(mode) {
+    const items = buildQuiz(mode, {
+      seed: hashString(`${activeId}:${mode}`),
+      targets: coachState?.goals?.targets || [],
+      topics: quizTopics,
+    });
+    const limitSec = QUIZ_MODES[mode].timed ? examTimeLimitMin(coachState, items.length) * 60 : null;
+    setQuiz({ mode, items, limitSec });
+  }
+
+  // The STATE patch rides on the results message and is applied only once that message is in
+  // the transcript, so a turned-away send leaves STATE alone and a rewind drops both together
+  async function submitQuiz(mode, graded, timing) {
+    const patch = quizStatePatch(mode, graded, timing);
+    const sent = await sendUser(quizResultsMessage(mode, graded, timing), { statePatch: patch }, { debounce: false, onCommit: () => setQuiz(null) });
+    if (!sent) showToast("Results not sent; they stay in the quiz until you send them");
+  }
+
+  // ------------------------------ Curriculum packs ------------------------------
+  function choosePack(id) {
+    if (messages.length) return; // the prompt is fixed once a session starts
+    setPackId(id);
+  }
+
+  function savePack(pack) {
+    setCustomPacks((list) => {
+      const i = list.findIndex((p) => p.id === pack.id);
+      return i === -1 ? [...list, pack] : list.map((p, j) => (j === i ? pack : p));
+    });
+    showToast(`Saved “${pack.name}”`);
+  }
+
+  function deletePack(id) {
+    const pack = customPacks.find((p) => p.id === id);
+    if (!pack) return;
+    if (!confirm(`Delete pack “${pack.name}”? Sessions using it fall back to the built-in pack.`)) return;
+    setCustomPacks((list) => list.filter((p) => p.id !== id));
+    if (packId === id) setPackId(DEFAULT_PACK.id);
+  }
+
+  function resetSession() {
+    if (messages.length && !window.confirm("Reset this session? The transcript, STATE and metrics for this session will be cleared.")) return;
+    setMessages([]);
+    setLastYaml("");
+    setCoachState(null);
+    setStateProblems([]);
+    setDrawerOpen(false);
+    setError("");
+    setMetrics(emptyMetrics());
+    setContextSummary(null);
+    setOutbox(null);
+  }
+
+  function downloadYaml() {
+    const yamlText = stateToYaml(coachState);
+    if (!yamlText) return;
+    const blob = new Blob([yamlText], { type: "text/yaml;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "precalc_state.yml";
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900">
+      {/* Header */}
+      <header className="sticky top-0 z-40 backdrop-blur bg-white/75 border-b border-slate-200">
+        <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="h-9 w-9 rounded-2xl bg-indigo-600 text-white grid place-items-center font-bold">PC</div>
+            <div>
+              <div className="text-lg font-semibold">Pre‑Calc Placement Coach</div>
+              <div className="text-xs text-slate-500">{activePack.name} · NEXT / STATE · / for commands</div>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="hidden sm:block text-[11px] text-slate-500 mr-3">
+              {stageInfo.current != null ? (
+                <span title={activePack.stages[stageInfo.current]?.title || ""}>
+                  Progress: <span className="font-medium">Stage {stageInfo.current} / {stageInfo.total}</span>
+                </span>
+              ) : (
+                <span>Progress: <span className="font-medium">—</span></span>
+              )}
+            </div>
+            <div className="hidden md:block text-[11px] text-slate-500 mr-2">
+              <span>Req: <span className="font-medium">{metrics.requests}</span></span>
+              <span className="mx-1">·</span>
+              <span>Tok: <span className="font-medium">{metrics.total}</span> <span className="opacity-70">(P {metrics.prompt} / C {metrics.completion})</span></span>
+              <span className="mx-1">·</span>
+              <span
+                className={Number(sessionBudget) > 0 && (metrics.cost || 0) >= Number(sessionBudget) ? "text-red-600" : ""}
+                title={priceFor(model, pricing) ? `Lifetime ${formatUsd(lifetime.cost)} over ${lifetime.requests} requests` : `No price set for ${model}; add one in Settings → Pricing`}
+              >
+                Cost: <span className="font-medium">{formatUsd(metrics.cost)}</span>
+                {Number(sessionBudget) > 0 && <span className="opacity-70"> / {formatUsd(sessionBudget)}</span>}
+              </span>
+              <span className="mx-1">·</span>
+              <span
+                className={contextRatio >= 1 ? "text-red-600" : contextRatio >= CONTEXT_WARN_RATIO ? "text-amber-600" : ""}
+                title={`Estimated next prompt vs. ${model} context window (${CONTEXT_MODES[contextMode]})`}
+              >
+                Ctx: <span className="font-medium">~{promptEstimate}</span> / {contextLimit}
+              </span>
+            </div>
+            <IconButton title={sidebarOpen ? "Hide sessions" : "Show sessions"} onClick={() => setSidebarOpen((v) => !v)}>
+              <span className="text-base">🗂️</span>
+              <span className="text-sm hidden sm:inline">Sessions</span>
+            </IconButton>
+            {hasSession && (
+              <IconButton title="Printable cram sheet and exports" onClick={() => setCramOpen(true)}>
+                <span className="text-base">📄</span>
+                <span className="text-sm hidden sm:inline">Cram Sheet</span>
+              </IconButton>
+            )}
+            <IconButton title="Spaced review queue" onClick={() => setReviewsOpen(true)}>
+              <span className="text-base">🔁</span>
+              <span className="text-sm hidden sm:inline">Reviews</span>
+              {dueReviews.length > 0 && (
+                <span className="rounded-full bg-rose-600 text-white text-[10px] px-1.5">{dueReviews.length}</span>
+              )}
+            </IconButton>
+            <IconButton title="Settings" onClick={() => setSettingsOpen(true)} disabled={busy}>
+              <span className="text-base">⚙️</span>
+              <span className="text-sm">Settings</span>
+            </IconButton>
+            {!hasSession ? (
+              <IconButton title="Start Session" onClick={startSession} className="bg-indigo-600 text-white border-indigo-600 hover:bg-indigo-700" disabled={busy}>
+                <span className="text-base">▶</span>
+                <span className="text-sm">Start Session</span>
+              </IconButton>
+              ) : (
+              <IconButton title="Reset Session" onClick={resetSession}>
+                <span className="text-base">⟳</span>
+                <span className="text-sm">Reset</span>
+              </IconButton>
+            )}
+          </div>
+        </div>
+      </header>
+
+      {/* Body */}
+      <div className={`mx-auto ${sidebarOpen ? "max-w-7xl lg:grid-cols-[220px_1fr_360px]" : "max-w-6xl lg:grid-cols-[1fr_360px]"} px-4 grid grid-cols-1 gap-4 py-4`}>
+        {/* Session library */}
+        {sidebarOpen && (
+          <SessionSidebar
+            sessions={library.sessions}
+            activeId={activeId}
+            disabled={busy}
+            onSelect={switchSession}
+            onCreate={createSession}
+            onRename={renameSession}
+            onDuplicate={duplicateSession}
+            onDelete={deleteSession}
+          />
+        )}
+
+        {/* Transcript */}
+        <div className="rounded-2xl bg-white border border-slate-200 shadow-sm p-4 flex flex-col min-h-[60vh]">
+          <div className="flex-1 overflow-auto pr-1">
+            {messages.length === 0 && (
+              <div className="text-sm text-slate-500 p-2 space-y-3">
+                <div>
+                  Click <span className="font-medium">Start Session</span> to begin at Stage 0. Configure your API key and model in <span className="font-medium">Settings</span> first.
+                </div>
+                {provider !== "demo" && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span>No API key yet?</span>
+                    <IconButton title="Switch to the scripted demo provider" onClick={tryDemo}>
+                      <span>🎬</span>
+                      <span className="text-sm">Try the demo</span>
+                    </IconButton>
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-xs font-semibold text-slate-500">Curriculum</span>
+                  <select
+                    value={activePack.id}
+                    onChange={(e) => choosePack(e.target.value)}
+                    className="rounded-xl border border-slate-300 px-2 py-1 text-sm"
+                  >
+                    {[DEFAULT_PACK, ...customPacks].map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                  <IconButton title="Edit curriculum packs" onClick={() => setPacksOpen(true)}>
+                    <span>📚</span>
+                    <span className="text-sm">Packs</span>
+                  </IconButton>
+                </div>
+              </div>
+            )}
+            {messages.map((m, idx) => (
+              <MessageBubble
+                key={idx}
+                role={m.role}
+                content={m.content}
+                disabled={busy}
+                branch={m.branches ? { index: m.branch, count: m.branches.length } : null}
+                onBranch={(to) => selectBranch(idx, to)}
+                onEdit={m.role === "user" ? (text) => editMessage(idx, text) : null}
+                onRegenerate={m.role === "assistant" ? () => regenerateMessage(idx) : null}
+                itemAnswers={m.role === "assistant" && messages[idx + 1]?.role === "user" ? parseAnswersBlock(messages[idx + 1].content) : null}
+                onAnswerItems={m.role === "assistant" && idx === messages.length - 1 ? (items, responses) => sendUser(itemAnswersMessage(items, responses)) : null}
+                onOpenPlot={(spec, view) => setGraph({ spec, view })}
+              />
+            ))}
+            {busy && !streaming && messages.length > 0 && (
+              <MessageBubble role="assistant" content="…" />
+            )}
+            <div ref={transcriptEndRef} />
+          </div>
+
+          {/* Composer */}
+          <div className="border-t border-slate-200 mt-3 pt-3">
+            {error && (
+              <div className="mb-2 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-2 whitespace-pre-line">{error}</div>
+            )}
+            {outbox ? (
+              <div className="mb-2 text-sm bg-sky-50 border border-sky-200 rounded-lg px-3 py-2 space-y-2">
+                <div className="text-sky-800">
+                  {reachable ? "Back online. Send the message you queued?" : "Offline — this message will wait here until you reconnect:"}
+                </div>
+                <div className="text-slate-700 whitespace-pre-wrap break-words border-l-2 border-sky-300 pl-2">{outbox.text}</div>
+                <div className="flex flex-wrap gap-2">
+                  {reachable && (
+                    <IconButton title="Send the queued message" onClick={sendQueued} disabled={busy} className="bg-white py-1">
+                      <span>📨</span>
+                      <span className="text-sm">Send</span>
+                    </IconButton>
+                  )}
+                  <IconButton title="Move the message back into the composer" onClick={editQueued} disabled={busy} className="bg-white py-1">
+                    <span>✏️</span>
+                    <span className="text-sm">Edit</span>
+                  </IconButton>
+                  <IconButton title="Discard the queued message" onClick={() => setOutbox(null)} disabled={busy} className="bg-white py-1">
+                    <span>🗑️</span>
+                    <span className="text-sm">Discard</span>
+                  </IconButton>
+                </div>
+              </div>
+            ) : (
+              !reachable && (
+                <div className="mb-2 text-sm text-sky-800 bg-sky-50 border border-sky-200 rounded-lg p-2">
+                  You're offline. The transcript, STATE and cram sheet stay available; a message you send now is queued until you reconnect.
+                </div>
+              )
+            )}
+            {retrying && (
+              <div className="mb-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">{retryNote || "Network issue, retrying…"}</div>
+            )}
+            {hasSession && contextRatio >= CONTEXT_WARN_RATIO && (
+              <div className="mb-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">
+                The next prompt is ~{promptEstimate} tokens, {contextRatio >= 1 ? "over" : "near"} the {contextLimit}-token context set for {model}.
+                {contextMode === "full" ? " Switch Context to a trimmed mode in Settings." : " Lower “Keep last N turns” in Settings."}
+              </div>
+            )}
+            {quizMode && (
+              <div className="mb-2 flex items-center justify-between gap-2 text-sm bg-indigo-50 border border-indigo-200 rounded-lg px-3 py-2">
+                <span>
+                  Stage {stageInfo.current}: take the <span className="font-medium">{QUIZ_MODES[quizMode].label}</span> with app-graded items.
+                </span>
+                <IconButton title={`Open the ${QUIZ_MODES[quizMode].label}`} onClick={() => openQuiz(quizMode)} disabled={busy} className="bg-white py-1">
+                  <span>🧪</span>
+                  <span className="text-sm">Start</span>
+                </IconButton>
+              </div>
+            )}
+            <div className="mb-2 flex flex-wrap items-center gap-1.5 text-xs">
+              {[
+                ["BACK", "◀"],
+                ["HINT", "💡"],
+                ["REPEAT", "🔁"],
+                ["SKIP", "⏭"],
+              ].map(([name, icon]) => {
+                const c = COMMANDS.find((x) => x.name === name);
+                const blocked = commandBlocked(name);
+                return (
+                  <button
+                    key={name}
+                    type="button"
+                    title={blocked || `${c.help} (${commandShortcut(c)})`}
+                    disabled={!!blocked}
+                    onClick={() => sendUser(name)}
+                    className="rounded-xl border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-50 disabled:hover:bg-transparent"
+                  >
+                    {icon} {name}
+                  </button>
+                );
+              })}
+              <select
+                value=""
+                title={`Jump to a stage (${commandShortcut(COMMANDS.find((x) => x.name === "GOTO"))} types GOTO)`}
+                disabled={busy || !hasSession}
+                onChange={(e) => e.target.value !== "" && sendUser(`GOTO ${e.target.value}`)}
+                className="rounded-xl border border-slate-300 px-2 py-1 bg-white disabled:opacity-50"
+              >
+                <option value="">GOTO stage…</option>
+                {activePack.stages.map((s, i) => (
+                  <option key={i} value={i} disabled={i === stageInfo.current}>
+                    {i}. {s.title}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                title={`List the commands and shortcuts (${commandShortcut(COMMANDS.find((x) => x.name === "HELP"))})`}
+                onClick={() => setHelpOpen(true)}
+                className="rounded-xl border border-slate-300 px-2 py-1 hover:bg-slate-50"
+              >
+                ❔ HELP
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              <IconButton title={commandBlocked("NEXT") || `Send NEXT (${commandShortcut(COMMANDS.find((x) => x.name === "NEXT"))})`} onClick={() => sendUser("NEXT")} disabled={!!commandBlocked("NEXT")}>
+                <span>➡️</span>
+                <span className="text-sm">NEXT</span>
+              </IconButton>
+              <IconButton title={`Toggle STATE (${commandShortcut(COMMANDS.find((x) => x.name === "STATE"))})`} onClick={() => sendUser("STATE") } disabled={busy}>
+                <span>📄</span>
+                <span className="text-sm">STATE</span>
+              </IconButton>
+              <IconButton title="Open the graphing panel" onClick={() => setGraph({})}>
+                <span>📈</span>
+                <span className="text-sm">Graph</span>
+              </IconButton>
+              <div className="relative flex-1">
+                {slashMatches.length > 0 && (
+                  <ul className="absolute bottom-full left-0 mb-1 w-72 rounded-xl border border-slate-200 bg-white shadow-lg py-1 text-sm z-10" role="listbox">
+                    {slashMatches.map((c, i) => (
+                      <li
+                        key={c.name}
+                        role="option"
+                        aria-selected={i === slashIndex % slashMatches.length}
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          pickCommand(c);
+                        }}
+                        className={`px-3 py-1 cursor-pointer ${i === slashIndex % slashMatches.length ? "bg-indigo-50" : ""}`}
+                      >
+                        <span className="font-medium">{commandUsage(c)}</span>
+                        <span className="block text-[11px] text-slate-500">{c.help}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <input
+                  ref={composerRef}
+                  className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  placeholder={busy ? "Sending…" : quiz?.limitSec ? "Locked during the timed Mini-Exam" : "Type a question, or / for commands"}
+                  value={input}
+                  onChange={(e) => {
+                    setInput(e.target.value);
+                    setSlashIndex(0);
+                  }}
+                  onKeyDown={(e) => {
+                    if (slashMatches.length && ["ArrowDown", "ArrowUp", "Tab", "Enter", "Escape"].includes(e.key)) {
+                      e.preventDefault();
+                      const n = slashMatches.length;
+                      if (e.key === "ArrowDown") setSlashIndex((i) => (i + 1) % n);
+                      else if (e.key === "ArrowUp") setSlashIndex((i) => (i + n - 1) % n);
+                      else if (e.key === "Escape") setInput("");
+                      else if (!busy) pickCommand(slashMatches[slashIndex % n]);
+                      return;
+                    }
+                    if (e.key === "Enter" && !e.shiftKey) {
+                      e.preventDefault();
+                      if (!busy) sendUser(input);
+                    }
+                  }}
+                  disabled={busy || !!quiz?.limitSec}
+                />
+              </div>
+              {busy ? (
+                <IconButton title="Stop generating" onClick={stopRequest} className="bg-red-600 text-white border-red-600 hover:bg-red-700">
+                  <span>■</span>
+                  <span className="text-sm">Stop</span>
+                </IconButton>
+              ) : (
+                <IconButton title="Send" onClick={() => sendUser(input)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+                  <span>✉️</span>
+                  <span className="text-sm">Send</span>
+                </IconButton>
+              )}
+            </div>
+            <div className="mt-1 text-[11px] text-slate-500">
+              Commands: {COMMANDS.map((c) => commandUsage(c)).join(", ")}. Type <span className="font-medium">/</span> for the list or press <span className="font-medium">{commandShortcut(COMMANDS.find((x) => x.name === "HELP"))}</span>{IS_MAC ? " outside the composer" : ""} for shortcuts. Free‑text questions are allowed; the assistant will not change stages unless you send a command.
+            </div>
+          </div>
+        </div>
+
+        {/* State Drawer */}
+        <div className="rounded-2xl bg-white border border-slate-200 shadow-sm p-4 h-fit sticky top-20">
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex gap-1 text-sm">
+              {[
+                ["dashboard", "Progress"],
+                ["yaml", "STATE (YAML)"],
+              ].map(([k, label]) => (
+                <button
+                  key={k}
+                  onClick={() => setDrawerTab(k)}
+                  className={`rounded-lg px-2 py-1 ${drawerTab === k ? "bg-slate-900 text-white" : "text-slate-600 hover:bg-slate-100"}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <IconButton title="Add the study plan and test day to a calendar (.ics)" onClick={() => setCalendarOpen(true)} disabled={!coachState}>
+                <span>📅</span>
+              </IconButton>
+              <IconButton title="Download YAML" onClick={downloadYaml} disabled={!coachState}>
+                <span>⬇️</span>
+                <span className="text-sm">Export</span>
+              </IconButton>
+              <IconButton title={stateShown ? "Hide STATE" : "Show STATE"} onClick={() => showStateView(!stateShown)}>
+                <span>{stateShown ? "🙈" : "👀"}</span>
+                <span className="text-sm">{stateShown ? "Hide" : "Show"}</span>
+              </IconButton>
+            </div>
+          </div>
+          {stateProblems.length > 0 && (
+            <div className="mb-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-2">
+              <div className="font-medium mb-1">STATE check: {stateProblems.length} issue{stateProblems.length === 1 ? "" : "s"}</div>
+              <ul className="list-disc pl-4 space-y-0.5">
+                {stateProblems.map((p, i) => (
+                  <li key={i}>{p}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {drawerTab === "dashboard" ? (
+            coachState ? (
+              <ProgressDashboard state={coachState} pack={activePack} spend={{ session: metrics.cost || 0, lifetime: lifetime.cost, cap: Number(sessionBudget) || 0 }} />
+            ) : (
+              <div className="text-xs text-slate-500">No STATE yet. The dashboard fills in as the coach reports scores.</div>
+            )
+          ) : drawerOpen ? (
+            coachState ? (
+              <pre className="text-xs whitespace-pre-wrap leading-relaxed bg-slate-50 border border-slate-200 rounded-xl p-3 overflow-auto max-h-[60vh]">{stateToYaml(coachState)}</pre>
+            ) : (
+              <div className="text-xs text-slate-500">No STATE visible yet. Send <span className="font-medium">STATE</span> in the chat to toggle it on.</div>
+            )
+          ) : (
+            <div className="text-xs text-slate-500">Hidden. Send <span className="font-medium">STATE</span> in the chat; if the assistant reveals STATE, it will show here.</div>
+          )}
+        </div>
+      </div>
+
+      {/* Settings Modal */}
+      <Modal open={settingsOpen} onClose={() => setSettingsOpen(false)}>
+        <div className="flex items-center justify-between mb-4">
+          <div className="text-lg font-semibold">Settings</div>
+          <button className="text-slate-500 hover:text-slate-700" onClick={() => setSettingsOpen(false)}>✕</button>
+        </div>
+        <div className="space-y-3">
+          <div>
+            <label className="text-sm font-medium">Provider</label>
+            <select
+              className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+              value={provider}
+              onChange={(e) => changeProvider(e.target.value)}
+            >
+              {Object.entries(PROVIDERS).map(([k, p]) => (
+                <option key={k} value={k}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          {provider === "demo" ? (
+            <div>
+              <label className="text-sm font-medium">Script</label>
+              <select
+                className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                value={DEMO_MODELS[model] ? model : "demo"}
+                onChange={(e) => setModel(e.target.value)}
+              >
+                {Object.entries(DEMO_MODELS).map(([k, label]) => (
+                  <option key={k} value={k}>{label}</option>
+                ))}
+              </select>
+              <div className="text-[11px] text-slate-500 mt-1">Canned, deterministic replies for all stages; nothing leaves the browser and no tokens are billed.</div>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="text-sm font-medium">{provider === "azure" ? "Endpoint" : "Base URL"}</label>
+                {provider === "openai" && (
+                  <select
+                    className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                    value={baseUrl}
+                    onChange={(e) => setBaseUrl(e.target.value)}
+                  >
+                    <option value="https://api.openai.com/v1">OpenAI — https://api.openai.com/v1</option>
+                    <option value="https://openrouter.ai/api/v1">OpenRouter — https://openrouter.ai/api/v1</option>
+                    <option value="http://localhost:11434/v1">Local (Ollama-compatible) — http://localhost:11434/v1</option>
+                    <option value={baseUrl}>Custom (keep current)</option>
+                  </select>
+                )}
+                <input
+                  className="mt-2 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                  placeholder={provider === "azure" ? "https://<resource>.openai.azure.com" : provider === "openai" ? "Or enter a custom base URL" : PROVIDERS[provider].defaultBaseUrl}
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                />
+              </div>
+              <div className={provider === "azure" ? "grid grid-cols-2 gap-2" : ""}>
+                <div>
+                  <label className="text-sm font-medium">{provider === "azure" ? "Deployment name" : "Model"}</label>
+                  <input
+                    className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                    value={model}
+                    onChange={(e) => setModel(e.target.value)}
+                    placeholder={
+                      provider === "openai"
+                        ? "e.g., gpt-4o-mini or llama3.1:8b (via local OpenAI-compatible server)"
+                        : provider === "azure"
+                        ? "e.g., gpt-4o-mini-prod"
+                        : `e.g., ${PROVIDERS[provider].defaultModel}`
+                    }
+                  />
+                </div>
+                {provider === "azure" && (
+                  <div>
+                    <label className="text-sm font-medium">API version</label>
+                    <input
+                      className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                      value={apiVersion}
+                      onChange={(e) => setApiVersion(e.target.value)}
+                      placeholder={PROVIDERS.azure.defaultApiVersion}
+                    />
+                  </div>
+                )}
+              </div>
+              <div>
+                <label className="text-sm font-medium">API Key</label>
+                <input
+                  className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                  type="password"
+                  value={apiKey}
+                  onChange={(e) => setApiKey(e.target.value)}
+                  placeholder="Paste your API key (not stored remotely)"
+                />
+                <div className="text-[11px] text-slate-500 mt-1">Stored only in your browser’s localStorage.</div>
+              </div>
+            </>
+          )}
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={stream} onChange={(e) => setStream(e.target.checked)} />
+            <span>Stream replies token-by-token</span>
+            <span className="text-[11px] text-slate-500">(falls back automatically if the server rejects streaming)</span>
+          </label>
+          <label className="block text-sm">
+            <span className="font-medium">STATE from the coach</span>
+            <select className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" value={stateMode} onChange={(e) => setStateMode(e.target.value)}>
+              {Object.entries(STATE_MODES).map(([k, label]) => (
+                <option key={k} value={k}>{label}</option>
+              ))}
+            </select>
+            <span className="text-[11px] text-slate-500">
+              {stateMode === "field"
+                ? "STATE is reported every turn and kept out of the chat; STATE / Show just open the drawer. Without tool support the coach appends it as a hidden block."
+                : "The coach prints STATE only after you type STATE; the app reads the last YAML block it sees."}
+            </span>
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={itemTools} onChange={(e) => setItemTools(e.target.checked)} />
+            <span>Quiz items via tool calling</span>
+            <span className="text-[11px] text-slate-500">(off, or unsupported: the coach writes them as a JSON block)</span>
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-slate-600">
+              Timeout (seconds without data, 0 = none)
+              <input
+                type="number"
+                min={0}
+                className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                value={requestTimeoutSec}
+                onChange={(e) => setRequestTimeoutSec(Math.max(0, Number(e.target.value) || 0))}
+              />
+            </label>
+            <label className="text-xs text-slate-600">
+              Max retries (rate limits, busy servers, network)
+              <input
+                type="number"
+                min={0}
+                max={10}
+                className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                value={maxRetries}
+                onChange={(e) => setMaxRetries(Math.min(10, Math.max(0, Number(e.target.value) || 0)))}
+              />
+            </label>
+          </div>
+          <div>
+            <label className="text-sm font-medium">Context</label>
+            <select
+              className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+              value={contextMode}
+              onChange={(e) => setContextMode(e.target.value)}
+            >
+              {Object.entries(CONTEXT_MODES).map(([k, label]) => (
+                <option key={k} value={k}>{label}</option>
+              ))}
+            </select>
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              <label className="text-xs text-slate-600">
+                Keep last N turns verbatim
+                <input
+                  type="number"
+                  min={1}
+                  className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                  value={keepTurns}
+                  onChange={(e) => setKeepTurns(Math.max(1, Number(e.target.value) || 1))}
+                  disabled={contextMode === "full"}
+                />
+              </label>
+              <label className="text-xs text-slate-600">
+                Context window for this model (tokens)
+                <input
+                  type="number"
+                  min={1024}
+                  className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                  value={contextSizes[model] ?? ""}
+                  placeholder={String(defaultContextSize(model))}
+                  onChange={(e) => setContextSizes((m) => ({ ...m, [model]: e.target.value ? Number(e.target.value) : undefined }))}
+                />
+              </label>
+            </div>
+            <div className="text-[11px] text-slate-500 mt-1">Trimmed modes always keep the controller prompt and the latest STATE.</div>
+          </div>
+          <div>
+            <label className="text-sm font-medium">Pricing</label>
+            <div className="mt-1 grid grid-cols-3 gap-2">
+              {[
+                ["input", "Input $/1M tokens"],
+                ["output", "Output $/1M tokens"],
+              ].map(([k, label]) => (
+                <label key={k} className="text-xs text-slate-600">
+                  {label}
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                    value={pricing[model]?.[k] ?? ""}
+                    placeholder={priceFor(model, {}) ? String(priceFor(model, {})[k]) : "not set"}
+                    onChange={(e) =>
+                      setPricing((p) => ({ ...p, [model]: { ...(p[model] || priceFor(model, {}) || { input: 0, output: 0 }), [k]: Number(e.target.value) || 0 } }))
+                    }
+                  />
+                </label>
+              ))}
+              <label className="text-xs text-slate-600">
+                Session budget cap ($)
+                <input
+                  type="number"
+                  min={0}
+                  step="0.05"
+                  className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+                  value={sessionBudget}
+                  placeholder="no cap"
+                  onChange={(e) => setSessionBudget(e.target.value)}
+                />
+              </label>
+            </div>
+            <details className="mt-2 text-xs">
+              <summary className="cursor-pointer text-slate-600">Pricing table ({Object.keys(pricingTable(pricing)).length} models)</summary>
+              <table className="mt-2 w-full">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="font-medium">Model id</th>
+                    <th className="font-medium">In $/1M</th>
+                    <th className="font-medium">Out $/1M</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(pricingTable(pricing)).map(([id, p]) => (
+                    <tr key={id} className={id === model ? "font-medium" : ""}>
+                      <td className="pr-2">{id}{pricing[id] ? " *" : ""}</td>
+                      <td>{p.input}</td>
+                      <td>{p.output}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-2 flex items-center justify-between text-[11px] text-slate-500">
+                <span>* edited. Edit the current model’s prices above; switch models to price others.</span>
+                <button className="underline hover:text-slate-800" onClick={() => setPricing({})}>Reset to defaults</button>
+              </div>
+            </details>
+            <div className="text-[11px] text-slate-500 mt-1">Cost is estimated from reported (or approximate) token counts. New requests stop once a session reaches its cap.</div>
+          </div>
+          <div className="space-y-3 pt-2">
+            {/* Config actions */}
+            <div>
+              <div className="text-xs font-semibold text-slate-500 mb-1">Config</div>
+              <div className="flex flex-wrap items-center gap-2">
+                {/* hidden file input for config import */}
+                <input
+                  type="file"
+                  accept=".json,.yml,.yaml,.txt,application/json,text/yaml"
+                  ref={fileInputRef}
+                  onChange={(e) => onImportConfigFile(e.target.files?.[0])}
+                  className="hidden"
+                />
+                <IconButton title="Import settings (includes API key)" onClick={() => fileInputRef.current?.click()}>
+                  <span>📁</span>
+                  <span className="text-sm">Import Config</span>
+                </IconButton>
+                <IconButton title="Export settings (includes API key)" onClick={downloadConfig}>
+                  <span>⬇️</span>
+                  <span className="text-sm">Export Config</span>
+                </IconButton>
+                <IconButton title="Copy Magic Link (stores config in #fragment)" onClick={copyMagicLink}>
+                  <span>🔗</span>
+                  <span className="text-sm">Magic Link{magicCopied ? " ✓" : ""}</span>
+                </IconButton>
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Passphrase (optional)"
+                  value={sharePassphrase}
+                  onChange={(e) => setSharePassphrase(e.target.value)}
+                  className="flex-1 min-w-[10rem] rounded-xl border border-slate-300 px-3 py-1.5"
+                />
+                <label className="flex items-center gap-1 text-slate-600">
+                  Expires
+                  <select value={shareExpiry} onChange={(e) => setShareExpiry(e.target.value)} className="rounded-xl border border-slate-300 px-2 py-1.5">
+                    {CONFIG_EXPIRY_OPTIONS.map(([v, label]) => (
+                      <option key={v} value={v}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div className="text-[11px] text-slate-500 mt-1">
+                Config includes provider, base URL, model, and API key. With a passphrase, exports and Magic Links are encrypted (AES‑GCM); send the passphrase separately. Share securely.
+              </div>
+            </div>
+
+            {/* Curriculum packs */}
+            <div>
+              <div className="text-xs font-semibold text-slate-500 mb-1">Curriculum</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <IconButton
+                  title="Create, edit, import or export curriculum packs"
+                  onClick={() => {
+                    setSettingsOpen(false);
+                    setPacksOpen(true);
+                  }}
+                >
+                  <span>📚</span>
+                  <span className="text-sm">Curriculum Packs</span>
+                </IconButton>
+                <span className="text-sm text-slate-600">This session: {activePack.name}</span>
+              </div>
+              <div className="text-[11px] text-slate-500 mt-1">A pack defines the stages, topics, thresholds and STATE template the controller prompt is built from.</div>
+            </div>
+
+            {/* Session actions */}
+            <div>
+              <div className="text-xs font-semibold text-slate-500 mb-1">Session</div>
+              <div className="flex flex-wrap items-center gap-2">
+                {/* hidden file input for session import */}
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  ref={sessionFileInputRef}
+                  onChange={(e) => onImportSessionFile(e.target.files?.[0])}
+                  className="hidden"
+                />
+                <IconButton title="Import session (transcript + YAML)" onClick={() => sessionFileInputRef.current?.click()}>
+                  <span>📂</span>
+                  <span className="text-sm">Import Session</span>
+                </IconButton>
+                <IconButton title="Export session (transcript + YAML)" onClick={exportSession}>
+                  <span>💾</span>
+                  <span className="text-sm">Export Session</span>
+                </IconButton>
+              </div>
+              <div className="text-[11px] text-slate-500 mt-1">Session file contains transcript and state only; no API key.</div>
+            </div>
+
+            {/* Footer actions */}
+            <div className="flex items-center justify-end gap-2">
+              <IconButton onClick={() => setSettingsOpen(false)}>Cancel</IconButton>
+              <IconButton onClick={handleSaveSettings} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">Save</IconButton>
+            </div>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Curriculum pack editor */}
+      <PackEditor
+        open={packsOpen}
+        packs={[DEFAULT_PACK, ...customPacks]}
+        activeId={activePack.id}
+        canUse={messages.length === 0}
+        onUse={choosePack}
+        onSave={savePack}
+        onDelete={deletePack}
+        onClose={() => setPacksOpen(false)}
+      />
+
+      {/* Cram sheet (print view + Markdown/HTML export) */}
+      {cramOpen && (
+        <CramSheet
+          messages={messages}
+          state={coachState}
+          pack={activePack}
+          title={library.sessions.find((x) => x.id === activeId)?.name || "Session"}
+          onClose={() => setCramOpen(false)}
+        />
+      )}
+
+      {/* Session import: replace the current session or add it as a new one */}
+      <SessionImportDialog
+        pending={sessionImport}
+        currentName={library.sessions.find((x) => x.id === activeId)?.name}
+        currentCount={messages.length}
+        busy={busy}
+        onChoose={finishSessionImport}
+      />
+
+      {/* Passphrase prompt for protected Magic Links / config files */}
+      <PassphraseDialog
+        prompt={passPrompt}
+        onDone={(value) => {
+          passPrompt?.resolve(value);
+          setPassPrompt(null);
+        }}
+      />
+
+      {/* Command list (HELP, Alt+/) */}
+      <CommandHelp open={helpOpen} onClose={() => setHelpOpen(false)} />
+
+      {/* Graphing panel (blank, or opened from a plot in a message) */}
+      {graph && (
+        <GraphPanel
+          initial={graph}
+          busy={busy}
+          onSend={(text) => {
+            setGraph(null);
+            sendUser(text);
+          }}
+          onClose={() => setGraph(null)}
+        />
+      )}
+
+      {/* Calendar export */}
+      <CalendarExport open={calendarOpen} state={coachState} uidPrefix={activeId} onClose={() => setCalendarOpen(false)} />
+
+      {/* Spaced review queue */}
+      <ReviewQueue
+        open={reviewsOpen}
+        cards={reviews}
+        due={dueReviews}
+        today={today}
+        busy={busy}
+        onRate={rateReview}
+        onCoach={reviewWithCoach}
+        onClose={() => setReviewsOpen(false)}
+      />
+
+      {/* Local quiz */}
+      <QuizModal quiz={quiz} onClose={() => setQuiz(null)} onSubmit={submitQuiz} />
+
+      {/* Toast */}
+      {toast && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50">
+          <div className="rounded-full bg-slate-900 text-white text-sm px-4 py-2 shadow-lg border border-slate-800">
+            {toast}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SessionSidebar({ sessions, activeId, disabled, onSelect, onCreate, onRename, onDuplicate, onDelete }) {
+  return (
+    <div className="rounded-2xl bg-white border border-slate-200 shadow-sm p-3 h-fit lg:sticky lg:top-20">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-medium">Sessions</div>
+        <IconButton title="New session" onClick={onCreate} disabled={disabled} className="px-2 py-1">
+          <span>＋</span>
+          <span className="text-sm">New</span>
+        </IconButton>
+      </div>
+      <ul className="space-y-1 max-h-[60vh] overflow-auto">
+        {sessions.map((x) => {
+          const active = x.id === activeId;
+          return (
+            <li key={x.id} className={`group rounded-xl border ${active ? "border-indigo-300 bg-indigo-50" : "border-transparent hover:bg-slate-50"}`}>
+              <button className="w-full text-left px-2 pt-1.5" onClick={() => onSelect(x.id)} disabled={disabled}>
+                <div className="text-sm font-medium truncate">{x.name}</div>
+                <div className="text-[11px] text-slate-500">
+                  {x.stage != null ? `Stage ${x.stage}` : "Not started"} · {x.messageCount || 0} msgs
+                </div>
+                <div className="text-[11px] text-slate-400" title={`Created ${new Date(x.createdAt).toLocaleString()}`}>
+                  Updated {new Date(x.updatedAt).toLocaleString()}
+                </div>
+              </button>
+              <div className="flex gap-2 px-2 pb-1.5 text-[11px] text-slate-500">
+                <button className="hover:text-slate-800" onClick={() => onRename(x.id)}>Rename</button>
+                <button className="hover:text-slate-800 disabled:opacity-50" onClick={() => onDuplicate(x.id)} disabled={disabled}>Duplicate</button>
+                <button className="hover:text-red-600 disabled:opacity-50" onClick={() => onDelete(x.id)} disabled={disabled}>Delete</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+function PackEditor({ open, packs, activeId, canUse, onUse, onSave, onDelete, onClose }) {
+  // selectedId === null means an unsaved draft (New / Duplicate)
+  const [selectedId, setSelectedId] = useState(activeId);
+  const [text, setText] = useState("");
+  const [view, setView] = useState("yaml");
+  const fileRef = useRef(null);
+  const selected = packs.find((p) => p.id === selectedId) || null;
+  const readOnly = !!selected?.builtin;
+  const parsed = useMemo(() => parsePackText(text), [text]);
+  const problems = [...parsed.errors];
+  if (parsed.pack && !readOnly && packs.some((p) => p.builtin && p.id === parsed.pack.id)) {
+    problems.push(`id “${parsed.pack.id}” is reserved for the built-in pack`);
+  }
+  const dirty = selected ? text !== packToYaml(selected) : true;
+
+  useEffect(() => {
+    if (!open) return;
+    const p = packs.find((x) => x.id === activeId) || packs[0];
+    setSelectedId(p.id);
+    setText(packToYaml(p));
+    setView("yaml");
+  }, [open]);
+
+  // Fall back to the first pack once the selected one is deleted
+  useEffect(() => {
+    if (open && selectedId && !selected) select(packs[0]);
+  }, [packs]);
+
+  function select(p) {
+    setSelectedId(p.id);
+    setText(packToYaml(p));
+  }
 
-  function buildMagicLink(cfg) {
-    const json = JSON.stringify({ baseUrl: cfg.baseUrl, model: cfg.model, apiKey: cfg.apiKey });
-    const enc = toBase64Url(json);
-    const base = `${window.location.origin}${window.location.pathname}`;
-    return `${base}#cfg=${enc}`;
+  function openDraft(pack) {
+    setSelectedId(null);
+    setText(packToYaml(pack));
+    setView("yaml");
   }
 
-  function parseMagicLinkFromHash() {
-    const h = window.location.hash || "";
-    if (!h) return null;
-    const m = h.match(/[#&]cfg=([A-Za-z0-9_\-]+)/);
-    if (!m) return null;
-    const json = fromBase64Url(m[1]);
-    if (!json) return null;
-    try {
-      const obj = JSON.parse(json);
-      return sanitizeConfig(obj);
-    } catch {
-      return null;
-    }
+  function newPack() {
+    openDraft({ ...DEFAULT_PACK, id: newId(), name: "New pack" });
   }
 
-  async function copyMagicLink() {
-    const link = buildMagicLink({ baseUrl, model, apiKey });
-    try {
-      await navigator.clipboard?.writeText(link);
-      setMagicCopied(true);
-      setTimeout(() => setMagicCopied(false), 1500);
-      showToast("Magic Link copied");
-    } catch (e) {
-      // Fallback: show prompt
-      window.prompt("Copy this Magic Link", link);
-    }
+  function duplicatePack() {
+    const base = parsed.pack || selected;
+    if (base) openDraft({ ...base, id: newId(), name: `${base.name} (copy)` });
   }
 
-  async function startSession() {
-    if (busy) return;
-    if (!canAct()) return;
-    try {
-      setError("");
-      await ensureSettings();
-      const seed = [
-        { role: "system", content: CONTROLLER_PROMPT },
-        { role: "user", content: "Start. Please begin at Stage 0." },
-      ];
-      setMessages(seed);
-      setBusy(true);
-      const { text: assistantText, usage } = await chatWithRetry({
-        baseUrl,
-        apiKey,
-        model,
-        messages: seed,
-      });
-      recordUsage({ usage, msgs: seed, completionText: assistantText });
-      const yaml = extractStateYaml(assistantText);
-      if (yaml) {
-        setLastYaml(yaml);
-        setDrawerOpen(true);
-      }
-      setMessages((m) => [...m, { role: "assistant", content: assistantText }]);
-    } catch (e) {
-      setError(String(e.message || e));
-    } finally {
-      setBusy(false);
-    }
+  function save() {
+    if (readOnly || !parsed.pack || problems.length) return;
+    onSave(parsed.pack);
+    select(parsed.pack);
   }
 
-  async function sendUser(text) {
-    if (!text.trim()) return;
-    if (busy) return;
-    if (!canAct()) return;
-    // Local STATE toggle to avoid an API call when we already have YAML
-    if (/^STATE$/i.test(text.trim())) {
-      if (lastYaml && lastYaml.trim()) {
-        setDrawerOpen((v) => !v);
-        setInput("");
-        return;
-      }
-    }
+  async function importFile(file) {
+    if (!file) return;
     try {
-      setError("");
-      await ensureSettings();
-      const next = [...messages, { role: "user", content: text }];
-      setMessages(next);
-      setBusy(true);
-      setInput("");
-      const { text: assistantText, usage } = await chatWithRetry({
-        baseUrl,
-        apiKey,
-        model,
-        messages: next,
-      });
-      recordUsage({ usage, msgs: next, completionText: assistantText });
-      const yaml = extractStateYaml(assistantText);
-      if (yaml) {
-        setLastYaml(yaml);
-        setDrawerOpen(true);
-      } else if (/\bSTATE\b/i.test(text)) {
-        // If user asked to toggle STATE but no YAML appeared, close the drawer.
-        setDrawerOpen(false);
-        setLastYaml("");
-      }
-      setMessages((m) => [...m, { role: "assistant", content: assistantText }]);
+      const res = parsePackText(await file.text());
+      if (!res.pack) throw new Error(res.errors.join("; "));
+      const pack = packs.some((p) => p.builtin && p.id === res.pack.id) ? { ...res.pack, id: newId() } : res.pack;
+      onSave(pack);
+      select(pack);
     } catch (e) {
-      setError(String(e.message || e));
+      alert("Import failed: " + (e?.message || String(e)));
     } finally {
-      setBusy(false);
+      if (fileRef.current) fileRef.current.value = "";
     }
   }
 
-  function resetSession() {
-    setMessages([]);
-    setLastYaml("");
-    setDrawerOpen(false);
-    setError("");
-    setMetrics({ requests: 0, prompt: 0, completion: 0, total: 0, last: { prompt: 0, completion: 0, total: 0 } });
-  }
-
-  function downloadYaml() {
-    if (!lastYaml) return;
-    const blob = new Blob([lastYaml], { type: "text/yaml;charset=utf-8" });
+  function exportPack() {
+    const pack = parsed.pack || selected;
+    if (!pack) return;
+    const slug = String(pack.name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "pack";
+    const blob = new Blob([packToYaml(pack)], { type: "text/yaml;charset=utf-8" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = "precalc_state.yml";
+    a.download = `${slug}.pack.yml`;
     a.click();
     URL.revokeObjectURL(url);
   }
 
   return (
-    <div className="min-h-screen bg-slate-50 text-slate-900">
-      {/* Header */}
-      <header className="sticky top-0 z-40 backdrop-blur bg-white/75 border-b border-slate-200">
-        <div className="mx-auto max-w-6xl px-4 py-3 flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <div className="h-9 w-9 rounded-2xl bg-indigo-600 text-white grid place-items-center font-bold">PC</div>
-            <div>
-              <div className="text-lg font-semibold">Pre‑Calc Placement Coach</div>
-              <div className="text-xs text-slate-500">Stage‑gated tutor · NEXT / STATE</div>
-            </div>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="hidden sm:block text-[11px] text-slate-500 mr-3">
-              {stageInfo.current != null ? (
-                <span>
-                  Progress: <span className="font-medium">Stage {stageInfo.current} / {stageInfo.total}</span>
-                </span>
-              ) : (
-                <span>Progress: <span className="font-medium">—</span></span>
-              )}
-            </div>
-            <div className="hidden md:block text-[11px] text-slate-500 mr-2">
-              <span>Req: <span className="font-medium">{metrics.requests}</span></span>
-              <span className="mx-1">·</span>
-              <span>Tok: <span className="font-medium">{metrics.total}</span> <span className="opacity-70">(P {metrics.prompt} / C {metrics.completion})</span></span>
-            </div>
-            <IconButton title="Settings" onClick={() => setSettingsOpen(true)} disabled={busy}>
-              <span className="text-base">⚙️</span>
-              <span className="text-sm">Settings</span>
-            </IconButton>
-            {!hasSession ? (
-              <IconButton title="Start Session" onClick={startSession} className="bg-indigo-600 text-white border-indigo-600 hover:bg-indigo-700" disabled={busy}>
-                <span className="text-base">▶</span>
-                <span className="text-sm">Start Session</span>
-              </IconButton>
-              ) : (
-              <IconButton title="Reset Session" onClick={resetSession}>
-                <span className="text-base">⟳</span>
-                <span className="text-sm">Reset</span>
-              </IconButton>
+    <Modal open={open} onClose={onClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-lg font-semibold">Curriculum Packs</div>
+        <IconButton onClick={onClose}>✕</IconButton>
+      </div>
+      <div className="grid grid-cols-[160px_1fr] gap-3">
+        <ul className="space-y-1 max-h-[60vh] overflow-auto">
+          {packs.map((p) => (
+            <li key={p.id}>
+              <button
+                className={`w-full text-left rounded-xl border px-2 py-1.5 ${p.id === selectedId ? "border-indigo-300 bg-indigo-50" : "border-transparent hover:bg-slate-50"}`}
+                onClick={() => select(p)}
+              >
+                <div className="text-sm font-medium truncate">{p.name}</div>
+                <div className="text-[11px] text-slate-500">
+                  {p.builtin ? "Built-in" : "Custom"} · {p.stages.length} stages{p.id === activeId ? " · in use" : ""}
+                </div>
+              </button>
+            </li>
+          ))}
+          {selectedId === null && (
+            <li className="rounded-xl border border-indigo-300 bg-indigo-50 px-2 py-1.5 text-sm font-medium">Unsaved draft</li>
+          )}
+        </ul>
+        <div className="min-w-0 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <IconButton onClick={newPack} title="Start from the built-in pack">＋ New</IconButton>
+            <IconButton onClick={duplicatePack}>Duplicate</IconButton>
+            <input type="file" accept=".yml,.yaml,.json,text/yaml,application/json" ref={fileRef} onChange={(e) => importFile(e.target.files?.[0])} className="hidden" />
+            <IconButton onClick={() => fileRef.current?.click()}>📂 Import</IconButton>
+            <IconButton onClick={exportPack} disabled={!parsed.pack && !selected}>⬇️ Export</IconButton>
+            {selected && !readOnly && (
+              <IconButton onClick={() => onDelete(selected.id)} className="text-red-600">Delete</IconButton>
             )}
           </div>
-        </div>
-      </header>
-
-      {/* Body */}
-      <div className="mx-auto max-w-6xl px-4 grid grid-cols-1 lg:grid-cols-[1fr_360px] gap-4 py-4">
-        {/* Transcript */}
-        <div className="rounded-2xl bg-white border border-slate-200 shadow-sm p-4 flex flex-col min-h-[60vh]">
-          <div className="flex-1 overflow-auto pr-1">
-            {messages.length === 0 && (
-              <div className="text-sm text-slate-500 p-2">
-                Click <span className="font-medium">Start Session</span> to begin at Stage 0. Configure your API key and model in <span className="font-medium">Settings</span> first.
-              </div>
-            )}
-            {messages.map((m, idx) => (
-              <MessageBubble key={idx} role={m.role} content={m.content} />
+          <div className="flex gap-1 text-xs">
+            {["yaml", "prompt"].map((v) => (
+              <button
+                key={v}
+                onClick={() => setView(v)}
+                className={`rounded-lg px-2 py-1 ${view === v ? "bg-slate-900 text-white" : "bg-slate-100 text-slate-600"}`}
+              >
+                {v === "yaml" ? "Pack YAML" : "Prompt preview"}
+              </button>
             ))}
-            <div ref={transcriptEndRef} />
           </div>
-
-          {/* Composer */}
-          <div className="border-t border-slate-200 mt-3 pt-3">
-            {error && (
-              <div className="mb-2 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-2">{error}</div>
-            )}
-            {retrying && (
-              <div className="mb-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">{retryNote || "Network issue, retrying…"}</div>
+          {view === "yaml" ? (
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              readOnly={readOnly}
+              spellCheck={false}
+              className={`w-full h-72 rounded-xl border border-slate-300 p-2 font-mono text-xs ${readOnly ? "bg-slate-50 text-slate-600" : ""}`}
+            />
+          ) : (
+            <pre className="w-full h-72 overflow-auto rounded-xl border border-slate-200 bg-slate-50 p-2 text-xs whitespace-pre-wrap">
+              {parsed.pack ? buildControllerPrompt(parsed.pack) : "Fix the pack errors to preview the prompt."}
+            </pre>
+          )}
+          {readOnly && <div className="text-[11px] text-slate-500">The built-in pack is read-only. Duplicate it to make changes.</div>}
+          {problems.length > 0 && (
+            <ul className="text-[11px] text-red-600 list-disc pl-4">
+              {problems.map((p, i) => (
+                <li key={i}>{p}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex items-center justify-end gap-2">
+            {canUse && selected && !dirty && selected.id !== activeId && (
+              <IconButton onClick={() => onUse(selected.id)}>Use for this session</IconButton>
             )}
-            <div className="flex items-center gap-2">
-              <IconButton title="Send NEXT" onClick={() => sendUser("NEXT")} disabled={busy}>
-                <span>➡️</span>
-                <span className="text-sm">NEXT</span>
-              </IconButton>
-              <IconButton title="Toggle STATE" onClick={() => sendUser("STATE") } disabled={busy}>
-                <span>📄</span>
-                <span className="text-sm">STATE</span>
-              </IconButton>
-              <input
-                className="flex-1 rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                placeholder={busy ? "Sending…" : "Type a question, or use NEXT / STATE"}
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter" && !e.shiftKey) {
-                    e.preventDefault();
-                    if (!busy) sendUser(input);
-                  }
-                }}
-                disabled={busy}
-              />
-              <IconButton title="Send" onClick={() => sendUser(input)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800" disabled={busy}>
-                <span>✉️</span>
-                <span className="text-sm">Send</span>
-              </IconButton>
-            </div>
-            <div className="mt-1 text-[11px] text-slate-500">Commands: <span className="font-medium">NEXT</span>, <span className="font-medium">STATE</span>. Free‑text questions are allowed; the assistant will not advance stages unless you send NEXT.</div>
+            <IconButton
+              onClick={save}
+              disabled={readOnly || !dirty || problems.length > 0}
+              className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800"
+            >
+              Save
+            </IconButton>
           </div>
         </div>
+      </div>
+    </Modal>
+  );
+}
 
-        {/* State Drawer */}
-        <div className="rounded-2xl bg-white border border-slate-200 shadow-sm p-4 h-fit sticky top-20">
-          <div className="flex items-center justify-between mb-2">
-            <div className="font-medium">STATE (YAML)</div>
-            <div className="flex items-center gap-2">
-              <IconButton title="Download YAML" onClick={downloadYaml}>
-                <span>⬇️</span>
-                <span className="text-sm">Export</span>
-              </IconButton>
-              <IconButton title={drawerOpen ? "Hide" : "Show"} onClick={() => setDrawerOpen((v) => !v)}>
-                <span>{drawerOpen ? "🙈" : "👀"}</span>
-                <span className="text-sm">{drawerOpen ? "Hide" : "Show"}</span>
-              </IconButton>
-            </div>
+function ProgressDashboard({ state, pack, spend }) {
+  const th = packThresholds(pack);
+  const rows = useMemo(() => dashboardRows(state, pack), [state, pack]);
+  const shown = rows.filter((r) => r.diagnostic != null || r.drills != null || r.flag || r.mini != null || r.target);
+  const exam = state?.mini_exam || {};
+  const overall = scoreValue(exam.score_pct);
+  const phases = [
+    ["diagnostic", "Diag"],
+    ["drills", "Drills"],
+    ["mini", "Exam"],
+  ];
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="grid grid-cols-2 gap-2">
+        <div className="rounded-xl border border-slate-200 p-2">
+          <div className="text-slate-500">Mini‑Exam</div>
+          <div className="text-lg font-semibold">{overall != null ? `${Math.round(overall)}%` : "—"}</div>
+          {overall != null && <BandChip band={bandFor(overall, th)} />}
+        </div>
+        <div className="rounded-xl border border-slate-200 p-2">
+          <div className="text-slate-500">Pacing</div>
+          <div className="text-lg font-semibold">{exam.time_used_min != null ? `${exam.time_used_min} min` : "—"}</div>
+          {exam.time_limit_min != null && <div className="text-slate-500">of {exam.time_limit_min} min limit</div>}
+        </div>
+      </div>
+
+      {spend && (
+        <div className="rounded-xl border border-slate-200 p-2">
+          <div className="flex items-baseline justify-between">
+            <span className="text-slate-500">Spend (this session)</span>
+            <span className="font-semibold">
+              {formatUsd(spend.session)}
+              {spend.cap > 0 && <span className="font-normal text-slate-500"> / {formatUsd(spend.cap)}</span>}
+            </span>
           </div>
-          {drawerOpen ? (
-            lastYaml ? (
-              <pre className="text-xs whitespace-pre-wrap leading-relaxed bg-slate-50 border border-slate-200 rounded-xl p-3 overflow-auto max-h-[60vh]">{lastYaml}</pre>
-            ) : (
-              <div className="text-xs text-slate-500">No STATE visible yet. Send <span className="font-medium">STATE</span> in the chat to toggle it on.</div>
-            )
-          ) : (
-            <div className="text-xs text-slate-500">Hidden. Send <span className="font-medium">STATE</span> in the chat; if the assistant reveals STATE, it will show here.</div>
+          {spend.cap > 0 && (
+            <div className="mt-1 h-1.5 rounded-full bg-slate-100 overflow-hidden">
+              <div className={`h-full ${spend.session >= spend.cap ? "bg-rose-500" : "bg-indigo-500"}`} style={{ width: `${Math.min(100, (spend.session / spend.cap) * 100)}%` }} />
+            </div>
           )}
+          <div className="mt-1 text-[11px] text-slate-500">Lifetime: {formatUsd(spend.lifetime)}</div>
         </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-[11px] text-slate-500">
+        <span>NeedsWork &lt;{th.lo}%</span>
+        <span>OK {th.lo}–{th.hi}%</span>
+        <span>Strong &gt;{th.hi}%</span>
+        <span>🎯 target</span>
       </div>
 
-      {/* Settings Modal */}
-      <Modal open={settingsOpen} onClose={() => setSettingsOpen(false)}>
-        <div className="flex items-center justify-between mb-4">
-          <div className="text-lg font-semibold">Settings</div>
-          <button className="text-slate-500 hover:text-slate-700" onClick={() => setSettingsOpen(false)}>✕</button>
+      {shown.length === 0 ? (
+        <div className="text-slate-500">No topic scores yet. They appear after the Diagnostic.</div>
+      ) : (
+        <ul className="space-y-2 max-h-[50vh] overflow-auto pr-1">
+          {shown.map((r) => {
+            const first = r.diagnostic;
+            const latest = r.mini ?? r.drills;
+            const delta = first != null && latest != null ? Math.round(latest - first) : null;
+            return (
+              <li key={r.topic} className={`rounded-xl border p-2 ${r.target ? "border-indigo-300 bg-indigo-50/50" : "border-slate-200"}`}>
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`truncate ${r.target ? "font-semibold" : "font-medium"}`} title={r.topic}>
+                    {r.target ? "🎯 " : ""}
+                    {r.topic}
+                  </span>
+                  <span className="ml-auto flex items-center gap-1 shrink-0">
+                    {r.flag && <BandChip band={r.flag} />}
+                    {delta != null && (
+                      <span className={delta > 0 ? "text-emerald-700" : delta < 0 ? "text-rose-700" : "text-slate-500"}>
+                        {delta > 0 ? "▲" : delta < 0 ? "▼" : "＝"} {Math.abs(delta)}
+                      </span>
+                    )}
+                  </span>
+                </div>
+                {phases.map(([key, label]) => (
+                  <div key={key} className="flex items-center gap-2">
+                    <span className="w-10 text-[10px] text-slate-500">{label}</span>
+                    <ScoreBar pct={r[key]} th={th} />
+                    <span className="w-8 text-right tabular-nums">{r[key] != null ? Math.round(r[key]) : "—"}</span>
+                  </div>
+                ))}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function ScoreBar({ pct, th }) {
+  const band = bandFor(pct, th);
+  return (
+    <div className="relative h-2 flex-1 rounded-full bg-slate-100 overflow-hidden">
+      {pct != null && <div className={`h-full ${BANDS[band].bar}`} style={{ width: `${Math.max(0, Math.min(100, pct))}%` }} />}
+      {/* threshold ticks */}
+      <div className="absolute inset-y-0 w-px bg-slate-400/70" style={{ left: `${th.lo}%` }} />
+      <div className="absolute inset-y-0 w-px bg-slate-400/70" style={{ left: `${th.hi}%` }} />
+    </div>
+  );
+}
+
+function BandChip({ band }) {
+  if (!band) return null;
+  return <span className={`inline-block rounded-full border px-1.5 text-[10px] ${BANDS[band].chip}`}>{BANDS[band].label}</span>;
+}
+
+function CramSheet({ messages, state, pack, title, onClose }) {
+  const md = useMemo(() => cramSheetMarkdown(messages, state, pack), [messages, state, pack]);
+  const html = useMemo(() => renderRichText(md), [md]);
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "session";
+
+  // Lets the print stylesheet hide the app behind the sheet
+  useEffect(() => {
+    document.body.classList.add("cram-open");
+    return () => document.body.classList.remove("cram-open");
+  }, []);
+
+  async function exportDoc(which, format) {
+    const docTitle = which === "cram" ? `Cram Sheet — ${title}` : `Transcript — ${title}`;
+    const text = which === "cram" ? md : transcriptMarkdown(messages, docTitle);
+    const name = `${slug}-${which === "cram" ? "cram-sheet" : "transcript"}`;
+    if (format === "md") downloadText(`${name}.md`, text, "text/markdown;charset=utf-8");
+    else downloadText(`${name}.html`, await markdownToHtmlDocument(text, docTitle), "text/html;charset=utf-8");
+  }
+
+  return (
+    <div className="cram-overlay fixed inset-0 z-50 overflow-auto bg-slate-100">
+      <div className="cram-toolbar sticky top-0 z-10 bg-white/90 backdrop-blur border-b border-slate-200">
+        <div className="mx-auto max-w-4xl px-4 py-2 flex flex-wrap items-center gap-2">
+          <div className="font-medium mr-auto">Cram Sheet</div>
+          <IconButton onClick={() => window.print()} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">🖨️ Print</IconButton>
+          <IconButton onClick={() => exportDoc("cram", "md")}>Sheet .md</IconButton>
+          <IconButton onClick={() => exportDoc("cram", "html")}>Sheet .html</IconButton>
+          <IconButton onClick={() => exportDoc("transcript", "md")}>Transcript .md</IconButton>
+          <IconButton onClick={() => exportDoc("transcript", "html")}>Transcript .html</IconButton>
+          <IconButton onClick={onClose}>✕</IconButton>
+        </div>
+      </div>
+      <div className="cram-sheet md mx-auto my-6 max-w-4xl bg-white rounded-2xl shadow-sm border border-slate-200 p-8 text-sm">
+        {html != null ? <div dangerouslySetInnerHTML={{ __html: html }} /> : <pre className="whitespace-pre-wrap">{md}</pre>}
+      </div>
+    </div>
+  );
+}
+
+function SessionImportDialog({ pending, currentName, currentCount, busy, onChoose }) {
+  if (!pending) return null;
+  const { fileName, file, fromVersion, pack, data } = pending;
+  const st = data.state;
+  const stage = stageInfoFromState(st, pack.stages.length);
+  const problems = st ? validateState(st, schemaForPack(pack)) : [];
+  const turns = data.messages.filter((m) => m.role !== "system").length;
+  const rows = [
+    ["File", fileName],
+    file.session.name && ["Session", file.session.name],
+    file.exportedAt && !Number.isNaN(Date.parse(file.exportedAt)) && ["Exported", new Date(file.exportedAt).toLocaleString()],
+    ["Format", fromVersion < SESSION_VERSION ? `v${fromVersion}, upgraded to v${SESSION_VERSION}` : `v${SESSION_VERSION}`],
+    ["Curriculum", file.packId && file.packId !== pack.id ? `${pack.name} (pack “${file.packId}” not found)` : pack.name],
+    ["Stage reached", stage.current == null ? "not started" : `Stage ${stage.current} — ${pack.stages[stage.current]?.title || "?"} (${stage.current + 1} of ${stage.total})`],
+    ["Messages", `${turns} (${data.messages.length} incl. system prompt)`],
+    ["Requests / cost", `${data.metrics.requests} · ${formatUsd(data.metrics.cost)}`],
+    ["STATE", !st ? "none" : problems.length ? `${problems.length} problem${problems.length === 1 ? "" : "s"} (shown in the STATE drawer)` : "valid"],
+  ].filter(Boolean);
+  return (
+    <Modal open onClose={() => onChoose("cancel")}>
+      <div className="space-y-3">
+        <div className="text-lg font-semibold">Import session</div>
+        <table className="w-full text-sm">
+          <tbody>
+            {rows.map(([k, v]) => (
+              <tr key={k} className="border-b border-slate-100 last:border-0">
+                <td className="py-1 pr-3 text-slate-500 whitespace-nowrap align-top">{k}</td>
+                <td className="py-1 break-words">{v}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-xs text-slate-500">
+          “Replace current” overwrites {currentName ? `“${currentName}”` : "the session in view"}
+          {currentCount ? ` (${currentCount} messages)` : ""}; “Import as new” adds it to the library and keeps the current one.
+        </div>
+        {busy && <div className="text-xs text-amber-700">A reply is still coming in. Importing is available once it finishes or you Stop it.</div>}
+        <div className="flex flex-wrap justify-end gap-2">
+          <button type="button" onClick={() => onChoose("cancel")} className="rounded-2xl px-3 py-2 text-sm border border-slate-300 hover:bg-slate-50">
+            Cancel
+          </button>
+          <button type="button" onClick={() => onChoose("replace")} disabled={busy} className="rounded-2xl px-3 py-2 text-sm border border-slate-300 hover:bg-slate-50 disabled:opacity-50">
+            Replace current
+          </button>
+          <button type="button" onClick={() => onChoose("new")} disabled={busy} className="rounded-2xl px-3 py-2 text-sm bg-slate-900 text-white disabled:opacity-50">
+            Import as new session
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function PassphraseDialog({ prompt, onDone }) {
+  const [value, setValue] = useState("");
+
+  useEffect(() => {
+    setValue("");
+  }, [prompt]);
+
+  return (
+    <Modal open={!!prompt} onClose={() => onDone(null)}>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (value) onDone(value);
+        }}
+        className="space-y-3"
+      >
+        <div className="text-lg font-semibold">Enter passphrase</div>
+        <div className="text-sm text-slate-600">{prompt?.message}</div>
+        <input
+          type="password"
+          autoFocus
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
+        />
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={() => onDone(null)} className="rounded-2xl px-3 py-2 text-sm border border-slate-300 hover:bg-slate-50">
+            Cancel
+          </button>
+          <button type="submit" disabled={!value} className="rounded-2xl px-3 py-2 text-sm bg-slate-900 text-white disabled:opacity-50">
+            Unlock
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+function CalendarExport({ open, state, uidPrefix, onClose }) {
+  const [planStart, setPlanStart] = useState("");
+  const [events, setEvents] = useState([]);
+  const hasTestDate = !!parseTestDate(state?.meta?.test_date);
+  const problem = calendarProblem(state, events);
+
+  useEffect(() => {
+    if (!open) return;
+    const start = nextHalfHour();
+    setPlanStart(start);
+    setEvents(calendarDraft(state, { planStart: start }));
+  }, [open]);
+
+  function update(id, patch) {
+    setEvents((list) => list.map((ev) => (ev.id === id ? { ...ev, ...patch } : ev)));
+  }
+
+  function changePlanStart(v) {
+    setPlanStart(v);
+    if (v) setEvents((list) => sequencePlan(list, v, list.find((ev) => ev.kind === "block")?.day));
+  }
+
+  function download() {
+    if (problem) return;
+    // A cleared time input leaves "" on a timed event; skip it rather than guess
+    const chosen = events.filter((ev) => ev.include && ev.day && ev.time !== "");
+    downloadText("precalc-study-plan.ics", buildIcs(chosen, { uidPrefix }), "text/calendar;charset=utf-8");
+    onClose();
+  }
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-lg font-semibold">Add to calendar</div>
+        <IconButton onClick={onClose}>✕</IconButton>
+      </div>
+      {events.length === 0 ? (
+        <div className="text-sm text-slate-500">No plan blocks, checklists or test date in STATE yet.</div>
+      ) : (
+        <div className="space-y-3">
+          {events.some((ev) => ev.kind === "block") && (
+            <label className="flex items-center gap-2 text-sm">
+              <span className="font-medium">Plan blocks start at</span>
+              <input type="time" value={planStart} onChange={(e) => changePlanStart(e.target.value)} className="rounded-lg border border-slate-300 px-2 py-1" />
+              <span className="text-xs text-slate-500">back to back</span>
+            </label>
+          )}
+          <ul className="space-y-2 max-h-[55vh] overflow-auto pr-1">
+            {events.map((ev) => (
+              <li key={ev.id} className={`rounded-xl border p-2 text-sm ${ev.include ? "border-slate-200" : "border-dashed border-slate-200 opacity-60"}`}>
+                <label className="flex items-center gap-2 font-medium">
+                  <input type="checkbox" checked={ev.include} onChange={(e) => update(ev.id, { include: e.target.checked })} />
+                  {ev.title}
+                </label>
+                <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-slate-600">
+                  <input type="date" value={ev.day} onChange={(e) => update(ev.id, { day: e.target.value })} className="rounded-lg border border-slate-300 px-2 py-0.5" />
+                  {ev.time != null ? (
+                    <>
+                      <input type="time" value={ev.time} onChange={(e) => update(ev.id, { time: e.target.value })} className="rounded-lg border border-slate-300 px-2 py-0.5" />
+                      <input
+                        type="number"
+                        min={5}
+                        step={5}
+                        value={ev.minutes}
+                        onChange={(e) => update(ev.id, { minutes: Math.max(5, Number(e.target.value) || 5) })}
+                        className="w-16 rounded-lg border border-slate-300 px-2 py-0.5"
+                      />
+                      <span>min</span>
+                    </>
+                  ) : (
+                    <span>all day{ev.alarm ? ` · reminder ${ev.alarm.replace("PT", "").replace("H", ":00")}` : ""}</span>
+                  )}
+                </div>
+                {ev.description && <div className="mt-1 text-[11px] text-slate-500 whitespace-pre-line">{ev.description}</div>}
+              </li>
+            ))}
+          </ul>
+          {!hasTestDate && <div className="text-[11px] text-slate-500">No readable meta.test_date, so the day-before, test-day and test events are left out.</div>}
+          {problem && <div className="text-xs text-red-600">Can’t export: {problem}</div>}
+          <div className="flex justify-end">
+            <IconButton onClick={download} disabled={!!problem || !events.some((ev) => ev.include)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+              ⬇️ Download .ics
+            </IconButton>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+function CommandHelp({ open, onClose }) {
+  return (
+    <Modal open={open} onClose={onClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-lg font-semibold">Commands</div>
+        <IconButton onClick={onClose}>✕</IconButton>
+      </div>
+      <table className="w-full text-sm">
+        <tbody>
+          {COMMANDS.map((c) => (
+            <tr key={c.name} className="border-t border-slate-100 align-top">
+              <td className="py-1.5 pr-3 font-medium whitespace-nowrap">{commandUsage(c)}</td>
+              <td className="py-1.5 pr-3 text-slate-600">{c.help}</td>
+              <td className="py-1.5 text-xs text-slate-500 whitespace-nowrap">{commandShortcut(c)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-3 text-xs text-slate-500 space-y-1">
+        <p>Type a command on its own, with or without a leading slash (<span className="font-mono">next</span>, <span className="font-mono">/goto 3</span>). Typing <span className="font-mono">/</span> lists them; ↑/↓ and Tab or Enter pick one.</p>
+        <p>Moves that can't work (BACK at Stage 0, GOTO a stage that doesn't exist) are stopped here without contacting the coach. HELP never leaves this device.</p>
+      </div>
+    </Modal>
+  );
+}
+
+function ReviewQueue({ open, cards, due, today, busy, onRate, onCoach, onClose }) {
+  const [currentId, setCurrentId] = useState(null);
+  const [response, setResponse] = useState("");
+  const [result, setResult] = useState(null);
+  const card = due.find((c) => c.id === currentId) || due[0] || null;
+  const item = useMemo(() => (card ? reviewItem(card, today) : null), [card?.id, card?.reps, today]);
+  const upcoming = cards
+    .filter((c) => c.due && c.due > today)
+    .sort((a, b) => a.due.localeCompare(b.due))
+    .slice(0, 5);
+  const sourceLabel = { gap: "Gap", flagged: "Flagged item", mastery: "NeedsWork" };
+
+  useEffect(() => {
+    setResponse("");
+    setResult(null);
+  }, [card?.id, card?.reps]);
+
+  function rate(good) {
+    onRate(card.id, good);
+    setCurrentId(null);
+  }
+
+  return (
+    <Modal open={open} onClose={onClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <div className="text-lg font-semibold">Due today</div>
+          <div className="text-xs text-slate-500">
+            {due.length} card{due.length === 1 ? "" : "s"} due · spaced toward each session’s test date
+          </div>
         </div>
+        <IconButton onClick={onClose}>✕</IconButton>
+      </div>
+
+      {!card ? (
+        <div className="text-sm text-slate-500">Nothing due. Cards are added from STATE gaps, flagged Mini‑Exam items and NeedsWork mastery flags.</div>
+      ) : (
         <div className="space-y-3">
-          <div>
-            <label className="text-sm font-medium">Base URL</label>
-            <select
-              className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
-              value={baseUrl}
-              onChange={(e) => setBaseUrl(e.target.value)}
-            >
-              <option value="https://api.openai.com/v1">OpenAI — https://api.openai.com/v1</option>
-              <option value="https://openrouter.ai/api/v1">OpenRouter — https://openrouter.ai/api/v1</option>
-              <option value="http://localhost:11434/v1">Local (Ollama-compatible) — http://localhost:11434/v1</option>
-              <option value={baseUrl}>Custom (keep current)</option>
-            </select>
-            <input
-              className="mt-2 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
-              placeholder="Or enter a custom base URL"
-              value={baseUrl}
-              onChange={(e) => setBaseUrl(e.target.value)}
-            />
+          <div className="flex flex-wrap gap-1">
+            {due.map((c) => (
+              <button
+                key={c.id}
+                onClick={() => setCurrentId(c.id)}
+                className={`rounded-full border px-2 py-0.5 text-[11px] ${c.id === card.id ? "border-indigo-400 bg-indigo-50" : "border-slate-200 hover:bg-slate-50"}`}
+              >
+                {c.topic || c.bankTopic || sourceLabel[c.source]}
+              </button>
+            ))}
           </div>
-          <div>
-            <label className="text-sm font-medium">Model</label>
-            <input
-              className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
-              value={model}
-              onChange={(e) => setModel(e.target.value)}
-              placeholder="e.g., gpt-4o-mini or llama3.1:8b (via local OpenAI-compatible server)"
-            />
+          <div className="rounded-xl border border-slate-200 p-3">
+            <div className="text-[11px] text-slate-500 mb-1">
+              {sourceLabel[card.source]} · due {card.due}
+              {card.testDate ? ` · test ${card.testDate}` : ""} · reviewed {card.reps}×
+            </div>
+            <div className="text-sm">{card.text}</div>
           </div>
-          <div>
-            <label className="text-sm font-medium">API Key</label>
-            <input
-              className="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm"
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              placeholder="Paste your API key (not stored remotely)"
-            />
-            <div className="text-[11px] text-slate-500 mt-1">Stored only in your browser’s localStorage.</div>
+          {item ? (
+            <ItemCard item={item} value={response} onChange={setResponse} result={result} disabled={!!result} />
+          ) : (
+            <div className="text-xs text-slate-500">No bank item for this topic. Recall the fix, then rate yourself or review it with the coach.</div>
+          )}
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            <IconButton onClick={() => onCoach(card)} disabled={busy} title="Open a short coach session for this card">
+              🧑‍🏫 Review with coach
+            </IconButton>
+            {item && !result ? (
+              <IconButton onClick={() => setResult(gradeItem(item, response))} disabled={response === "" || response == null} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+                Check
+              </IconButton>
+            ) : item ? (
+              <IconButton onClick={() => rate(result.correct)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+                Next
+              </IconButton>
+            ) : (
+              <>
+                <IconButton onClick={() => rate(false)}>Again</IconButton>
+                <IconButton onClick={() => rate(true)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">Got it</IconButton>
+              </>
+            )}
           </div>
-          <div className="space-y-3 pt-2">
-            {/* Config actions */}
-            <div>
-              <div className="text-xs font-semibold text-slate-500 mb-1">Config</div>
-              <div className="flex flex-wrap items-center gap-2">
-                {/* hidden file input for config import */}
-                <input
-                  type="file"
-                  accept=".json,.yml,.yaml,.txt,application/json,text/yaml"
-                  ref={fileInputRef}
-                  onChange={(e) => onImportConfigFile(e.target.files?.[0])}
-                  className="hidden"
-                />
-                <IconButton title="Import settings (includes API key)" onClick={() => fileInputRef.current?.click()}>
-                  <span>📁</span>
-                  <span className="text-sm">Import Config</span>
-                </IconButton>
-                <IconButton title="Export settings (includes API key)" onClick={downloadConfig}>
-                  <span>⬇️</span>
-                  <span className="text-sm">Export Config</span>
-                </IconButton>
-                <IconButton title="Copy Magic Link (stores config in #fragment)" onClick={copyMagicLink}>
-                  <span>🔗</span>
-                  <span className="text-sm">Magic Link{magicCopied ? " ✓" : ""}</span>
-                </IconButton>
-              </div>
-              <div className="text-[11px] text-slate-500 mt-1">Config includes base URL, model, and API key. Share securely.</div>
-            </div>
+        </div>
+      )}
 
-            {/* Session actions */}
-            <div>
-              <div className="text-xs font-semibold text-slate-500 mb-1">Session</div>
-              <div className="flex flex-wrap items-center gap-2">
-                {/* hidden file input for session import */}
-                <input
-                  type="file"
-                  accept=".json,application/json"
-                  ref={sessionFileInputRef}
-                  onChange={(e) => onImportSessionFile(e.target.files?.[0])}
-                  className="hidden"
-                />
-                <IconButton title="Import session (transcript + YAML)" onClick={() => sessionFileInputRef.current?.click()}>
-                  <span>📂</span>
-                  <span className="text-sm">Import Session</span>
-                </IconButton>
-                <IconButton title="Export session (transcript + YAML)" onClick={exportSession}>
-                  <span>💾</span>
-                  <span className="text-sm">Export Session</span>
-                </IconButton>
-              </div>
-              <div className="text-[11px] text-slate-500 mt-1">Session file contains transcript and state only; no API key.</div>
-            </div>
+      {upcoming.length > 0 && (
+        <div className="mt-4 text-xs text-slate-500">
+          <div className="font-semibold mb-1">Coming up</div>
+          <ul className="space-y-0.5">
+            {upcoming.map((c) => (
+              <li key={c.id} className="truncate">
+                {c.due} · {c.topic || c.bankTopic || sourceLabel[c.source]} — {c.text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Modal>
+  );
+}
 
-            {/* Footer actions */}
-            <div className="flex items-center justify-end gap-2">
-              <IconButton onClick={() => setSettingsOpen(false)}>Cancel</IconButton>
-              <IconButton onClick={handleSaveSettings} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">Save</IconButton>
+function QuizModal({ quiz, onClose, onSubmit }) {
+  const [responses, setResponses] = useState({});
+  const [graded, setGraded] = useState(null);
+  const [timing, setTiming] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const startedAtRef = useRef(0);
+  const itemSecRef = useRef({});
+  const itemSinceRef = useRef(0);
+
+  useEffect(() => {
+    setResponses({});
+    setGraded(null);
+    setTiming(null);
+    setIndex(0);
+    startedAtRef.current = Date.now();
+    itemSecRef.current = {};
+    itemSinceRef.current = Date.now();
+    setNow(Date.now());
+  }, [quiz]);
+
+  const timed = !!quiz?.limitSec;
+  const running = timed && !graded;
+  const remainingSec = timed ? quiz.limitSec - (now - startedAtRef.current) / 1000 : null;
+
+  useEffect(() => {
+    if (!running) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [running]);
+
+  // Time on screen is charged to the item being shown
+  function chargeCurrentItem() {
+    const id = quiz.items[index]?.id;
+    const t = Date.now();
+    if (id) itemSecRef.current[id] = (itemSecRef.current[id] || 0) + (t - itemSinceRef.current) / 1000;
+    itemSinceRef.current = t;
+  }
+
+  function goTo(i) {
+    chargeCurrentItem();
+    setIndex(Math.max(0, Math.min(quiz.items.length - 1, i)));
+  }
+
+  function finish(timedOut) {
+    const result = scoreQuiz(quiz.items, responses);
+    let t = null;
+    if (timed) {
+      chargeCurrentItem();
+      const itemSec = Object.fromEntries(quiz.items.map((it) => [it.id, itemSecRef.current[it.id] || 0]));
+      const elapsedSec = Math.min(quiz.limitSec, (Date.now() - startedAtRef.current) / 1000);
+      t = { elapsedSec, limitSec: quiz.limitSec, itemSec, timedOut };
+    }
+    setGraded(result);
+    setTiming(t);
+    if (timedOut) onSubmit(quiz.mode, result, t);
+  }
+
+  useEffect(() => {
+    if (running && remainingSec <= 0) finish(true);
+  }, [running, remainingSec]);
+
+  function requestClose() {
+    if (running && !window.confirm("Leave the timed Mini-Exam? Your answers will be discarded.")) return;
+    onClose();
+  }
+
+  if (!quiz) return null;
+  const spec = QUIZ_MODES[quiz.mode];
+  const isAnswered = (it) => responses[it.id] != null && String(responses[it.id]).trim() !== "";
+  const answered = quiz.items.filter(isAnswered).length;
+  // A running exam shows one item at a time so per-item time can be measured
+  const shown = running ? [quiz.items[index]] : quiz.items;
+
+  return (
+    <Modal open onClose={requestClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-lg font-semibold">{spec.label} · {quiz.items.length} items</div>
+        <div className="flex items-center gap-3">
+          {running && (
+            <div className={`font-mono text-sm px-2 py-1 rounded-lg border ${remainingSec <= 60 ? "text-red-700 bg-red-50 border-red-200" : "text-slate-700 bg-slate-50 border-slate-200"}`} title="Time remaining">
+              ⏱ {formatClock(remainingSec)}
             </div>
-          </div>
+          )}
+          <button className="text-slate-500 hover:text-slate-700" onClick={requestClose}>✕</button>
         </div>
-      </Modal>
+      </div>
+      {running && (
+        <div className="mb-3 flex flex-wrap gap-1">
+          {quiz.items.map((it, i) => (
+            <button
+              key={it.id}
+              onClick={() => goTo(i)}
+              className={`h-7 min-w-7 px-1.5 rounded-lg text-xs border ${i === index ? "border-indigo-500 bg-indigo-600 text-white" : isAnswered(it) ? "border-indigo-200 bg-indigo-50" : "border-slate-200"}`}
+            >
+              {i + 1}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="space-y-3 max-h-[60vh] overflow-auto pr-1">
+        {shown.map((it) => (
+          <ItemCard
+            key={it.id}
+            item={it}
+            value={responses[it.id]}
+            onChange={(v) => setResponses((r) => ({ ...r, [it.id]: v }))}
+            result={graded?.results.find((r) => r.item.id === it.id)}
+            disabled={!!graded}
+          />
+        ))}
+      </div>
+      <div className="mt-4 flex items-center justify-between gap-2">
+        <div className="text-sm text-slate-600">
+          {graded ? (
+            <span>
+              Score: <span className="font-medium">{graded.right}/{graded.total} ({graded.scorePct}%)</span>
+              {timing && <span className="ml-2 text-slate-500">· {formatClock(timing.elapsedSec)} used</span>}
+            </span>
+          ) : (
+            <span>{answered}/{quiz.items.length} answered</span>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {running && (
+            <>
+              <IconButton onClick={() => goTo(index - 1)} disabled={index === 0}>◀ Prev</IconButton>
+              <IconButton onClick={() => goTo(index + 1)} disabled={index === quiz.items.length - 1}>Next ▶</IconButton>
+            </>
+          )}
+          {!running && <IconButton onClick={requestClose}>Cancel</IconButton>}
+          {graded ? (
+            <IconButton onClick={() => onSubmit(quiz.mode, graded, timing)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+              Send results to coach
+            </IconButton>
+          ) : (
+            <IconButton onClick={() => finish(false)} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+              {timed ? "Submit exam" : "Grade"}
+            </IconButton>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
 
-      {/* Toast */}
-      {toast && (
-        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50">
-          <div className="rounded-full bg-slate-900 text-white text-sm px-4 py-2 shadow-lg border border-slate-800">
-            {toast}
-          </div>
+function ItemCard({ item, value, onChange, result, disabled }) {
+  return (
+    <div className={`rounded-xl border p-3 ${result ? (result.correct ? "border-emerald-300 bg-emerald-50" : "border-red-300 bg-red-50") : "border-slate-200"}`}>
+      <div className="text-[11px] text-slate-500 mb-1">
+        {item.id} · {item.topic}
+      </div>
+      <TextBlock text={item.prompt} rich />
+      {item.kind === "choice" ? (
+        <div className="mt-2 space-y-1">
+          {item.choices.map((c, i) => (
+            <label key={i} className="flex items-center gap-2 text-sm">
+              <input type="radio" name={item.id} checked={Number(value) === i && value !== "" && value != null} onChange={() => onChange(i)} disabled={disabled} />
+              <TextBlock text={c} rich />
+            </label>
+          ))}
+        </div>
+      ) : (
+        <input
+          className="mt-2 w-full rounded-xl border border-slate-300 px-3 py-1.5 text-sm"
+          placeholder="Answer (e.g., 3, -1/2, 0.75)"
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+        />
+      )}
+      {result && (
+        <div className="mt-2 text-xs">
+          {result.correct ? (
+            <span className="font-medium text-emerald-700">✓ Correct</span>
+          ) : (
+            <div className="text-red-700">
+              <span className="font-medium">✗ Expected:</span> <TextBlock text={item.answerText} rich />
+              {item.explain && <div className="text-slate-600 mt-1">{item.explain}</div>}
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 }
 
-function MessageBubble({ role, content }) {
+function MessageBubble({ role, content, disabled = false, branch = null, onBranch, onEdit, onRegenerate, itemAnswers = null, onAnswerItems = null, onOpenPlot = null }) {
   const isUser = role === "user";
   const isAssistant = role === "assistant";
   const isSystem = role === "system";
   const label = isUser ? "You" : isAssistant ? "Coach" : "System";
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(content);
 
-  // Basic rendering with code block support
+  // Fenced code stays verbatim; assistant prose is rendered as Markdown + LaTeX
   const parts = useMemo(() => splitIntoBlocks(content), [content]);
 
+  useEffect(() => {
+    setEditing(false);
+  }, [content]);
+
+  function submitEdit() {
+    if (!draft.trim() || draft === content) {
+      setEditing(false);
+      return;
+    }
+    onEdit(draft);
+  }
+
+  const actions = !editing && (onEdit || onRegenerate || branch);
+  const linkCls = "hover:underline disabled:opacity-50 disabled:no-underline";
+
   return (
     <div className={`mb-3 flex ${isUser ? "justify-end" : "justify-start"}`}>
-      <div className={`${isUser ? "bg-indigo-600 text-white" : isSystem ? "bg-yellow-50 border border-yellow-200" : "bg-slate-100"} max-w-[90%] sm:max-w-[75%] rounded-2xl px-3 py-2 shadow-sm`}>
-        <div className="text-[11px] opacity-80 mb-1">{label}</div>
-        {parts.map((p, i) => (
-          p.type === "code" ? (
+      <div className={`group ${isUser ? "bg-indigo-600 text-white" : isSystem ? "bg-yellow-50 border border-yellow-200" : "bg-slate-100"} max-w-[90%] sm:max-w-[75%] rounded-2xl px-3 py-2 shadow-sm`}>
+        <div className="text-[11px] opacity-80 mb-1 flex items-center gap-2">
+          <span>{label}</span>
+          {actions && (
+            <span className="flex items-center gap-2 ml-auto">
+              {branch && (
+                <span className="flex items-center gap-1" title="Switch between branches of this turn">
+                  <button className={linkCls} disabled={disabled || branch.index === 0} onClick={() => onBranch(branch.index - 1)}>‹</button>
+                  <span>{branch.index + 1}/{branch.count}</span>
+                  <button className={linkCls} disabled={disabled || branch.index === branch.count - 1} onClick={() => onBranch(branch.index + 1)}>›</button>
+                </span>
+              )}
+              {onEdit && (
+                <button
+                  className={`${linkCls} opacity-0 group-hover:opacity-100 focus:opacity-100`}
+                  disabled={disabled}
+                  onClick={() => {
+                    setDraft(content);
+                    setEditing(true);
+                  }}
+                >
+                  Edit
+                </button>
+              )}
+              {onRegenerate && (
+                <button className={`${linkCls} opacity-0 group-hover:opacity-100 focus:opacity-100`} disabled={disabled} onClick={onRegenerate}>
+                  Regenerate
+                </button>
+              )}
+            </span>
+          )}
+        </div>
+        {editing ? (
+          <div className="space-y-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  submitEdit();
+                } else if (e.key === "Escape") setEditing(false);
+              }}
+              rows={Math.min(8, draft.split("\n").length + 1)}
+              autoFocus
+              className="w-full min-w-[16rem] rounded-xl p-2 text-sm text-slate-900"
+            />
+            <div className="flex justify-end gap-2 text-xs">
+              <button className="rounded-lg px-2 py-1 bg-white/20 hover:bg-white/30" onClick={() => setEditing(false)}>Cancel</button>
+              <button className="rounded-lg px-2 py-1 bg-white text-indigo-700 font-medium disabled:opacity-50" disabled={disabled} onClick={submitEdit}>
+                Save &amp; resend
+              </button>
+            </div>
+          </div>
+        ) : parts.map((p, i) => (
+          p.type === "items" ? (
+            <ItemSet key={i} text={p.text} answers={itemAnswers} onSubmit={onAnswerItems} disabled={disabled} />
+          ) : p.type === "answers" ? (
+            <AnswerList key={i} text={p.text} />
+          ) : p.type === "plot" ? (
+            <PlotBlock key={i} text={p.text} onOpen={onOpenPlot} />
+          ) : p.type === "state" ? (
+            <div key={i} className="mt-1 text-[11px] text-slate-500">STATE updated</div>
+          ) : p.type === "code" ? (
             <pre key={i} className="text-xs whitespace-pre-wrap leading-relaxed bg-white/90 border border-slate-200 rounded-xl p-2 overflow-auto">
               {p.text}
             </pre>
           ) : (
-            <div key={i} className="text-sm leading-relaxed whitespace-pre-wrap">{p.text}</div>
+            <TextBlock key={i} text={p.text} rich={isAssistant} />
           )
         ))}
       </div>
@@ -949,19 +6700,525 @@ function MessageBubble({ role, content }) {
   );
 }
 
+// Cards for a coach ```items block; read-only once the next message answers them
+function ItemSet({ text, answers, onSubmit, disabled }) {
+  const { items, error } = useMemo(() => parseItemsBlock(text), [text]);
+  const [responses, setResponses] = useState({});
+  const group = useId();
+  if (error) {
+    return (
+      <div className="my-2">
+        <div className="text-xs text-red-600 mb-1">Couldn’t show these items as cards: {error}</div>
+        <pre className="text-xs whitespace-pre-wrap leading-relaxed bg-white/90 border border-slate-200 rounded-xl p-2 overflow-auto">{hideItemKeys(text)}</pre>
+      </div>
+    );
+  }
+  const open = !answers && !!onSubmit;
+  const shown = (it) => (answers ? answerResponse(answers[it.id], it) : responses[it.id]);
+  const unanswered = items.filter((it) => !answerText(itemAnswersFor([it], responses)[0])).length;
+
+  function submit() {
+    if (unanswered && !window.confirm(`${unanswered} item${unanswered === 1 ? " is" : "s are"} unanswered. Submit anyway?`)) return;
+    onSubmit(items, responses);
+  }
+
+  return (
+    <div className="my-2 space-y-2">
+      {items.map((it, i) => (
+        <CoachItemCard
+          key={it.id}
+          n={i + 1}
+          name={`${group}-${it.id}`}
+          item={it}
+          value={shown(it)}
+          onChange={(v) => setResponses((r) => ({ ...r, [it.id]: v }))}
+          disabled={!open || disabled}
+        />
+      ))}
+      {open ? (
+        <div className="flex items-center justify-end gap-2">
+          {unanswered > 0 && <span className="text-xs text-slate-500">{unanswered} unanswered</span>}
+          <button type="button" onClick={submit} disabled={disabled} className="rounded-2xl px-3 py-1.5 text-sm bg-slate-900 text-white disabled:opacity-50">
+            Submit answers
+          </button>
+        </div>
+      ) : (
+        answers && <div className="text-[11px] text-slate-500">Answers submitted</div>
+      )}
+    </div>
+  );
+}
+
+const ITEM_KIND_LABELS = { choice: "multiple choice", numeric: "number", expression: "expression" };
+
+function CoachItemCard({ n, name, item, value, onChange, disabled }) {
+  const input = "rounded-xl border border-slate-300 px-3 py-1.5 text-sm bg-white disabled:bg-slate-50";
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white p-3">
+      <div className="text-[11px] text-slate-500 mb-1">
+        {n}. {item.id} · {ITEM_KIND_LABELS[item.kind]}
+      </div>
+      <TextBlock text={item.prompt} rich />
+      {item.kind === "choice" ? (
+        <div className="mt-2 space-y-1">
+          {item.choices.map((c, i) => (
+            <label key={i} className="flex items-center gap-2 text-sm">
+              <input type="radio" name={name} checked={value != null && value !== "" && Number(value) === i} onChange={() => onChange(i)} disabled={disabled} />
+              <TextBlock text={c} rich />
+            </label>
+          ))}
+        </div>
+      ) : item.kind === "numeric" ? (
+        <div className="mt-2 flex items-center gap-2">
+          <input
+            className={`${input} w-40`}
+            inputMode="decimal"
+            placeholder="Number"
+            value={value?.value ?? ""}
+            onChange={(e) => onChange({ ...(value || {}), value: e.target.value })}
+            disabled={disabled}
+          />
+          {item.units.length ? (
+            <select className={input} value={value?.unit ?? ""} onChange={(e) => onChange({ ...(value || {}), unit: e.target.value })} disabled={disabled}>
+              <option value="">unit…</option>
+              {item.units.map((u) => (
+                <option key={u} value={u}>{u}</option>
+              ))}
+            </select>
+          ) : (
+            item.unit && <span className="text-sm text-slate-600">{item.unit}</span>
+          )}
+        </div>
+      ) : (
+        <div className="mt-2">
+          <input className={`${input} w-full`} placeholder="Answer, e.g. (x-3)(x+2) or x^2/4" value={value ?? ""} onChange={(e) => onChange(e.target.value)} disabled={disabled} />
+          {String(value ?? "").trim() && (
+            <div className="mt-1 text-slate-600">
+              <TextBlock text={`$${value}$`} rich />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const VERDICT_BADGE_CLS = {
+  correct: "bg-emerald-100 text-emerald-800",
+  approx: "bg-emerald-50 text-emerald-700",
+  incorrect: "bg-red-100 text-red-700",
+  unknown: "bg-white/80 text-slate-600",
+};
+
+function AnswerList({ text }) {
+  const byId = parseAnswersBlock("```answers\n" + text + "\n```");
+  if (!byId) return <pre className="text-xs whitespace-pre-wrap">{text}</pre>;
+  const list = Object.values(byId);
+  const checked = list.filter((a) => a.verified === "correct" || a.verified === "approx" || a.verified === "incorrect");
+  return (
+    <div>
+      <ul className="text-sm space-y-0.5">
+        {list.map((a) => {
+          const v = EQUIV_VERDICTS[a.verified];
+          return (
+            <li key={a.id} className="flex flex-wrap items-center gap-x-1.5">
+              <span className="opacity-80">{a.id}:</span> {answerText(a) || <span className="italic opacity-80">(blank)</span>}
+              {v && (
+                <span className={`rounded-full px-1.5 text-[11px] font-medium ${VERDICT_BADGE_CLS[a.verified]}`} title={v.title}>
+                  {v.badge}
+                </span>
+              )}
+              {v && a.note && <span className="text-[11px] opacity-80">{a.note}</span>}
+            </li>
+          );
+        })}
+      </ul>
+      {checked.length > 0 && (
+        <div className="mt-1 text-[11px] opacity-80">
+          Checked on this device: {checked.filter((a) => a.verified !== "incorrect").length}/{checked.length} correct
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Interactive SVG graph: drag to pan, Ctrl/⌘ + wheel (or pinch) to zoom, buttons for both
+function PlotView({ spec, onView, onOpen }) {
+  const initial = useMemo(() => plotWindow(spec), [spec]);
+  const [view, setView] = useState(initial);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const clipId = `plot${useId().replace(/:/g, "")}`;
+  const { w: W, h: H } = PLOT_SIZE;
+
+  useEffect(() => setView(initial), [initial]);
+  useEffect(() => {
+    onView?.(view);
+  }, [view]);
+
+  // Zoom about a point given as fractions of the plot box (0..1 from the left/top)
+  function zoom(factor, fx = 0.5, fy = 0.5) {
+    setView((v) => {
+      const cx = v.x0 + fx * (v.x1 - v.x0);
+      const cy = v.y1 - fy * (v.y1 - v.y0);
+      // Past ~1e-9 of the center, ticks and paths run out of float precision
+      if (factor < 1 && ((v.x1 - v.x0) * factor < 1e-9 * Math.max(1, Math.abs(cx)) || (v.y1 - v.y0) * factor < 1e-9 * Math.max(1, Math.abs(cy)))) return v;
+      return { x0: cx - (cx - v.x0) * factor, x1: cx + (v.x1 - cx) * factor, y0: cy - (cy - v.y0) * factor, y1: cy + (v.y1 - cy) * factor };
+    });
+  }
+
+  useEffect(() => {
+    // Native listener: React's wheel handler is passive, and a plain wheel should keep scrolling the chat
+    const el = svgRef.current;
+    const onWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const r = el.getBoundingClientRect();
+      zoom(e.deltaY > 0 ? 1.2 : 1 / 1.2, (e.clientX - r.left) / r.width, (e.clientY - r.top) / r.height);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  function onPointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, view, rect: e.currentTarget.getBoundingClientRect() };
+  }
+  function onPointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { view: v, rect } = drag;
+    const dx = ((e.clientX - drag.x) / rect.width) * (v.x1 - v.x0);
+    const dy = ((e.clientY - drag.y) / rect.height) * (v.y1 - v.y0);
+    setView({ x0: v.x0 - dx, x1: v.x1 - dx, y0: v.y0 + dy, y1: v.y1 + dy });
+  }
+
+  const toPx = (x, y) => [((x - view.x0) / (view.x1 - view.x0)) * W, H - ((y - view.y0) / (view.y1 - view.y0)) * H];
+  const [ox, oy] = toPx(0, 0);
+  // Axis labels hug the axes but stay on screen when an axis scrolls out of view
+  const labelY = Math.min(H - 4, Math.max(12, oy + 12));
+  const labelX = Math.min(W - 4, Math.max(24, ox - 4));
+  const xTicks = plotTicksX(spec, view.x0, view.x1);
+  const yTicks = niceTicks(view.y0, view.y1, 6);
+  const paths = useMemo(() => spec.functions.map((f) => plotPath(f.fn, view, toPx)), [spec, view]);
+  const moved = ["x0", "x1", "y0", "y1"].some((k) => Math.abs(view[k] - initial[k]) > 1e-9);
+  const unit = spec.unitCircle && toPx(1, 0)[0] - ox;
+
+  return (
+    <div className="my-2 rounded-xl border border-slate-200 bg-white p-2 text-slate-900">
+      {spec.title && <div className="text-xs font-medium mb-1">{spec.title}</div>}
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full h-auto cursor-grab active:cursor-grabbing select-none"
+        style={{ touchAction: "none" }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={() => (dragRef.current = null)}
+        onPointerCancel={() => (dragRef.current = null)}
+        role="img"
+        aria-label={spec.title || `Graph of ${spec.functions.map((f) => f.expr).join(", ") || "the unit circle"}`}
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect width={W} height={H} />
+          </clipPath>
+        </defs>
+        <rect width={W} height={H} fill="#fff" />
+        <g stroke="#e2e8f0" strokeWidth="1">
+          {xTicks.map((t) => (
+            <line key={`gx${t.v}`} x1={toPx(t.v, 0)[0]} x2={toPx(t.v, 0)[0]} y1={0} y2={H} />
+          ))}
+          {yTicks.map((v) => (
+            <line key={`gy${v}`} x1={0} x2={W} y1={toPx(0, v)[1]} y2={toPx(0, v)[1]} />
+          ))}
+        </g>
+        <g stroke="#64748b" strokeWidth="1.2">
+          <line x1={0} x2={W} y1={oy} y2={oy} />
+          <line x1={ox} x2={ox} y1={0} y2={H} />
+        </g>
+        <g fontSize="10" fill="#64748b">
+          {xTicks.map((t) => t.v !== 0 && (
+            <text key={`tx${t.v}`} x={toPx(t.v, 0)[0]} y={labelY} textAnchor="middle">{t.label}</text>
+          ))}
+          {yTicks.map((v) => v !== 0 && (
+            <text key={`ty${v}`} x={labelX} y={toPx(0, v)[1] + 3} textAnchor="end">{formatTick(v)}</text>
+          ))}
+        </g>
+        <g clipPath={`url(#${clipId})`}>
+          <g stroke="#ef4444" strokeWidth="1.2" strokeDasharray="5 4">
+            {spec.vertical.map((a) => (
+              <line key={`va${a}`} x1={toPx(a, 0)[0]} x2={toPx(a, 0)[0]} y1={0} y2={H}>
+                <title>{`x = ${formatTick(a)}`}</title>
+              </line>
+            ))}
+            {spec.horizontal.map((a) => (
+              <line key={`ha${a}`} x1={0} x2={W} y1={toPx(0, a)[1]} y2={toPx(0, a)[1]}>
+                <title>{`y = ${formatTick(a)}`}</title>
+              </line>
+            ))}
+          </g>
+          {spec.unitCircle && (
+            <g>
+              <circle cx={ox} cy={oy} r={unit} fill="none" stroke="#94a3b8" strokeWidth="1.5" />
+              {spec.unitCircle.angles.map((a, i) => {
+                const [px, py] = toPx(Math.cos(a.value), Math.sin(a.value));
+                const [lx, ly] = toPx(1.18 * Math.cos(a.value), 1.18 * Math.sin(a.value));
+                return (
+                  <g key={i}>
+                    <line x1={ox} y1={oy} x2={px} y2={py} stroke={PLOT_COLORS[i % PLOT_COLORS.length]} strokeWidth="1.2" />
+                    <circle cx={px} cy={py} r="3.5" fill={PLOT_COLORS[i % PLOT_COLORS.length]}>
+                      <title>{`${a.label}: (cos, sin) ≈ (${formatTick(Math.round(Math.cos(a.value) * 1000) / 1000)}, ${formatTick(Math.round(Math.sin(a.value) * 1000) / 1000)})`}</title>
+                    </circle>
+                    <text x={lx} y={ly + 3} fontSize="11" textAnchor="middle" fill="#334155">{a.label.replace(/pi/g, "π")}</text>
+                  </g>
+                );
+              })}
+            </g>
+          )}
+          {spec.functions.map((f, i) => (
+            <path key={i} d={paths[i]} fill="none" stroke={f.color} strokeWidth="2" strokeDasharray={f.dashed ? "6 4" : undefined} />
+          ))}
+          {spec.points.map((p, i) => {
+            const [px, py] = toPx(p.x, p.y);
+            return (
+              <g key={`p${i}`}>
+                <circle cx={px} cy={py} r="3.5" fill="#0f172a" />
+                <text x={px + 6} y={py - 6} fontSize="11" fill="#0f172a">
+                  {p.label || `(${formatTick(p.x)}, ${formatTick(p.y)})`}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+      <div className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+        {spec.functions.map((f, i) => (
+          <span key={i} className="inline-flex items-center gap-1">
+            <span className="inline-block w-3 h-0.5" style={{ background: f.color }} />
+            {f.label}
+          </span>
+        ))}
+        <span className="ml-auto flex items-center gap-1">
+          <button type="button" className="rounded-lg border border-slate-300 px-2 hover:bg-slate-50" title="Zoom in" onClick={() => zoom(1 / 1.5)}>+</button>
+          <button type="button" className="rounded-lg border border-slate-300 px-2 hover:bg-slate-50" title="Zoom out" onClick={() => zoom(1.5)}>−</button>
+          <button type="button" className="rounded-lg border border-slate-300 px-2 hover:bg-slate-50 disabled:opacity-50" title="Back to the original window" disabled={!moved} onClick={() => setView(initial)}>Reset</button>
+          {onOpen && (
+            <button type="button" className="rounded-lg border border-slate-300 px-2 hover:bg-slate-50" title="Edit this graph and ask the coach about it" onClick={() => onOpen(spec, view)}>
+              Open in graph panel
+            </button>
+          )}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// A ```plot block inside a message; falls back to the raw text when it can't be drawn
+function PlotBlock({ text, onOpen }) {
+  const { spec, errors } = useMemo(() => parsePlotSpec(text), [text]);
+  return (
+    <div>
+      {spec && <PlotView spec={spec} onOpen={onOpen} />}
+      {errors.length > 0 && <div className="text-xs text-red-600">{spec ? "Not drawn: " : "Couldn’t draw this graph: "}{errors.join("; ")}</div>}
+      {!spec && <pre className="text-xs whitespace-pre-wrap leading-relaxed bg-white/90 border border-slate-200 rounded-xl p-2 overflow-auto text-slate-900">{text}</pre>}
+    </div>
+  );
+}
+
+function plotRowError(expr) {
+  try {
+    compileExpression(expr);
+    return "";
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Standalone graphing panel; "Ask the coach" sends the current window as a ```plot block
+function GraphPanel({ initial, busy, onSend, onClose }) {
+  const start = initial?.spec;
+  const round = (n) => String(Math.round(n * 1000) / 1000);
+  const [title, setTitle] = useState(start?.title || "");
+  const [rows, setRows] = useState(start?.functions.length ? start.functions.map((f) => ({ expr: f.expr, label: f.label === f.expr ? "" : f.label })) : [{ expr: "x^2", label: "" }]);
+  const [xWin, setXWin] = useState(initial?.view ? [round(initial.view.x0), round(initial.view.x1)] : (start?.domain || [-10, 10]).map(round));
+  const [yWin, setYWin] = useState(initial?.view ? [round(initial.view.y0), round(initial.view.y1)] : start?.range ? start.range.map(round) : ["", ""]);
+  const [vText, setVText] = useState(start?.vertical.join(", ") || "");
+  const [hText, setHText] = useState(start?.horizontal.join(", ") || "");
+  const [pointsText, setPointsText] = useState(start?.points.map((p) => `(${p.x}, ${p.y})${p.label ? ` ${p.label}` : ""}`).join("; ") || "");
+  const [unitOn, setUnitOn] = useState(!!start?.unitCircle);
+  const [anglesText, setAnglesText] = useState(start?.unitCircle?.angles.map((a) => a.label).join(", ") || "pi/6, pi/4, pi/3");
+  const [question, setQuestion] = useState("");
+  const viewRef = useRef(null);
+
+  const { spec, errors } = useMemo(() => {
+    const list = (s) => s.split(",").map((v) => v.trim()).filter(Boolean);
+    const points = [...pointsText.matchAll(/\(([^(),]+),([^(),]+)\)\s*([^;]*)/g)].map((m) => ({ x: m[1].trim(), y: m[2].trim(), label: m[3].trim() || undefined }));
+    return parsePlotSpec({
+      title,
+      functions: rows.filter((r) => r.expr.trim()).map((r) => ({ expr: r.expr, label: r.label.trim() || undefined })),
+      domain: xWin,
+      range: yWin[0] !== "" && yWin[1] !== "" ? yWin : undefined,
+      asymptotes: { vertical: list(vText), horizontal: list(hText) },
+      points,
+      unit_circle: unitOn && { angles: list(anglesText) },
+    });
+  }, [title, rows, xWin, yWin, vText, hText, pointsText, unitOn, anglesText]);
+
+  const setRow = (i, patch) => setRows((list) => list.map((r, k) => (k === i ? { ...r, ...patch } : r)));
+  const input = "rounded-lg border border-slate-300 px-2 py-1 text-sm";
+
+  function send() {
+    const ask = question.trim() || "Can you walk me through this graph?";
+    onSend(`${ask}\n\n\`\`\`plot\n${plotSpecYaml(spec, viewRef.current)}\`\`\``);
+  }
+
+  return (
+    <Modal open onClose={onClose}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-lg font-semibold">Graph</div>
+        <IconButton onClick={onClose}>✕</IconButton>
+      </div>
+      <div className="space-y-3 text-sm">
+        {spec ? (
+          <PlotView spec={spec} onView={(v) => (viewRef.current = v)} />
+        ) : (
+          <div className="rounded-xl border border-dashed border-slate-300 p-6 text-center text-slate-500">Nothing to draw yet</div>
+        )}
+        <div className="space-y-2">
+          {rows.map((r, i) => {
+            const problem = r.expr.trim() && plotRowError(r.expr);
+            return (
+              <div key={i}>
+                <div className="flex items-center gap-2">
+                  <span className="inline-block w-3 h-3 rounded-full shrink-0" style={{ background: PLOT_COLORS[i % PLOT_COLORS.length] }} />
+                  <span className="text-slate-500">y =</span>
+                  <input className={`${input} flex-1 font-mono`} value={r.expr} placeholder="e.g. 2(x-1)^2 - 3" onChange={(e) => setRow(i, { expr: e.target.value })} />
+                  <input className={`${input} w-32`} value={r.label} placeholder="label" onChange={(e) => setRow(i, { label: e.target.value })} />
+                  <button type="button" className="text-slate-400 hover:text-slate-700" title="Remove" onClick={() => setRows((list) => list.filter((_, k) => k !== i))}>✕</button>
+                </div>
+                {problem && <div className="ml-10 text-xs text-red-600">{problem}</div>}
+              </div>
+            );
+          })}
+          {rows.length < PLOT_COLORS.length && (
+            <button type="button" className="text-xs text-indigo-600 hover:underline" onClick={() => setRows((list) => [...list, { expr: "", label: "" }])}>
+              + Add a function (overlay a transformation)
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <label className="flex items-center gap-2">
+            <span className="w-16 text-slate-600">x from</span>
+            <input className={`${input} w-20`} value={xWin[0]} onChange={(e) => setXWin([e.target.value, xWin[1]])} />
+            <span>to</span>
+            <input className={`${input} w-20`} value={xWin[1]} onChange={(e) => setXWin([xWin[0], e.target.value])} />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16 text-slate-600">y from</span>
+            <input className={`${input} w-20`} value={yWin[0]} placeholder="auto" onChange={(e) => setYWin([e.target.value, yWin[1]])} />
+            <span>to</span>
+            <input className={`${input} w-20`} value={yWin[1]} placeholder="auto" onChange={(e) => setYWin([yWin[0], e.target.value])} />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16 text-slate-600">VA at x =</span>
+            <input className={`${input} flex-1`} value={vText} placeholder="e.g. 2, -3" onChange={(e) => setVText(e.target.value)} />
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="w-16 text-slate-600">HA at y =</span>
+            <input className={`${input} flex-1`} value={hText} placeholder="e.g. 0" onChange={(e) => setHText(e.target.value)} />
+          </label>
+          <label className="flex items-center gap-2 sm:col-span-2">
+            <span className="w-16 text-slate-600">Points</span>
+            <input className={`${input} flex-1`} value={pointsText} placeholder="(3, 1) vertex; (0, 10)" onChange={(e) => setPointsText(e.target.value)} />
+          </label>
+          <label className="flex items-center gap-2 sm:col-span-2">
+            <input type="checkbox" checked={unitOn} onChange={(e) => setUnitOn(e.target.checked)} />
+            <span className="text-slate-600">Unit circle at</span>
+            <input className={`${input} flex-1`} value={anglesText} disabled={!unitOn} placeholder="pi/6, pi/4, 2pi/3" onChange={(e) => setAnglesText(e.target.value)} />
+          </label>
+          <label className="flex items-center gap-2 sm:col-span-2">
+            <span className="w-16 text-slate-600">Title</span>
+            <input className={`${input} flex-1`} value={title} placeholder="optional" onChange={(e) => setTitle(e.target.value)} />
+          </label>
+        </div>
+        {errors.length > 0 && spec && <div className="text-xs text-red-600">Not drawn: {errors.join("; ")}</div>}
+        <div className="border-t border-slate-200 pt-3 space-y-2">
+          <textarea
+            className={`${input} w-full`}
+            rows={2}
+            value={question}
+            placeholder="Ask the coach about this graph, e.g. “Why does the second curve sit 3 units to the right?”"
+            onChange={(e) => setQuestion(e.target.value)}
+          />
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-[11px] text-slate-500">Sends the graph as you see it now, window included.</span>
+            <IconButton title="Send this graph and question to the coach" onClick={send} disabled={busy || !spec} className="bg-slate-900 text-white border-slate-900 hover:bg-slate-800">
+              <span>📈</span>
+              <span className="text-sm">Ask the coach</span>
+            </IconButton>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
 function splitIntoBlocks(text) {
-  // Very light markdown-ish splitting: ``` blocks vs paragraphs
-  const re = /```[a-zA-Z]*\n([\s\S]*?)```/g;
+  // Very light markdown-ish splitting: ``` blocks vs paragraphs; ```items / ```answers hold structured
+  // quiz data, ```plot a graph and ```state the field-mode STATE (shown in the drawer, not the bubble)
+  const re = /```([a-zA-Z]*)\n([\s\S]*?)```/g;
+  // An items block still streaming would show its answer keys; it appears once it closes
+  text = text.replace(/```items\n(?:(?!```)[\s\S])*$/, "");
   const blocks = [];
   let lastIndex = 0;
   let m;
   while ((m = re.exec(text)) !== null) {
     const before = text.slice(lastIndex, m.index);
     if (before.trim()) blocks.push({ type: "text", text: before.trim() });
-    blocks.push({ type: "code", text: m[1].trim() });
+    blocks.push({ type: ["items", "answers", "plot", "state"].includes(m[1]) ? m[1] : "code", text: m[2].trim() });
     lastIndex = m.index + m[0].length;
   }
   const tail = text.slice(lastIndex);
   if (tail.trim()) blocks.push({ type: "text", text: tail.trim() });
   return blocks.length ? blocks : [{ type: "text", text }];
 }
+
+function TextBlock({ text, rich }) {
+  const html = useMemo(() => (rich ? renderRichText(text) : null), [text, rich]);
+  if (html == null) {
+    return <div className="text-sm leading-relaxed whitespace-pre-wrap">{text}</div>;
+  }
+  return <div className="md text-sm leading-relaxed" dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+// ------------------------------ Helpers: Markdown + math rendering ------------------------------
+const MATH_PATTERNS = [
+  { re: /\$\$([\s\S]+?)\$\$/g, display: true },
+  { re: /\\\[([\s\S]+?)\\\]/g, display: true },
+  { re: /\\\(([\s\S]+?)\\\)/g, display: false },
+  // $...$ only when it hugs its content, so prices like "$5 and $10" stay text
+  { re: /\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/g, display: false },
+];
+
+function renderRichText(text) {
+  // Returns sanitized HTML, or null so the caller falls back to plain text
+  try {
+    const codeSpans = [];
+    const math = [];
+    // Keep inline code out of math extraction, then restore it for marked
+    let src = text.replace(/`[^`\n]+`/g, (m) => `@@CODE${codeSpans.push(m) - 1}@@`);
+    for (const { re, display } of MATH_PATTERNS) {
+      src = src.replace(re, (_, tex) => `@@MATH${math.push({ tex, display }) - 1}@@`);
+    }
+    src = src.replace(/@@CODE(\d+)@@/g, (_, i) => codeSpans[Number(i)]);
+    let html = marked.parse(src, { gfm: true, breaks: true, async: false });
+    html = html.replace(/@@MATH(\d+)@@/g, (_, i) => {
+      const { tex, display } = math[Number(i)];
+      return katex.renderToString(tex.trim(), { displayMode: display, throwOnError: false });
+    });
+    return DOMPurify.sanitize(html);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest'
+import { checkEquivalence, classifyLlmError, dashboardRows, parseTestDate, scoreValue } from './pre_calc_placement_coach.jsx'
+
+const verdict = (given, key, opts) => checkEquivalence(given, key, opts).verdict
+
+describe('checkEquivalence', () => {
+  it('matches equivalent forms', () => {
+    expect(verdict('(x-1)(x+1)', 'x^2-1')).toBe('correct')
+    expect(verdict('ln(8)/ln(2)', '3')).toBe('correct')
+    expect(verdict('π/6', '30°')).toBe('correct')
+  })
+
+  it('reads braces as an unordered solution set', () => {
+    expect(verdict('{2, -3}', '2, -3')).toBe('correct')
+    expect(verdict('\\{-3, 2\\}', 'x = 2 or x = -3')).toBe('correct')
+    expect(verdict('{}', 'no solution')).toBe('correct')
+  })
+
+  it('splits glued function names', () => {
+    expect(verdict('xsinx', 'x*sin(x)')).toBe('correct')
+    expect(verdict('sinx', 'sin(x)')).toBe('correct')
+  })
+
+  it('ignores angle unit words', () => {
+    expect(verdict('pi/6 rad', '30°')).toBe('correct')
+    expect(verdict('π/6 radians', 'pi/6')).toBe('correct')
+    expect(verdict('30 degrees', 'pi/6')).toBe('correct')
+  })
+
+  it('reads mixed numbers', () => {
+    expect(verdict('2 1/2', '5/2')).toBe('correct')
+    expect(verdict('-1 3/4', '-7/4')).toBe('correct')
+    expect(verdict('2 1/3', '5/2')).toBe('incorrect')
+  })
+
+  it('leaves letters the key does not use to the coach', () => {
+    expect(verdict('x+1', '3')).toBe('unknown')
+    expect(verdict('3 cm', '3')).toBe('unknown')
+  })
+
+  it('still marks wrong answers incorrect', () => {
+    expect(verdict('x+3', 'x-3')).toBe('incorrect')
+    expect(verdict('4', '2, -3')).toBe('incorrect')
+  })
+})
+
+describe('parseTestDate', () => {
+  const today = '2026-10-18'
+
+  it('keeps ISO days and dates with a year', () => {
+    expect(parseTestDate('2026-11-02', today)).toBe('2026-11-02')
+    expect(parseTestDate('November 2, 2026', today)).toBe('2026-11-02')
+  })
+
+  it('rolls a date without a year forward to its next occurrence', () => {
+    expect(parseTestDate('Dec 12', today)).toBe('2026-12-12')
+    expect(parseTestDate('May 12', today)).toBe('2027-05-12')
+    expect(parseTestDate('11/3', today)).toBe('2026-11-03')
+    expect(parseTestDate('Oct 18', today)).toBe('2026-10-18')
+  })
+
+  it('rejects past and unreadable dates', () => {
+    expect(parseTestDate('2026-10-17', today)).toBe(null)
+    expect(parseTestDate('May 12, 2001', today)).toBe(null)
+    expect(parseTestDate('soon', today)).toBe(null)
+    expect(parseTestDate('', today)).toBe(null)
+  })
+})
+
+describe('scoreValue', () => {
+  it('reads percents, ratios and lone fractions', () => {
+    expect(scoreValue(85)).toBe(85)
+    expect(scoreValue('85%')).toBe(85)
+    expect(scoreValue('3/4')).toBe(75)
+    expect(scoreValue(0.5)).toBe(50)
+    expect(scoreValue('soon')).toBe(null)
+  })
+
+  it('uses the scale the caller decided for the field', () => {
+    expect(scoreValue(1, true)).toBe(100)
+    expect(scoreValue(1, false)).toBe(1)
+  })
+
+  it('reads a score map on one scale', () => {
+    const rows = dashboardRows({ diagnostic: { topic_scores: { a: 0.5, b: 1, c: 1.0 } } }, { taxonomy: [] })
+    expect(rows.map((r) => r.diagnostic)).toEqual([50, 100, 100])
+    const pct = dashboardRows({ diagnostic: { topic_scores: { a: 50, b: 1 } } }, { taxonomy: [] })
+    expect(pct.map((r) => r.diagnostic)).toEqual([50, 1])
+  })
+})
+
+describe('classifyLlmError', () => {
+  const gemini = (quotaId, retryDelay) =>
+    JSON.stringify({
+      error: {
+        code: 429,
+        status: 'RESOURCE_EXHAUSTED',
+        message: 'You exceeded your current quota, please check your plan and billing details.',
+        details: [
+          { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [{ quotaId }] },
+          ...(retryDelay ? [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }] : []),
+        ],
+      },
+    })
+
+  it('retries Gemini per-minute limits after their retry delay', () => {
+    const e = classifyLlmError(429, gemini('GenerateRequestsPerMinutePerProjectPerModel-FreeTier', '37s'))
+    expect(e.kind).toBe('rate_limit')
+    expect(e.retryAfterMs).toBe(37000)
+    expect(classifyLlmError(429, gemini('GenerateRequestsPerMinutePerProjectPerModel-FreeTier')).kind).toBe('rate_limit')
+  })
+
+  it('stops on spent quotas and credits', () => {
+    expect(classifyLlmError(429, gemini('GenerateRequestsPerDayPerProjectPerModel-FreeTier', '20s')).kind).toBe('quota')
+    expect(classifyLlmError(429, JSON.stringify({ error: { code: 'insufficient_quota', message: 'You exceeded your current quota' } })).kind).toBe('quota')
+    expect(classifyLlmError(400, JSON.stringify({ error: { type: 'invalid_request_error', message: 'Your credit balance is too low' } })).kind).toBe('quota')
+  })
+
+  it('keeps plain 429s as rate limits', () => {
+    expect(classifyLlmError(429, JSON.stringify({ error: { code: 'rate_limit_exceeded', message: 'Rate limit reached' } })).kind).toBe('rate_limit')
+  })
+})
@@ -4,3 +4,10 @@ import App from '../pre_calc_placement_coach.jsx'
 import './index.css'
 
 createRoot(document.getElementById('root')).render(<App />)
+
+// Offline app shell; the worker only exists in production builds (see vite.config.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {})
+  })
+}
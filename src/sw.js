@@ -0,0 +1,57 @@
+// Service worker: precaches the app shell so the coach opens without a connection.
+// vite.config.js prepends `const SHELL_VERSION` and `const SHELL_FILES` at build time.
+/* global SHELL_VERSION, SHELL_FILES */
+
+const CACHE = `pcpc-shell-${SHELL_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL_FILES)))
+})
+
+// Drop shells from older builds once this one takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith('pcpc-shell-') && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request
+  const url = new URL(req.url)
+  // Provider APIs, CDNs and anything outside the app's scope go straight to the network
+  if (req.method !== 'GET' || url.origin !== self.location.origin || !url.pathname.startsWith(new URL(self.registration.scope).pathname)) return
+
+  // Pages: fresh when online, the cached shell otherwise (the Magic Link fragment never reaches here)
+  if (req.mode === 'navigate') {
+    event.respondWith(
+      fetch(req)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone()
+            caches.open(CACHE).then((cache) => cache.put('./', copy))
+          }
+          return res
+        })
+        .catch(() => caches.match('./'))
+    )
+    return
+  }
+
+  // Hashed assets never change; anything not precached (e.g., rarer KaTeX fonts) is kept on first use
+  event.respondWith(
+    caches.match(req).then(
+      (hit) =>
+        hit ||
+        fetch(req).then((res) => {
+          if (res.ok) {
+            const copy = res.clone()
+            caches.open(CACHE).then((cache) => cache.put(req, copy))
+          }
+          return res
+        })
+    )
+  )
+})
@@ -1,9 +1,30 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+// Emits sw.js with the list of files that make up this build's app shell.
+// KaTeX ships .woff/.ttf fallbacks too; browsers only fetch the .woff2 set.
+function serviceWorker() {
+  return {
+    name: 'pcpc-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const assets = Object.keys(bundle).filter((f) => /\.(js|css|woff2)$/.test(f))
+      const files = ['./', 'manifest.webmanifest', 'favicon.svg', ...assets].sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const SHELL_VERSION = ${JSON.stringify(version)}\nconst SHELL_FILES = ${JSON.stringify(files)}\n\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
   base: '/ack-precalc/',
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })
-